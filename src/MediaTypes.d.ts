@@ -1,86 +1,89 @@
-import { MIMEType } from 'node:util'
 import { EventEmitter } from 'node:events'
+import { Readable } from 'node:stream'
+import Core, { Source, Storage, Format, MIMEType } from '@jadsonlucena/mediatypes/core'
 
-type Versions = {
-  apache: string,
-  nginx: string,
-  debian: string
+type Options = {
+  sources?: Source[],
+  storage?: string | Storage | null,
+  watch?: boolean,
+  leader?: boolean,
+  priority?: string[],
+  timeout?: number,
+  fetch?: typeof fetch,
+  mirror?: string,
+  maxChange?: number,
+  topLevelTypes?: string[]
 }
 
 declare module '@jadsonlucena/mediatypes' {
   /**
-   * @classdesc This is a comprehensive compilation of media types that may be periodically updated
+   * @classdesc This is a comprehensive compilation of media types that may be periodically updated. Node wrapper of the Core that persists the database in a file, reads streams and emits its events through an EventEmitter
    * 
    * @emits MediaTypes#update
    * @emits MediaTypes#error
    */
-  export default class MediaTypes {
+  export default class MediaTypes extends Core {
 
     /**
      * Create a MediaType class
      * @param {number} [updateInterval=86400000] - Periodic database update in milliseconds. if less than zero, will be disabled
+     * @param {Object} [options]
+     * @param {Source[]} [options.sources] - Lists the database is updated from. Defaults to Apache, Debian, NGINX and the IANA registry
+     * @param {string|Storage|null} [options.storage] - Database file, adapter with its own persistence or null to keep it in memory only. Defaults to the DB.json file of the module
+     * @param {boolean} [options.watch=false] - Reload the database file whenever another process saves it, emitting the changes as an update, with those that no source made under local
+     * @param {boolean} [options.leader=false] - Elect one of the processes sharing the database file to run the periodic update, so that the others only reload it. It implies the watch option
+     * @param {string[]} [options.priority] - Names of the sources from the most to the least trusted when choosing the preferred media type. Defaults to the order of the sources
+     * @param {number} [options.timeout=30000] - Time in milliseconds to wait for each list, including its content, before giving up
+     * @param {function(string, Object): Promise<Response>} [options.fetch] - Implementation of fetch the lists are requested with, such as one through a proxy or with the credentials of a mirror. Defaults to the global one
+     * @param {number} [options.maxChange=Infinity] - Maximum fraction of the media types of a source that an update may add or remove, such as 0.5 for half of them. A list that changes more is rejected
+     * @param {string[]} [options.topLevelTypes] - Top-level types the lists may have, such as image. A list with any other is rejected. Defaults to the ones in the IANA registry and the unregistered ones the default sources list
+     * @param {string} [options.mirror] - Directory the lists are read from instead, with a file named after each source and a versions.json file with the version of each source. It replaces the fetch option
      * @see https://developer.mozilla.org/en-US/docs/Web/API/setInterval#delay
      *
      * @throws {TypeError} Invalid updateInterval
+     * @throws {TypeError} Invalid sources
+     * @throws {TypeError} Invalid storage
+     * @throws {TypeError} Invalid watch
+     * @throws {TypeError} Invalid leader
+     * @throws {TypeError} Invalid priority
+     * @throws {TypeError} Invalid timeout
+     * @throws {TypeError} Invalid fetch
+     * @throws {TypeError} Invalid mirror
+     * @throws {TypeError} Invalid maxChange
+     * @throws {TypeError} Invalid topLevelTypes
+     * @throws {TypeError|SyntaxError} Invalid name
+     * @throws {TypeError|SyntaxError} Invalid url
+     * @throws {TypeError} Invalid parser
+     * @throws {TypeError|SyntaxError} Invalid sha256
+     * @throws {TypeError} Invalid minEntries
+     * @throws {AggregateError} Invalid arguments
      */
-    constructor (updateInterval?: number)
-
-    /**
-     * @default '86400000'
-     *
-     * @throws {TypeError} Invalid updateInterval
-     * 
-     * @see https://developer.mozilla.org/en-US/docs/Web/API/setInterval#delay
-     */
-    set updateInterval(param: number)
-    get updateInterval(): number
-
-    get versions(): Versions
-
-    get list(): Record<string, MIMEType[]>
-
-    /**
-     * @method
-     * @param {boolean} [force=false] - Force update even if no version changes
-     *
-     * @return {Promise<Object.<string, MIMEType[]>>} List of all extensions with their media types
-     */
-    update(force?: boolean): Promise<Record<string, MIMEType[]>>
+    constructor (updateInterval?: number, options?: Options)
 
     /**
-     * @param {string} path - File path
-     * @see https://nodejs.org/api/path.html#pathparsepath
+     * @param {Readable} stream - Readable stream of the content. The bytes read are unshifted back, so the stream can still be consumed from the beginning
+     * @param {string} [path] - File path whose media types will be cross-checked against the content
+     * @see https://nodejs.org/api/stream.html#readableunshiftchunk-encoding
      *
+     * @throws {TypeError} Invalid stream
      * @throws {TypeError} Invalid path
      * @throws {SyntaxError} Invalid extension
      *
-     * @return {MIMEType[]}
-     */
-    get(path: string): MIMEType[]
-
-    /**
-     * @param {string} extension - File extension
-     * @param {string} mediaType - {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Basics_of_HTTP/MIME_types#structure_of_a_mime_type IANA media types}
-     *
-     * @throws {TypeError|SyntaxError} Invalid extension
-     * @throws {TypeError|SyntaxError} Invalid mediaType
-     * @throws {AggregateError} Invalid arguments
-     *
-     * @return {boolean}
+     * @return {Promise<MIMEType[]>} Media types identified by the content, from the most to the least specific. If a path is given, only its media types that the content confirms
      */
-    set(extension: string, mediaType: string): boolean
+    detectStream(stream: Readable, path?: string): Promise<MIMEType[]>
 
     /**
-     * @param {string} extension - File extension
-     * @param {string} mediaType - {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Basics_of_HTTP/MIME_types#structure_of_a_mime_type IANA media types}
+     * @param {string|ArrayBuffer|ArrayBufferView|Readable} source - Path of a file, the list itself or a stream of it. A string without whitespace is taken as a path, so a file that does not exist is rejected, unless it is a JSON list
+     * @param {Object} [options]
+     * @param {Format} [options.format='mime.types'] - Same formats as the export. The mime.types one also reads NGINX types blocks
      *
-     * @throws {TypeError|SyntaxError} Invalid extension
-     * @throws {TypeError|SyntaxError} Invalid mediaType
-     * @throws {AggregateError} Invalid arguments
+     * @throws {TypeError} Invalid source
+     * @throws {TypeError|SyntaxError} Invalid format
      *
-     * @return {boolean}
+     * @return {Promise<Object.<string, MIMEType[]>>} Extensions with the media types that were added
      */
-    delete(extension: string, mediaType: string): boolean
+    import(source: string | ArrayBuffer | ArrayBufferView | Readable | AsyncIterable<string | ArrayBufferView>, options?: { format?: Format }): Promise<Record<string, MIMEType[]>>
 
     /**
      * @see https://nodejs.org/api/events.html#emitteraddlistenereventname-listener
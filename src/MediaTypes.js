@@ -1,441 +1,195 @@
 'use strict'
 
 const fs = require('node:fs')
-const { parse, join } = require('node:path')
 const { EventEmitter } = require('node:events')
 const { MIMEType } = require('node:util')
+const { webcrypto } = require('node:crypto')
 
-function removeDuplicates (array) {
-  return array.filter((v, i, a) => a.findIndex(t => t.essence === v.essence) === i)
+const Core = require('./core.js')
+const { SNIFF_SIZE } = require('./signatures.js')
+const { fileStorage, memoryStorage } = require('./storage.js')
+const { mirrorFetch } = require('./mirror.js')
+
+function isPath (source, format) { // a list separates the media types from their extensions with whitespace, except a minified JSON one
+  if (/\s/.test(source)) {
+    return false
+  }
+
+  if (format !== 'json') {
+    return true
+  }
+
+  try {
+    JSON.parse(source)
+
+    return false
+  } catch (err) {
+    return !/^[[{]/.test(source)
+  }
 }
 
 /**
  * @class
- * @classdesc This is a comprehensive compilation of media types that may be periodically updated
+ * @classdesc This is a comprehensive compilation of media types that may be periodically updated. Node wrapper of the {@link Core} that persists the database in a file, reads streams and emits its events through an EventEmitter
  *
  * @emits MediaTypes#update
  * @emits MediaTypes#error
- *
- * @typedef {Object} Versions
- * @property {string} Versions.apache
- * @property {string} Versions.debian
- * @property {string} Versions.nginx
  */
-class MediaTypes {
-  #eventEmitter
+class MediaTypes extends Core {
+  static MIMEType = MIMEType
+  static crypto = webcrypto // not global before Node 19
 
-  #mediaTypes
-  #versions
-  #updateInterval
-  #updateLoop
-
-  #formatExtension = /^[a-z0-9!#$&\-^_+]+$/i
+  #eventEmitter = new EventEmitter()
 
   /**
    * Create a MediaType class
    * @constructor
    * @param {number} [updateInterval=86400000] - Periodic database update in milliseconds. if less than zero, will be disabled
+   * @param {Object} [options]
+   * @param {Source[]} [options.sources] - Lists the database is updated from. Defaults to Apache, Debian, NGINX and the IANA registry
+   * @param {string|Storage|null} [options.storage] - Database file, adapter with its own persistence or null to keep it in memory only. Defaults to the DB.json file of the module
+   * @param {boolean} [options.watch=false] - Reload the database file whenever another process saves it, emitting the changes as an update, with those that no source made under local
+   * @param {boolean} [options.leader=false] - Elect one of the processes sharing the database file to run the periodic update, so that the others only reload it. It implies the watch option
+   * @param {string[]} [options.priority] - Names of the sources from the most to the least trusted when choosing the preferred media type. Defaults to the order of the sources
+   * @param {number} [options.timeout=30000] - Time in milliseconds to wait for each list, including its content, before giving up
+   * @param {function(string, Object): Promise<Response>} [options.fetch] - Implementation of fetch the lists are requested with, such as one through a proxy or with the credentials of a mirror. Defaults to the global one
+   * @param {number} [options.maxChange=Infinity] - Maximum fraction of the media types of a source that an update may add or remove, such as 0.5 for half of them. A list that changes more is rejected
+   * @param {string[]} [options.topLevelTypes] - Top-level types the lists may have, such as image. A list with any other is rejected. Defaults to the ones in the IANA registry and the unregistered ones the default sources list
+   * @param {string} [options.mirror] - Directory the lists are read from instead, with a file named after each source and a versions.json file with the version of each source. It replaces the fetch option
    * @see https://developer.mozilla.org/en-US/docs/Web/API/setInterval#delay
    *
    * @throws {TypeError} Invalid updateInterval
+   * @throws {TypeError} Invalid sources
+   * @throws {TypeError} Invalid storage
+   * @throws {TypeError} Invalid watch
+   * @throws {TypeError} Invalid leader
+   * @throws {TypeError} Invalid priority
+   * @throws {TypeError} Invalid timeout
+   * @throws {TypeError} Invalid fetch
+   * @throws {TypeError} Invalid mirror
+   * @throws {TypeError} Invalid maxChange
+   * @throws {TypeError} Invalid topLevelTypes
+   * @throws {TypeError|SyntaxError} Invalid name
+   * @throws {TypeError|SyntaxError} Invalid url
+   * @throws {TypeError} Invalid parser
+   * @throws {TypeError|SyntaxError} Invalid sha256
+   * @throws {TypeError} Invalid minEntries
+   * @throws {AggregateError} Invalid arguments
    */
-  constructor (updateInterval = 86400000) {
-    this.#eventEmitter = new EventEmitter()
-
-    try {
-      const { mediaTypes, versions } = JSON.parse(fs.readFileSync(join(__dirname, 'DB.json')).toString('utf8'))
-
-      this.#mediaTypes = Object.keys(mediaTypes).reduce((acc, key) => {
-        acc[key] = mediaTypes[key].map(mediaType => new MIMEType(mediaType))
-
-        return acc
-      }, {})
-      this.#versions = versions
-    } catch (err) {
-      this.#mediaTypes = {}
-      this.#versions = {
-        apache: '',
-        debian: '',
-        nginx: ''
-      }
-    }
-
-    this.updateInterval = updateInterval
-  }
-
-  #isMediaType (mediaType) {
-    try {
-      return new MIMEType(mediaType)
-    } catch (err) {
-      return false
-    }
-  }
-
-  #updateList (content) {
-    const list = {}
-
-    for (let extension in content) {
-      extension = extension.trim().toLowerCase()
-
-      if (extension in this.#mediaTypes) {
-        content[extension].forEach(mediaType => {
-          mediaType = new MIMEType(mediaType)
-
-          if (!this.#mediaTypes[extension].some(MT => MT.essence === mediaType.essence)) {
-            this.#mediaTypes[extension] = this.#mediaTypes[extension].concat(mediaType).sort()
-
-            list[extension] = (list[extension] || []).concat(mediaType)
-          }
-        })
-      } else {
-        list[extension] = this.#mediaTypes[extension] = removeDuplicates(content[extension].map(mediaType => new MIMEType(mediaType)))
-      }
-    }
-
-    return list
-  }
-
-  async #load (res) {
-    return {
-      version: res.headers.get('etag'),
-      content: (await res.text())
-        .split(/\n+/)
-        .reduce((curr, line) => {
-          line = line.trim()
-          line = line.replace(/(\s*types\s*{\s*|\s*}\s*|\s*;\s*)$/ig, '') // remove non-standard characters coming from nginx when it fits
-
-          if (/^\s*#.*$/.test(line) || line === '') {
-            return curr
-          }
-
-          line = line.match(/^(?<mediaType>[^\s]+)\s+(?<extensions>.*)$/)
-
-          const mediaType = line?.groups?.mediaType
-
-          if (this.#isMediaType(mediaType)) {
-            line?.groups?.extensions?.split(/\s+/)?.forEach(extension => {
-              extension = extension?.trim()?.toLowerCase()
-
-              if (this.#formatExtension.test(extension)) {
-                curr[extension] = (curr[extension] || []).concat(mediaType)
-              }
-            })
-          }
-
-          return curr
-        }, {})
-    }
-  }
-
-  /**
-   * @method
-   * @param {boolean} [force=false] - Force update even if no version changes
-   *
-   * @return {Promise<Object.<string, MIMEType[]>>} List of all extensions with their media types
-   */
-  update (force = false) {
-    return Promise.allSettled([
-      fetch('https://raw.githubusercontent.com/apache/httpd/trunk/docs/conf/mime.types', { // https://github.com/apache/httpd/blob/trunk/docs/conf/mime.types
-        method: 'HEAD',
-        headers: {
-          'Accept-Encoding': 'identity'
-        }
-      }).then(res => {
-        if (res.status === 200 && (Boolean(force) || (res.headers.get('etag') && res.headers.get('etag') !== this.#versions.apache))) {
-          return fetch('https://raw.githubusercontent.com/apache/httpd/trunk/docs/conf/mime.types', {
-            headers: {
-              'Accept-Encoding': 'identity'
-            }
-          })
-        }
-      }),
-      fetch('https://salsa.debian.org/debian/media-types/-/raw/master/mime.types', { // https://salsa.debian.org/debian/media-types/-/blob/master/mime.types
-        method: 'HEAD',
-        headers: {
-          'Accept-Encoding': 'identity'
-        }
-      }).then(res => {
-        if (res.status === 200 && (Boolean(force) || (res.headers.get('etag') && res.headers.get('etag') !== this.#versions.debian))) {
-          return fetch('https://salsa.debian.org/debian/media-types/-/raw/master/mime.types', {
-            headers: {
-              'Accept-Encoding': 'identity'
-            }
-          })
-        }
-      }),
-      fetch('https://raw.githubusercontent.com/nginx/nginx/master/conf/mime.types', { // https://github.com/nginx/nginx/blob/master/conf/mime.types
-        method: 'HEAD',
-        headers: {
-          'Accept-Encoding': 'identity'
-        }
-      }).then(res => {
-        if (res.status === 200 && (Boolean(force) || (res.headers.get('etag') && res.headers.get('etag') !== this.#versions.nginx))) {
-          return fetch('https://raw.githubusercontent.com/nginx/nginx/master/conf/mime.types', {
-            headers: {
-              'Accept-Encoding': 'identity'
-            }
-          })
-        }
-      })
-    ]).then(async results => {
-      let list = {}
-
-      if (results[0].status === 'fulfilled' && results[0].value) {
-        const load = await this.#load(results[0].value)
-
-        if (load.version && Object.keys(load.content).length) {
-          this.#versions.apache = load.version
-
-          list.apache = {
-            content: this.#updateList(load.content),
-            version: load.version
-          }
-        }
-      }
-
-      if (results[1].status === 'fulfilled' && results[1].value) {
-        const load = await this.#load(results[1].value)
-
-        if (load.version && Object.keys(load.content).length) {
-          this.#versions.debian = load.version
-
-          list.debian = {
-            content: this.#updateList(load.content),
-            version: load.version
-          }
-        }
-      }
-
-      if (results[2].status === 'fulfilled' && results[2].value) {
-        const load = await this.#load(results[2].value)
-
-        if (load.version && Object.keys(load.content).length) {
-          this.#versions.nginx = load.version
-
-          list.nginx = {
-            content: this.#updateList(load.content),
-            version: load.version
-          }
-        }
-      }
-
-      if (!Object.keys(list).length) {
-        return {}
+  constructor (updateInterval, {
+    storage,
+    watch = false,
+    leader = false,
+    mirror,
+    ...options
+  } = {}) {
+    if (typeof watch !== 'boolean') {
+      throw new TypeError('Invalid watch')
+    }
+
+    if (typeof leader !== 'boolean') {
+      throw new TypeError('Invalid leader')
+    }
+
+    if (storage === undefined || typeof storage === 'string') { // the options only apply to the database file
+      storage = fileStorage(storage, { watch: watch || leader, leader }) // the processes that do not lead learn of the update only by reloading it
+    } else if (storage === null) {
+      storage = memoryStorage()
+    }
+
+    if (typeof mirror === 'string') {
+      options.fetch = mirrorFetch(mirror, () => this.sources)
+    } else if (mirror !== undefined) {
+      throw new TypeError('Invalid mirror')
+    }
+
+    super(updateInterval, { ...options, storage })
+
+    /**
+     * Update event
+     *
+     * @event MediaTypes#update
+     * @type {Object.<string, Diff>}
+     */
+    this.addEventListener('update', ({ detail }) => this.#eventEmitter.emit('update', detail))
+
+    /**
+     * Error event
+     *
+     * @event MediaTypes#error
+     * @type {Error}
+     */
+    this.addEventListener('error', ({ detail }) => {
+      if (this.#eventEmitter.listenerCount('error')) { // an error event without listeners throws, see https://nodejs.org/api/events.html#error-events
+        this.#eventEmitter.emit('error', detail)
       }
-
-      fs.writeFileSync(join(__dirname, 'DB.json'), JSON.stringify({
-        mediaTypes: this.#mediaTypes,
-        versions: this.#versions
-      }))
-
-      list = Object.keys(list).reduce((acc, cur) => {
-        Object.keys(list[cur].content).forEach(key => {
-          acc[key] = removeDuplicates((acc[key] || []).concat(list[cur].content[key]))
-        })
-
-        return acc
-      }, {})
-
-      /**
-       * Update event
-       *
-       * @event MediaTypes#update
-       * @type {Object.<string, MIMEType[]>}
-       */
-      this.#eventEmitter.emit('update', list)
-
-      return list
     })
   }
 
-  /**
-   * @type {number} [updateInterval=86400000]
-   *
-   * @throws {TypeError} Invalid updateInterval
-   *
-   * @see https://developer.mozilla.org/en-US/docs/Web/API/setInterval#delay
-   */
-  set updateInterval (updateInterval = 86400000) {
-    if (
-      typeof updateInterval !== 'number' ||
-            !Number.isFinite(updateInterval) ||
-            Number.isNaN(updateInterval)
-    ) {
-      throw new TypeError('Invalid updateInterval')
-    }
-
-    this.#updateInterval = updateInterval
-
-    clearInterval(this.#updateLoop)
-
-    if (updateInterval >= 0) {
-      this.#updateLoop = setInterval(async () => {
-        try {
-          await this.update()
-        } catch (err) {
-          /**
-           * Error event
-           *
-           * @event MediaTypes#error
-           * @type {Error}
-           */
-          this.#eventEmitter.emit('error', err)
-        }
-      }, this.#updateInterval)
-    }
-  }
-
-  /**
-   * @type {number}
-   */
-  get updateInterval () {
-    return this.#updateInterval
-  }
-
-  /**
-   * @return {Versions}
-   */
-  get versions () {
-    return this.#versions
-  }
-
-  /**
-   * @return {Object.<string, MIMEType[]>}
-   */
-  get list () {
-    return this.#mediaTypes
-  }
-
   /**
    * @method
-   * @param {string} path - File path
-   * @see https://nodejs.org/api/path.html#pathparsepath
+   * @param {stream.Readable} stream - Readable stream of the content. The bytes read are unshifted back, so the stream can still be consumed from the beginning
+   * @param {string} [path] - File path whose media types will be cross-checked against the content
+   * @see https://nodejs.org/api/stream.html#readableunshiftchunk-encoding
    *
+   * @throws {TypeError} Invalid stream
    * @throws {TypeError} Invalid path
    * @throws {SyntaxError} Invalid extension
    *
-   * @return {MIMEType[]}
-   */
-  get (path) {
-    if (typeof path !== 'string') {
-      throw new TypeError('Invalid path')
-    }
-
-    const pathinfo = parse(path)
-    const extension = pathinfo.ext.replace('.', '').trim().toLowerCase()
-
-    if (!this.#formatExtension.test(extension)) {
-      throw new SyntaxError('Invalid extension')
-    }
-
-    return (this.#mediaTypes[extension] || [])
-  }
-
-  /**
-   * @method
-   * @param {string} extension - File extension
-   * @param {string} mediaType - {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Basics_of_HTTP/MIME_types#structure_of_a_mime_type IANA media types}
-   *
-   * @throws {TypeError|SyntaxError} Invalid extension
-   * @throws {TypeError|SyntaxError} Invalid mediaType
-   * @throws {AggregateError} Invalid arguments
-   *
-   * @return {boolean}
+   * @return {Promise<MIMEType[]>} Media types identified by the content, from the most to the least specific. If a path is given, only its media types that the content confirms
    */
-  set (extension, mediaType) {
-    const errors = []
-
-    if (typeof extension !== 'string') {
-      errors.push(new TypeError('Invalid extension'))
-    } else if (!this.#formatExtension.test(extension)) {
-      errors.push(new SyntaxError('Invalid extension'))
+  async detectStream (stream, path) {
+    if (typeof stream?.read !== 'function' || typeof stream?.unshift !== 'function') {
+      throw new TypeError('Invalid stream')
     }
 
-    if (typeof mediaType !== 'string') {
-      errors.push(new TypeError('Invalid mediaType'))
-    } else if (!this.#isMediaType(mediaType)) {
-      errors.push(new SyntaxError('Invalid mediaType'))
-    }
+    // a single listener, since every new readable listener is notified again of what is already buffered
+    const chunk = stream.readableEnded
+      ? null
+      : await new Promise((resolve, reject) => {
+        const sniff = () => {
+          const chunk = stream.read(SNIFF_SIZE)
 
-    if (errors.length > 1) {
-      throw new AggregateError(errors, 'Invalid arguments')
-    } else if (errors.length === 1) {
-      throw errors.pop()
-    }
+          if (chunk === null && !stream.readableEnded) {
+            return
+          }
 
-    const content = {}
-    content[extension] = [].concat(mediaType)
+          if (chunk !== null) {
+            stream.unshift(chunk)
+          }
 
-    const list = this.#updateList(content)
+          stream.off('readable', sniff).off('end', sniff).off('error', fail)
+          resolve(chunk)
+        }
 
-    if (!(extension in list)) {
-      return false
-    }
+        const fail = error => {
+          stream.off('readable', sniff).off('end', sniff).off('error', fail)
+          reject(error)
+        }
 
-    fs.writeFileSync(join(__dirname, 'DB.json'), JSON.stringify({
-      mediaTypes: this.#mediaTypes,
-      versions: this.#versions
-    }))
+        stream.on('readable', sniff).on('end', sniff).on('error', fail)
+      })
 
-    return true
+    return this.detect(Buffer.from(chunk ?? ''), path)
   }
 
   /**
    * @method
-   * @param {string} extension - File extension
-   * @param {string} mediaType - {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Basics_of_HTTP/MIME_types#structure_of_a_mime_type IANA media types}
+   * @param {string|ArrayBuffer|ArrayBufferView|stream.Readable} source - Path of a file, the list itself or a stream of it. A string without whitespace is taken as a path, so a file that does not exist is rejected, unless it is a JSON list
+   * @param {Object} [options]
+   * @param {'mime.types'|'nginx'|'addtype'|'map'|'json'} [options.format='mime.types'] - Same formats as the export. The mime.types one also reads NGINX types blocks
    *
-   * @throws {TypeError|SyntaxError} Invalid extension
-   * @throws {TypeError|SyntaxError} Invalid mediaType
-   * @throws {AggregateError} Invalid arguments
+   * @throws {TypeError} Invalid source
+   * @throws {TypeError|SyntaxError} Invalid format
    *
-   * @return {boolean}
+   * @return {Promise<Object.<string, MIMEType[]>>} Extensions with the media types that were added
    */
-  delete (extension, mediaType) {
-    const errors = []
-
-    if (typeof extension !== 'string') {
-      errors.push(new TypeError('Invalid extension'))
-    } else if (!this.#formatExtension.test(extension)) {
-      errors.push(new SyntaxError('Invalid extension'))
-    }
-
-    if (typeof mediaType !== 'string') {
-      errors.push(new TypeError('Invalid mediaType'))
-    } else if (!this.#isMediaType(mediaType)) {
-      errors.push(new SyntaxError('Invalid mediaType'))
-    }
-
-    if (errors.length > 1) {
-      throw new AggregateError(errors, 'Invalid arguments')
-    } else if (errors.length === 1) {
-      throw errors.pop()
-    }
-
-    extension = extension.trim().toLowerCase()
-
-    if (!(extension in this.#mediaTypes)) {
-      return false
+  async import (source, options) {
+    if (typeof source === 'string' && !/[\r\n]/.test(source) && (fs.existsSync(source) || isPath(source, options?.format))) {
+      source = await fs.promises.readFile(source, 'utf8')
     }
 
-    const i = this.#mediaTypes[extension].findIndex(MT => MT.essence === new MIMEType(mediaType).essence)
-
-    if (i < 0) {
-      return false
-    }
-
-    this.#mediaTypes[extension].splice(i, 1)
-
-    if (!this.#mediaTypes[extension].length) {
-      delete this.#mediaTypes[extension]
-    }
-
-    fs.writeFileSync(join(__dirname, 'DB.json'), JSON.stringify({
-      mediaTypes: this.#mediaTypes,
-      versions: this.#versions
-    }))
-
-    return true
+    return super.import(source, options)
   }
 
   // EventEmitter methods
@@ -0,0 +1,3 @@
+import MediaTypes from './MediaTypes.js'
+
+export default MediaTypes
@@ -0,0 +1,243 @@
+'use strict'
+
+const { parseArgs } = require('node:util')
+
+const MediaTypes = require('./MediaTypes.js')
+
+const USAGE = `Usage: mediatypes <command> [options]
+
+Commands:
+  lookup <file...>                  Media type and content encoding of each file
+  explain <file>                    Media types of a file with the sources that list them and when they were added
+  extensions <mediaType>            Extensions of a media type
+  update [--force] [--reconcile]    Update the database from its sources and print what each one changed
+  versions                          Version of the list loaded from each source
+  set <extension> <mediaType>       Map an extension to a media type
+  delete <extension> <mediaType>    Remove a media type from an extension, even if a source lists it
+  pin <extension> <mediaType>       Prefer a media type for an extension, regardless of the sources
+  unpin <extension>                 Prefer the media type of the most trusted source again
+  export [--format <format>]        Print the database as mime.types (or apache), nginx, addtype, map or json
+
+Options:
+  --db <path>        Database file. Defaults to the DB.json file of the module
+  --mirror <dir>     Directory the lists are updated from, with a file named after each source and a versions.json file
+  -f, --force        Update even if no version changes
+  -r, --reconcile    Rebuild the list of every source and remove what none of them lists any more
+  --format <format>  Format of the export. Defaults to json
+  -h, --help         Show this help
+`
+
+const COMMANDS = {
+  lookup: {
+    arity: [1, Infinity],
+    run (mediaTypes, files, options, { stdout, stderr }) {
+      return files.reduce((code, file) => {
+        try {
+          const { type, encoding } = mediaTypes.lookup(file)
+
+          stdout.write(`${[file, type ?? ''].concat(encoding ?? []).join('\t')}\n`)
+
+          return type ? code : 1
+        } catch (err) {
+          stderr.write(`mediatypes: ${file}: ${err.message}\n`)
+
+          return 1
+        }
+      }, 0)
+    }
+  },
+
+  explain: {
+    arity: [1, 1],
+    run (mediaTypes, [file], options, { stdout }) {
+      const explanation = mediaTypes.explain(file)
+
+      explanation.forEach(({ type, sources, addedAt }) => stdout.write(`${[type, sources.join(','), addedAt?.toISOString() ?? ''].join('\t')}\n`))
+
+      return explanation.length ? 0 : 1
+    }
+  },
+
+  extensions: {
+    arity: [1, 1],
+    run (mediaTypes, [mediaType], options, { stdout }) {
+      const extensions = mediaTypes.extensions(mediaType)
+
+      extensions.forEach(extension => stdout.write(`${extension}\n`))
+
+      return extensions.length ? 0 : 1
+    }
+  },
+
+  update: {
+    arity: [0, 0],
+    async run (mediaTypes, args, { force, reconcile }, { stdout, stderr }) {
+      let diff = {}
+      let code = 0
+
+      mediaTypes.once('update', detail => { diff = detail }) // the sources that were loaded are applied even if others fail
+
+      try {
+        await mediaTypes.update(force, { reconcile })
+      } catch (err) {
+        if (err?.message !== 'Invalid sources') {
+          throw err
+        }
+
+        err.cause.forEach((name, i) => stderr.write(`mediatypes: ${name}: ${err.errors[i].message}\n`))
+        code = 1
+      }
+
+      stdout.write(`${JSON.stringify(diff, null, 2)}\n`)
+
+      return code
+    }
+  },
+
+  versions: {
+    arity: [0, 0],
+    run (mediaTypes, args, options, { stdout }) {
+      Object.entries(mediaTypes.versions).forEach(([source, version]) => stdout.write(`${source}\t${version}\n`))
+
+      return 0
+    }
+  },
+
+  set: {
+    arity: [2, 2],
+    run (mediaTypes, [extension, mediaType], options, { stderr }) {
+      if (!mediaTypes.set(extension, mediaType)) {
+        stderr.write(`mediatypes: ${extension} is already mapped to ${mediaType}\n`)
+      }
+
+      return 0
+    }
+  },
+
+  delete: {
+    arity: [2, 2],
+    run (mediaTypes, [extension, mediaType], options, { stderr }) {
+      if (!mediaTypes.delete(extension, mediaType)) {
+        stderr.write(`mediatypes: ${extension} is not mapped to ${mediaType}\n`)
+      }
+
+      return 0
+    }
+  },
+
+  pin: {
+    arity: [2, 2],
+    run (mediaTypes, [extension, mediaType], options, { stderr }) {
+      if (!mediaTypes.pin(extension, mediaType)) {
+        stderr.write(`mediatypes: ${extension} is already pinned to ${mediaType}\n`)
+      }
+
+      return 0
+    }
+  },
+
+  unpin: {
+    arity: [1, 1],
+    run (mediaTypes, [extension], options, { stderr }) {
+      if (!mediaTypes.unpin(extension)) {
+        stderr.write(`mediatypes: ${extension} is not pinned\n`)
+      }
+
+      return 0
+    }
+  },
+
+  export: {
+    arity: [0, 0],
+    run (mediaTypes, args, { format = 'json' }, { stdout }) {
+      stdout.write(mediaTypes.export(format === 'apache' ? 'mime.types' : format))
+
+      return 0
+    }
+  }
+}
+
+/**
+ * Runs the command line tool
+ *
+ * @param {string[]} argv - Arguments, without the node executable and the script
+ * @param {Object} [io]
+ * @param {stream.Writable} [io.stdout=process.stdout]
+ * @param {stream.Writable} [io.stderr=process.stderr]
+ *
+ * @return {Promise<number>} Exit code. 1 if a file or media type is not found, a source could not be loaded or the arguments are invalid, 2 for usage errors
+ */
+async function run (argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  let args
+
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        db: { type: 'string' },
+        mirror: { type: 'string' },
+        force: { type: 'boolean', short: 'f', default: false },
+        format: { type: 'string' },
+        reconcile: { type: 'boolean', short: 'r', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    })
+  } catch (err) {
+    stderr.write(`mediatypes: ${err.message}\n\n${USAGE}`)
+
+    return 2
+  }
+
+  const [name, ...positionals] = args.positionals
+
+  if (args.values.help) {
+    stdout.write(USAGE)
+
+    return 0
+  }
+
+  const command = Object.hasOwn(COMMANDS, name) ? COMMANDS[name] : undefined
+
+  if (!command) {
+    stderr.write(`${name === undefined ? '' : `mediatypes: unknown command ${name}\n\n`}${USAGE}`)
+
+    return 2
+  }
+
+  if (positionals.length < command.arity[0] || positionals.length > command.arity[1]) {
+    stderr.write(`mediatypes: wrong number of arguments for ${name}\n\n${USAGE}`)
+
+    return 2
+  }
+
+  let mediaTypes
+  let failure // such as a write of the database, which the changes do not wait for
+
+  try {
+    mediaTypes = new MediaTypes(-1, { storage: args.values.db, mirror: args.values.mirror })
+    mediaTypes.on('error', err => { failure ??= err })
+
+    await mediaTypes.ready
+
+    const code = await command.run(mediaTypes, positionals, args.values, { stdout, stderr })
+
+    await mediaTypes.close() // once the database is written
+
+    if (code || !failure) { // a command that failed has told why
+      return code
+    }
+
+    throw failure
+  } catch (err) {
+    stderr.write(`mediatypes: ${err.message}\n`)
+
+    return 1
+  } finally {
+    await mediaTypes?.close()
+  }
+}
+
+module.exports = {
+  run
+}
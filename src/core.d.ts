@@ -0,0 +1,551 @@
+declare module '@jadsonlucena/mediatypes/core' {
+  export type Versions = Record<string, string>
+
+  export type Metadata = {
+    status: 'registered' | 'obsolete' | 'deprecated',
+    template?: string,
+    reference?: string
+  }
+
+  export type Parser = (text: string) => Array<{
+    mediaType: string,
+    extensions: string[]
+  } & Partial<Metadata>>
+
+  export type Source = {
+    name: string,
+    url: string | string[],
+    parser?: Parser,
+    /**
+     * Pinned SHA-256 of the list, or of each part of it, in hexadecimal. A list with another one is rejected
+     */
+    sha256?: string | string[],
+    /**
+     * Minimum number of media types the list must have, below which it is taken as truncated and rejected
+     */
+    minEntries?: number
+  }
+
+  /**
+   * Changes made by a source, by extension
+   */
+  export type Diff = {
+    /**
+     * Version of the list before and after the update
+     */
+    version: { old: string, new: string },
+    /**
+     * Media types the source added
+     */
+    added: Record<string, MIMEType[]>,
+    /**
+     * Media types the source no longer lists and no other source does. Only on a reconcile
+     */
+    removed: Record<string, MIMEType[]>,
+    /**
+     * Preferred media types that changed
+     */
+    changed: Record<string, { old: MIMEType, new: MIMEType }>
+  }
+
+  export type Database = {
+    mediaTypes: Record<string, string[]>,
+    sources?: Record<string, Record<string, string[]>>,
+    addedAt?: Record<string, Record<string, string>>,
+    registry?: Record<string, Metadata>,
+    overrides?: Overrides,
+    globs?: GlobOverrides,
+    versions: Versions
+  }
+
+  /**
+   * Local changes, kept apart from the lists of the sources and applied over them
+   */
+  export type Overrides = {
+    /**
+     * Media types added to each extension by the set, pin and import methods
+     */
+    added: Record<string, string[]>,
+    /**
+     * Media types (essence) deleted from each extension, which no source adds back
+     */
+    deleted: Record<string, string[]>,
+    /**
+     * Preferred media type (essence) of each extension, regardless of the sources
+     */
+    pinned: Record<string, string>
+  }
+
+  /**
+   * Local changes to the built-in file names and glob patterns, applied over them
+   */
+  export type GlobOverrides = {
+    /**
+     * Media types added to each pattern by the setGlob method
+     */
+    added: Record<string, string[]>,
+    /**
+     * Built-in media types (essence) deleted from each pattern by the deleteGlob method
+     */
+    deleted: Record<string, string[]>
+  }
+
+  export type Storage = {
+    load: () => Database | Promise<Database>,
+    save: (data: Database) => void | Promise<void>,
+    /**
+     * Calls the listener with the database whenever another instance, such as one in another process, saves it. A database that cannot be applied is emitted as an error
+     */
+    watch?: (listener: (data: Database) => void) => void,
+    /**
+     * Whether this instance runs the periodic update, so that a single one of the instances sharing the database requests the sources
+     */
+    lead?: () => boolean | Promise<boolean>,
+    /**
+     * Stops watching the database and gives the lead up, once the instance is closed
+     */
+    close?: () => void | Promise<void>
+  }
+
+  export type Format = 'mime.types' | 'nginx' | 'addtype' | 'map' | 'json'
+
+  export type Options = {
+    sources?: Source[],
+    storage?: Storage | null,
+    priority?: string[],
+    timeout?: number,
+    fetch?: typeof fetch,
+    maxChange?: number,
+    topLevelTypes?: string[]
+  }
+
+  /**
+   * Parameters of a media type, as in node:util
+   * @see https://nodejs.org/api/util.html#class-utilmimeparams
+   */
+  export class MIMEParams implements Iterable<[string, string]> {
+    delete(name: string): void
+    get(name: string): string | null
+    has(name: string): boolean
+
+    /**
+     * @throws {SyntaxError} Invalid name
+     * @throws {SyntaxError} Invalid value
+     */
+    set(name: string, value: string): void
+    entries(): IterableIterator<[string, string]>
+    keys(): IterableIterator<string>
+    values(): IterableIterator<string>
+    [Symbol.iterator](): IterableIterator<[string, string]>
+    toString(): string
+    toJSON(): string
+  }
+
+  /**
+   * Media type parsed as in the {@link https://mimesniff.spec.whatwg.org/#parsing-a-mime-type MIME Sniffing} standard, for runtimes without node:util
+   * @see https://nodejs.org/api/util.html#class-utilmimetype
+   */
+  export class MIMEType {
+    /**
+     * @throws {SyntaxError} Invalid mediaType
+     */
+    constructor(input: string)
+
+    /**
+     * @throws {SyntaxError} Invalid type
+     */
+    type: string
+
+    /**
+     * @throws {SyntaxError} Invalid subtype
+     */
+    subtype: string
+    readonly essence: string
+    readonly params: MIMEParams
+    toString(): string
+    toJSON(): string
+  }
+
+  /**
+   * Event of the database, whose detail is the update list or the error
+   */
+  export interface MediaTypesEvent<T> extends Event {
+    readonly detail: T
+  }
+
+  /**
+   * @classdesc Runtime-agnostic compilation of media types that may be periodically updated. It only needs fetch, so it also runs in browsers, Deno and edge runtimes
+   *
+   * @emits Core#update
+   * @emits Core#error
+   */
+  export default class Core extends EventTarget {
+
+    /**
+     * Class of the media types returned, following the {@link https://mimesniff.spec.whatwg.org/#mime-type-representation MIME Sniffing} standard
+     */
+    static MIMEType: typeof MIMEType
+
+    /**
+     * Web Crypto the pinned checksums of the lists are verified with. Defaults to the global one
+     */
+    static crypto: Crypto
+
+    /**
+     * Create a Core class
+     * @param {number} [updateInterval=86400000] - Periodic database update in milliseconds. if less than zero, will be disabled
+     * @param {Object} [options]
+     * @param {Source[]} [options.sources] - Lists the database is updated from. Defaults to Apache, Debian, NGINX and the IANA registry
+     * @param {Storage|null} [options.storage] - Adapter that loads and persists the database, such as one over localStorage or KV. Defaults to the database shipped with the module, in memory only
+     * @param {string[]} [options.priority] - Names of the sources from the most to the least trusted when choosing the preferred media type. Defaults to the order of the sources
+     * @param {number} [options.timeout=30000] - Time in milliseconds to wait for each list, including its content, before giving up
+     * @param {function(string, Object): Promise<Response>} [options.fetch] - Implementation of fetch the lists are requested with, such as one through a proxy or with the credentials of a mirror. Defaults to the global one
+     * @param {number} [options.maxChange=Infinity] - Maximum fraction of the media types of a source that an update may add or remove, such as 0.5 for half of them. A list that changes more is rejected
+     * @param {string[]} [options.topLevelTypes] - Top-level types the lists may have, such as image. A list with any other is rejected. Defaults to the ones in the IANA registry and the unregistered ones the default sources list
+     * @see https://developer.mozilla.org/en-US/docs/Web/API/setInterval#delay
+     *
+     * @throws {TypeError} Invalid updateInterval
+     * @throws {TypeError} Invalid sources
+     * @throws {TypeError} Invalid storage
+     * @throws {TypeError} Invalid priority
+     * @throws {TypeError} Invalid timeout
+     * @throws {TypeError} Invalid fetch
+     * @throws {TypeError} Invalid maxChange
+     * @throws {TypeError} Invalid topLevelTypes
+     * @throws {TypeError|SyntaxError} Invalid name
+     * @throws {TypeError|SyntaxError} Invalid url
+     * @throws {TypeError} Invalid parser
+     * @throws {TypeError|SyntaxError} Invalid sha256
+     * @throws {TypeError} Invalid minEntries
+     * @throws {AggregateError} Invalid arguments
+     */
+    constructor (updateInterval?: number, options?: Options)
+
+    /**
+     * @default '86400000'
+     *
+     * @throws {TypeError} Invalid updateInterval
+     * 
+     * @see https://developer.mozilla.org/en-US/docs/Web/API/setInterval#delay
+     */
+    set updateInterval(param: number)
+    get updateInterval(): number
+
+    /**
+     * Names of the sources from the most to the least trusted. If undefined, the order of the sources
+     *
+     * @throws {TypeError} Invalid priority
+     */
+    set priority(param: string[] | undefined)
+    get priority(): string[]
+
+    get versions(): Versions
+
+    /**
+     * Settles once the database has been loaded from the storage. The changes made before are applied again over it, and then saved
+     */
+    get ready(): Promise<void>
+
+    get sources(): Source[]
+
+    get list(): Record<string, MIMEType[]>
+
+    /**
+     * Media types of the file names and {@link https://specifications.freedesktop.org/shared-mime-info-spec/latest/ar01s02.html#id-1.3.8 glob patterns}
+     */
+    get globs(): Record<string, MIMEType[]>
+
+    /**
+     * Local changes applied over the lists of the sources
+     */
+    get overrides(): Overrides
+
+    /**
+     * @method
+     * @param {boolean} [force=false] - Force update even if no version changes
+     * @param {Object} [options]
+     * @param {boolean} [options.reconcile=false] - Rebuild the contribution of every source from scratch, even if no version changes, removing what a source no longer lists. Otherwise the update only adds media types. If all of them are loaded, the media types that no source lists any more are removed, including the ones of a database without provenance, which are told under unattributed. The local changes are kept
+     * @param {AbortSignal} [options.signal] - Cancels the update, which is then rejected with its reason
+     * @see https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/If-None-Match
+     *
+     * @throws {TypeError} Invalid reconcile
+     * @throws {TypeError} Invalid signal
+     *
+     * @return {Promise<Object.<string, Diff>>} Changes made by each source that was loaded, and the unattributed removals of a reconcile. Rejected with the reason, and the database untouched, if a list fails its checks: Invalid checksum, Invalid entries, Invalid type or Invalid changes, with the name of the source as the cause. Rejected with an AggregateError, Invalid sources, whose cause is the names of the sources that could not be loaded, such as on a network error, once the other ones are applied. Either is also emitted as an error, unless the update is cancelled
+     */
+    update(force?: boolean, options?: { reconcile?: boolean, signal?: AbortSignal }): Promise<Record<string, Diff>>
+
+    /**
+     * Stops the periodic update, cancels the ones in progress and closes the storage
+     *
+     * @return {Promise<void>} Settles once the updates in progress have been cancelled and the changes made have been saved
+     */
+    close(): Promise<void>
+
+    /**
+     * Closes the instance at the end of an await using block
+     * @see https://github.com/tc39/proposal-explicit-resource-management
+     */
+    [Symbol.asyncDispose](): Promise<void>
+
+    /**
+     * @param {Source} source
+     *
+     * @throws {TypeError|SyntaxError} Invalid name
+     * @throws {TypeError|SyntaxError} Invalid url
+     * @throws {TypeError} Invalid parser
+     * @throws {TypeError|SyntaxError} Invalid sha256
+     * @throws {TypeError} Invalid minEntries
+     * @throws {AggregateError} Invalid arguments
+     *
+     * @return {boolean} False if there is already a source with the same name
+     */
+    addSource(source: Source): boolean
+
+    /**
+     * @param {string} name - Name of the source
+     *
+     * @throws {TypeError} Invalid name
+     *
+     * @return {boolean}
+     */
+    deleteSource(name: string): boolean
+
+    /**
+     * @param {string} path - File path. Its name is first matched against the globs, then the longest registered extension is used, so backup.tar.gz matches tar.gz before gz
+     * @see https://nodejs.org/api/path.html#pathparsepath
+     *
+     * @throws {TypeError} Invalid path
+     * @throws {SyntaxError} Invalid extension
+     *
+     * @return {MIMEType[]}
+     */
+    get(path: string): MIMEType[]
+
+    /**
+     * @param {string} path - File path
+     * @see https://nodejs.org/api/path.html#pathparsepath
+     *
+     * @throws {TypeError} Invalid path
+     * @throws {SyntaxError} Invalid extension
+     *
+     * @return {MIMEType|undefined} The media type of the most trusted source, preferring the standards tree over the vendor and unregistered ones, and the current over the deprecated and obsolete ones
+     */
+    getPreferred(path: string): MIMEType | undefined
+
+    /**
+     * @param {string} path - File path
+     * @see https://nodejs.org/api/path.html#pathparsepath
+     *
+     * @throws {TypeError} Invalid path
+     * @throws {SyntaxError} Invalid extension
+     *
+     * @return {Array<{ type: MIMEType, sources: string[], addedAt: Date|undefined }>} Media types of the file, from the preferred one, with the sources that list them (local for the set and import methods) and when they were added. Media types matched by a glob, or loaded from a database without that record, have neither
+     */
+    explain(path: string): Array<{ type: MIMEType, sources: string[], addedAt: Date | undefined }>
+
+    /**
+     * @param {string} path - File path
+     * @param {Object} [options]
+     * @param {boolean} [options.encoding=true] - Whether a compression extension, such as gz in app.js.gz, is the content encoding of the inner file. If false, the media type of the compressed file itself, to download it as is
+     * @see https://www.rfc-editor.org/rfc/rfc9110#name-content-encoding
+     *
+     * @throws {TypeError} Invalid path
+     * @throws {SyntaxError} Invalid extension
+     * @throws {TypeError} Invalid encoding
+     *
+     * @return {{ type: MIMEType|undefined, encoding: string|undefined }} Preferred media type and Content-Encoding of the file. Compound extensions registered with their own media type, such as tar.gz, are not decoded
+     */
+    lookup(path: string, options?: { encoding?: boolean }): { type: MIMEType | undefined, encoding: string | undefined }
+
+    /**
+     * @param {string} path - File path
+     * @param {Object} [options]
+     * @param {string|false} [options.charset] - Charset of textual media types, such as text/*, JSON and JavaScript. By default, utf-8 unless the database sets one. If false, none is added
+     * @param {boolean} [options.encoding=false] - Whether a compression extension is the content encoding of the inner file, as in the lookup
+     * @see https://www.rfc-editor.org/rfc/rfc9110#name-content-type
+     *
+     * @throws {TypeError} Invalid path
+     * @throws {SyntaxError} Invalid extension
+     * @throws {TypeError|SyntaxError} Invalid charset
+     * @throws {TypeError} Invalid encoding
+     *
+     * @return {string|undefined} Content-Type header field value of the preferred media type
+     */
+    contentType(path: string, options?: { charset?: string | false, encoding?: boolean }): string | undefined
+
+    /**
+     * @param {string} [accept='*\/*'] - {@link https://www.rfc-editor.org/rfc/rfc9110#name-accept Accept} header field value
+     * @param {string|Array<string|MIMEType>} [candidates] - File path whose media types will be ranked, or the media types available. If omitted, the media ranges of the header are ranked
+     *
+     * @throws {TypeError} Invalid accept
+     * @throws {TypeError|SyntaxError} Invalid candidates
+     * @throws {TypeError} Invalid path
+     * @throws {SyntaxError} Invalid extension
+     *
+     * @return {MIMEType[]} Acceptable media types, from the most to the least preferred
+     */
+    negotiate(accept?: string, candidates?: string | Array<string | MIMEType>): MIMEType[]
+
+    /**
+     * @param {ArrayBuffer|ArrayBufferView} buffer - Leading bytes of the content
+     * @param {string} [path] - File path whose media types will be cross-checked against the content
+     * @see https://mimesniff.spec.whatwg.org
+     *
+     * @throws {TypeError} Invalid buffer
+     * @throws {TypeError} Invalid path
+     * @throws {SyntaxError} Invalid extension
+     *
+     * @return {MIMEType[]} Media types identified by the content, from the most to the least specific. If a path is given, only its media types that the content confirms
+     */
+    detect(buffer: ArrayBuffer | ArrayBufferView, path?: string): MIMEType[]
+
+    /**
+     * @param {string} mediaType - {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Basics_of_HTTP/MIME_types#structure_of_a_mime_type IANA media types}
+     *
+     * @throws {TypeError|SyntaxError} Invalid mediaType
+     *
+     * @return {string[]} Extensions associated with the media type essence, from the most to the least preferred: its usual one, then the ones whose preferred media type it is
+     */
+    extensions(mediaType: string): string[]
+
+    /**
+     * @param {string} mediaType - {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Basics_of_HTTP/MIME_types#structure_of_a_mime_type IANA media types}
+     *
+     * @throws {TypeError|SyntaxError} Invalid mediaType
+     *
+     * @return {string|undefined} Preferred extension for the media type essence
+     */
+    extension(mediaType: string): string | undefined
+
+    /**
+     * @param {Object} query - Criteria that the media types meet all of
+     * @param {string} [query.type] - Top-level type, such as image
+     * @param {string} [query.subtype] - Subtype, such as svg+xml
+     * @param {string} [query.suffix] - {@link https://www.rfc-editor.org/rfc/rfc6838#section-4.2.8 Structured syntax suffix}, such as xml or +xml
+     * @param {'standards'|'vnd'|'prs'|'x'} [query.tree] - {@link https://www.rfc-editor.org/rfc/rfc6838#section-3 Registration tree}
+     * @param {string} [query.essence] - Media type or range, such as text/*
+     *
+     * @throws {TypeError} Invalid query
+     * @throws {TypeError} Invalid type
+     * @throws {TypeError} Invalid subtype
+     * @throws {TypeError} Invalid suffix
+     * @throws {TypeError|SyntaxError} Invalid tree
+     * @throws {TypeError|SyntaxError} Invalid essence
+     * @throws {AggregateError} Invalid arguments
+     *
+     * @return {Array<{ extension: string, mediaType: MIMEType }>} Each extension of the list with each of its media types that match, without the globs
+     */
+    find(query: {
+      type?: string,
+      subtype?: string,
+      suffix?: string,
+      tree?: 'standards' | 'vnd' | 'prs' | 'x',
+      essence?: string
+    }): Array<{ extension: string, mediaType: MIMEType }>
+
+    /**
+     * @param {string} mediaType - {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Basics_of_HTTP/MIME_types#structure_of_a_mime_type IANA media types}
+     * @see https://www.iana.org/assignments/media-types/media-types.xhtml
+     *
+     * @throws {TypeError|SyntaxError} Invalid mediaType
+     *
+     * @return {Metadata|undefined} Registration of the media type essence in the IANA registry. Undefined if it is not registered
+     */
+    metadata(mediaType: string): Metadata | undefined
+
+    /**
+     * @param {Format} [format='json'] - {@link https://github.com/apache/httpd/blob/trunk/docs/conf/mime.types mime.types} file, NGINX {@link https://nginx.org/en/docs/http/ngx_http_core_module.html#types types} block, Apache {@link https://httpd.apache.org/docs/current/mod/mod_mime.html#addtype AddType} directives, HAProxy/Caddy map or JSON
+     *
+     * @throws {TypeError|SyntaxError} Invalid format
+     *
+     * @return {string} The list sorted by extension or media type. Except for JSON, which has all the media types, each extension is mapped to its preferred media type
+     */
+    export(format?: Format): string
+
+    /**
+     * @param {string|ArrayBuffer|ArrayBufferView|AsyncIterable} source - The list itself or a stream of it
+     * @param {Object} [options]
+     * @param {Format} [options.format='mime.types'] - Same formats as the export. The mime.types one also reads NGINX types blocks
+     *
+     * @throws {TypeError} Invalid source
+     * @throws {TypeError|SyntaxError} Invalid format
+     *
+     * @return {Promise<Object.<string, MIMEType[]>>} Extensions with the media types that were added
+     */
+    import(source: string | ArrayBuffer | ArrayBufferView | AsyncIterable<string | ArrayBufferView>, options?: { format?: Format }): Promise<Record<string, MIMEType[]>>
+
+    /**
+     * @param {string} extension - File extension
+     * @param {string} mediaType - {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Basics_of_HTTP/MIME_types#structure_of_a_mime_type IANA media types}
+     *
+     * @throws {TypeError|SyntaxError} Invalid extension
+     * @throws {TypeError|SyntaxError} Invalid mediaType
+     * @throws {AggregateError} Invalid arguments
+     *
+     * @return {boolean}
+     */
+    set(extension: string, mediaType: string): boolean
+
+    /**
+     * @param {string} extension - File extension
+     * @param {string} mediaType - {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Basics_of_HTTP/MIME_types#structure_of_a_mime_type IANA media types}
+     *
+     * @throws {TypeError|SyntaxError} Invalid extension
+     * @throws {TypeError|SyntaxError} Invalid mediaType
+     * @throws {AggregateError} Invalid arguments
+     *
+     * @return {boolean} False if the extension does not have the media type, which the sources still do not add from then on
+     */
+    delete(extension: string, mediaType: string): boolean
+
+    /**
+     * @param {string} extension - File extension
+     * @param {string} mediaType - {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Basics_of_HTTP/MIME_types#structure_of_a_mime_type IANA media types}. It is also set, if the extension does not have it
+     *
+     * @throws {TypeError|SyntaxError} Invalid extension
+     * @throws {TypeError|SyntaxError} Invalid mediaType
+     * @throws {AggregateError} Invalid arguments
+     *
+     * @return {boolean}
+     */
+    pin(extension: string, mediaType: string): boolean
+
+    /**
+     * @param {string} extension - File extension
+     *
+     * @throws {TypeError|SyntaxError} Invalid extension
+     *
+     * @return {boolean}
+     */
+    unpin(extension: string): boolean
+
+    /**
+     * @param {string} pattern - File name, such as Dockerfile, or {@link https://specifications.freedesktop.org/shared-mime-info-spec/latest/ar01s02.html#id-1.3.8 glob pattern}, such as *.config.js. Case insensitive
+     * @param {string} mediaType - {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Basics_of_HTTP/MIME_types#structure_of_a_mime_type IANA media types}
+     *
+     * @throws {TypeError|SyntaxError} Invalid pattern
+     * @throws {TypeError|SyntaxError} Invalid mediaType
+     * @throws {AggregateError} Invalid arguments
+     *
+     * @return {boolean}
+     */
+    setGlob(pattern: string, mediaType: string): boolean
+
+    /**
+     * @param {string} pattern - File name or {@link https://specifications.freedesktop.org/shared-mime-info-spec/latest/ar01s02.html#id-1.3.8 glob pattern}
+     * @param {string} mediaType - {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Basics_of_HTTP/MIME_types#structure_of_a_mime_type IANA media types}
+     *
+     * @throws {TypeError|SyntaxError} Invalid pattern
+     * @throws {TypeError|SyntaxError} Invalid mediaType
+     * @throws {AggregateError} Invalid arguments
+     *
+     * @return {boolean}
+     */
+    deleteGlob(pattern: string, mediaType: string): boolean
+
+    addEventListener(type: 'update', listener: (event: MediaTypesEvent<Record<string, Diff>>) => void, options?: boolean | AddEventListenerOptions): void
+    addEventListener(type: 'error', listener: (event: MediaTypesEvent<Error>) => void, options?: boolean | AddEventListenerOptions): void
+    addEventListener(type: string, listener: EventListenerOrEventListenerObject | null, options?: boolean | AddEventListenerOptions): void
+  }
+}
@@ -0,0 +1,2222 @@
+'use strict'
+
+const { MIMEType } = require('./mimetype.js')
+const { SNIFF_SIZE, sniff } = require('./signatures.js')
+const { parsers, serializers } = require('./formats.js')
+
+const TEXTUAL = [
+  'application/ecmascript',
+  'application/javascript',
+  'application/json',
+  'application/sql',
+  'application/toml',
+  'application/x-javascript',
+  'application/x-sh',
+  'application/xml',
+  'application/yaml'
+]
+
+// https://httpd.apache.org/docs/current/mod/mod_mime.html#addencoding
+const ENCODINGS = {
+  br: 'br',
+  bz2: 'bzip2',
+  gz: 'gzip',
+  z: 'compress',
+  zst: 'zstd'
+}
+
+// file names without a meaningful extension
+const GLOBS = {
+  '.env*': ['text/plain'],
+  '.editorconfig': ['text/plain'],
+  '.gitattributes': ['text/plain'],
+  '.gitignore': ['text/plain'],
+  '.htaccess': ['text/plain'],
+  '.npmrc': ['text/plain'],
+  '*.config.js': ['text/javascript'],
+  AUTHORS: ['text/plain'],
+  CHANGELOG: ['text/plain'],
+  'CMakeLists.txt': ['text/x-cmake'],
+  Containerfile: ['text/x-dockerfile'],
+  COPYING: ['text/plain'],
+  Dockerfile: ['text/x-dockerfile'],
+  Gemfile: ['text/x-ruby'],
+  GNUmakefile: ['text/x-makefile'],
+  Jenkinsfile: ['text/x-groovy'],
+  LICENSE: ['text/plain'],
+  Makefile: ['text/x-makefile'],
+  Rakefile: ['text/x-ruby'],
+  README: ['text/plain'],
+  Vagrantfile: ['text/x-ruby']
+}
+
+// first delay before retrying a periodic update that failed, doubled on each attempt
+const RETRY_DELAY = 60000
+
+const asyncDispose = Symbol.asyncDispose ?? Symbol.for('nodejs.asyncDispose') // not global before Node 20.4
+
+// https://www.iana.org/assignments/media-types/media-types.xhtml
+const IANA = 'https://www.iana.org/assignments/media-types/'
+
+// https://www.iana.org/assignments/top-level-media-types, but example, and the unregistered ones the default sources list
+const TOP_LEVEL_TYPES = ['application', 'audio', 'chemical', 'font', 'haptics', 'image', 'message', 'model', 'multipart', 'text', 'video', 'x-conference', 'x-epoc']
+
+const SOURCES = [
+  {
+    name: 'apache',
+    url: 'https://raw.githubusercontent.com/apache/httpd/trunk/docs/conf/mime.types' // https://github.com/apache/httpd/blob/trunk/docs/conf/mime.types
+  },
+  {
+    name: 'debian',
+    url: 'https://salsa.debian.org/debian/media-types/-/raw/master/mime.types' // https://salsa.debian.org/debian/media-types/-/blob/master/mime.types
+  },
+  {
+    name: 'nginx',
+    url: 'https://raw.githubusercontent.com/nginx/nginx/master/conf/mime.types' // https://github.com/nginx/nginx/blob/master/conf/mime.types
+  },
+  {
+    name: 'iana',
+    url: ['application', 'audio', 'font', 'haptics', 'image', 'message', 'model', 'multipart', 'text', 'video'].map(type => `${IANA}${type}.csv`),
+    parser: parseRegistry
+  }
+]
+
+function parseRegistry (text) {
+  return text
+    .split(/\r?\n/)
+    .reduce((curr, line) => {
+      const [name, template, reference] = Array.from(line.matchAll(/(?:^|,)("(?:[^"]|"")*"|[^,]*)/g), ([, field]) => field.replace(/^"([^]*)"$/, '$1').replace(/""/g, '"').trim())
+
+      if (!template || template === 'Template') { // header of each file, or a type obsoleted without a template
+        return curr
+      }
+
+      curr.push({
+        mediaType: template,
+        extensions: [],
+        status: /\bOBSOLETE/i.test(name) ? 'obsolete' : /\bDEPRECATED/i.test(name) ? 'deprecated' : 'registered',
+        template: IANA + template,
+        reference
+      })
+
+      return curr
+    }, [])
+}
+
+// https://www.rfc-editor.org/rfc/rfc9239#section-6
+const DEPRECATED = [
+  'application/ecmascript',
+  'application/javascript',
+  'application/x-ecmascript',
+  'application/x-javascript',
+  'text/ecmascript',
+  'text/javascript1.0',
+  'text/javascript1.1',
+  'text/javascript1.2',
+  'text/javascript1.3',
+  'text/javascript1.4',
+  'text/javascript1.5',
+  'text/jscript',
+  'text/livescript',
+  'text/x-ecmascript',
+  'text/x-javascript'
+]
+
+// usual extension of media types whose lists give another one first, such as mpga before mp3
+const EXTENSIONS = {
+  'audio/mp4': 'm4a',
+  'audio/mpeg': 'mp3',
+  'audio/ogg': 'ogg',
+  'text/plain': 'txt',
+  'text/x-c': 'c',
+  'video/quicktime': 'mov'
+}
+
+class MediaTypesEvent extends Event { // as a CustomEvent, which is not global before Node 19
+  constructor (type, detail) {
+    super(type)
+
+    this.detail = detail
+  }
+}
+
+function embeddedStorage () { // the database shipped with the module, bundled along with it
+  return {
+    load: () => require('./DB.json'),
+    save: () => {}
+  }
+}
+
+function removeDuplicates (array) {
+  return array.filter((v, i, a) => a.findIndex(t => t.essence === v.essence) === i)
+}
+
+function select (list, predicate) { // media types of each extension that pass the predicate, leaving out the extensions without any
+  return Object.keys(list).reduce((acc, extension) => {
+    const mediaTypes = list[extension].filter(mediaType => predicate(extension, mediaType))
+
+    if (mediaTypes.length) {
+      acc[extension] = mediaTypes
+    }
+
+    return acc
+  }, {})
+}
+
+const TREES = ['standards', 'vnd', 'prs', 'x']
+
+function treeOf ({ subtype }) { // https://www.rfc-editor.org/rfc/rfc6838#section-3
+  if (/^x[.-]/.test(subtype)) {
+    return 'x'
+  }
+
+  return /^(vnd|prs)\./.exec(subtype)?.[1] ?? 'standards'
+}
+
+function registrationTree (mediaType) {
+  return { standards: 0, vnd: 1, prs: 1, x: 2 }[treeOf(mediaType)]
+}
+
+function suffixOf ({ subtype }) { // https://www.rfc-editor.org/rfc/rfc6838#section-4.2.8
+  const i = subtype.lastIndexOf('+')
+
+  return i < 0 ? undefined : subtype.slice(i + 1)
+}
+
+function versionOf (responses) { // a source with several lists only has a version if all of them have one
+  const etags = responses.map(res => res.etag)
+
+  return etags.every(Boolean) ? etags.join(',') : ''
+}
+
+async function sha256 (subtle, text) { // of the list as UTF-8, in hexadecimal as sha256sum prints it
+  const hash = await subtle.digest('SHA-256', new TextEncoder().encode(text))
+
+  return Array.from(new Uint8Array(hash), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+function unref (timer) { // so that the timer does not keep the process alive, where the runtime supports it
+  timer?.unref?.()
+
+  return timer
+}
+
+function isURL (url) {
+  try {
+    return Boolean(new URL(url))
+  } catch (err) {
+    return false
+  }
+}
+
+function own (object, key) { // so that an extension such as constructor does not read the prototype of the object
+  return Object.hasOwn(object, key) ? object[key] : undefined
+}
+
+function basename (path) { // as in path.posix.parse(path).base, without node:path
+  return path.replace(/\/+$/, '').split('/').pop()
+}
+
+function compileGlob (pattern) { // https://specifications.freedesktop.org/shared-mime-info-spec/latest/ar01s02.html#id-1.3.8
+  return new RegExp(`^${pattern.replace(/\[(!?)([^\]]+)\]|([*?])|[\\^$.|+(){}[\]]/g, (token, negation, set, wildcard) => {
+    if (set) {
+      return `[${negation ? '^' : ''}${set.replace(/[\\^[]/g, '\\$&')}]`
+    } else if (wildcard) {
+      return wildcard === '*' ? '.*' : '.'
+    }
+
+    return `\\${token}`
+  })}$`, 'is')
+}
+
+function isGlob (pattern) {
+  try {
+    return Boolean(compileGlob(pattern))
+  } catch (err) {
+    return false
+  }
+}
+
+function isLiteral (pattern) {
+  return !/[*?[]/.test(pattern)
+}
+
+function splitList (header) { // on the commas outside quoted strings (RFC 9110, 5.6.1), in a single pass
+  const items = []
+
+  let start = 0
+  let quoted = false
+
+  for (let i = 0; i < header.length; i++) {
+    if (quoted && header[i] === '\\') {
+      i++
+    } else if (header[i] === '"') {
+      quoted = !quoted
+    } else if (header[i] === ',' && !quoted) {
+      items.push(header.slice(start, i))
+      start = i + 1
+    }
+  }
+
+  return items.concat(header.slice(start))
+}
+
+function isTextual (mediaType) {
+  return mediaType.type === 'text' || /\+(json|xml|yaml)$/.test(mediaType.subtype) || TEXTUAL.includes(mediaType.essence)
+}
+
+function conforms (mediaType, essence) { // whether a media type is a specialization of a sniffed one
+  return mediaType.essence === essence ||
+    (essence === 'application/zip' && mediaType.subtype.endsWith('+zip')) ||
+    (essence === 'text/xml' && /(^|\+)xml$/.test(mediaType.subtype)) ||
+    (essence === 'text/plain' && isTextual(mediaType))
+}
+
+/**
+ * @class
+ * @classdesc Runtime-agnostic compilation of media types that may be periodically updated. It only needs fetch, so it also runs in browsers, Deno and edge runtimes
+ *
+ * @emits Core#update
+ * @emits Core#error
+ *
+ * @typedef {Object.<string, string>} Versions - Version (ETag) of the last list loaded from each source
+ *
+ * @typedef {Object} Source
+ * @property {string} Source.name - Unique name of the source
+ * @property {string|string[]} Source.url - URL of the list, or of each part of it
+ * @property {Parser} [Source.parser] - Parser of the list. Defaults to the {@link https://github.com/apache/httpd/blob/trunk/docs/conf/mime.types mime.types} format, including the NGINX {@link https://nginx.org/en/docs/http/ngx_http_core_module.html#types types} block
+ * @property {string|string[]} [Source.sha256] - Pinned SHA-256 of the list, or of each part of it, in hexadecimal. A list with another one is rejected
+ * @property {number} [Source.minEntries] - Minimum number of media types the list must have, below which it is taken as truncated and rejected
+ *
+ * @callback Parser
+ * @param {string} text - Content of the list. The parts of a list are joined by line breaks
+ * @return {Array<{ mediaType: string, extensions: string[] } & Partial<Metadata>>} Records with a status also set the metadata of their media type
+ *
+ * @typedef {Object} Metadata
+ * @property {'registered'|'obsolete'|'deprecated'} Metadata.status - Status in the IANA registry
+ * @property {string} [Metadata.template] - URL of the registration template
+ * @property {string} [Metadata.reference] - Documents that specify the media type, such as [RFC6838]
+ *
+ * @typedef {Object} Diff - Changes made by a source, by extension
+ * @property {{ old: string, new: string }} Diff.version - Version of the list before and after the update
+ * @property {Object.<string, MIMEType[]>} Diff.added - Media types the source added
+ * @property {Object.<string, MIMEType[]>} Diff.removed - Media types the source no longer lists and no other source does. Only on a reconcile
+ * @property {Object.<string, { old: MIMEType, new: MIMEType }>} Diff.changed - Preferred media types that changed
+ *
+ * @typedef {Object} Database
+ * @property {Object.<string, string[]>} Database.mediaTypes
+ * @property {Object.<string, Object.<string, string[]>>} [Database.sources] - Sources that provided each media type (essence) of each extension
+ * @property {Object.<string, Object.<string, string>>} [Database.addedAt] - When each media type (essence) of each extension was added, as an ISO 8601 date
+ * @property {Object.<string, Metadata>} [Database.registry] - Metadata of each media type (essence)
+ * @property {Overrides} [Database.overrides]
+ * @property {GlobOverrides} [Database.globs]
+ * @property {Versions} Database.versions
+ *
+ * @typedef {Object} Overrides - Local changes, kept apart from the lists of the sources and applied over them
+ * @property {Object.<string, string[]>} Overrides.added - Media types added to each extension by the set, pin and import methods
+ * @property {Object.<string, string[]>} Overrides.deleted - Media types (essence) deleted from each extension, which no source adds back
+ * @property {Object.<string, string>} Overrides.pinned - Preferred media type (essence) of each extension, regardless of the sources
+ *
+ * @typedef {Object} GlobOverrides - Local changes to the built-in file names and glob patterns, applied over them
+ * @property {Object.<string, string[]>} GlobOverrides.added - Media types added to each pattern by the setGlob method
+ * @property {Object.<string, string[]>} GlobOverrides.deleted - Built-in media types (essence) deleted from each pattern by the deleteGlob method
+ *
+ * @typedef {Object} Storage
+ * @property {function(): Database|Promise<Database>} Storage.load
+ * @property {function(Database): void|Promise<void>} Storage.save
+ * @property {function(function(Database): void): void} [Storage.watch] - Calls the listener with the database whenever another instance, such as one in another process, saves it. A database that cannot be applied is emitted as an error
+ * @property {function(): boolean|Promise<boolean>} [Storage.lead] - Whether this instance runs the periodic update, so that a single one of the instances sharing the database requests the sources
+ * @property {function(): void|Promise<void>} [Storage.close] - Stops watching the database and gives the lead up, once the instance is closed
+ */
+class Core extends EventTarget {
+  /**
+   * Class of the media types returned, following the {@link https://mimesniff.spec.whatwg.org/#mime-type-representation MIME Sniffing} standard
+   */
+  static MIMEType = MIMEType
+
+  /**
+   * Web Crypto the pinned checksums of the lists are verified with. Defaults to the global one
+   */
+  static crypto = globalThis.crypto
+
+  #MIMEType
+  #crypto
+
+  #mediaTypes
+  #extensions
+  #provenance
+  #addedAt
+  #registry
+  #overrides
+  #globs
+  #globOverrides
+  #patterns
+  #versions
+  #sources
+  #priority
+  #storage
+  #ready
+  #loaded
+  #pending // changes made while an asynchronous load is pending, applied again over what it loads
+  #updateInterval
+  #updateLoop
+  #retryLoop
+  #attempts = 0
+  #timeout
+  #fetch
+  #maxChange
+  #topLevelTypes
+  #updates = new Map()
+  #saves = new Set()
+
+  #formatExtension = /^[a-z0-9!#$&\-^_+]+(\.[a-z0-9!#$&\-^_+]+)*$/i
+
+  /**
+   * Create a Core class
+   * @constructor
+   * @param {number} [updateInterval=86400000] - Periodic database update in milliseconds. if less than zero, will be disabled
+   * @param {Object} [options]
+   * @param {Source[]} [options.sources] - Lists the database is updated from. Defaults to Apache, Debian, NGINX and the IANA registry
+   * @param {Storage|null} [options.storage] - Adapter that loads and persists the database, such as one over localStorage or KV. Defaults to the database shipped with the module, in memory only
+   * @param {string[]} [options.priority] - Names of the sources from the most to the least trusted when choosing the preferred media type. Defaults to the order of the sources
+   * @param {number} [options.timeout=30000] - Time in milliseconds to wait for each list, including its content, before giving up
+   * @param {function(string, Object): Promise<Response>} [options.fetch] - Implementation of fetch the lists are requested with, such as one through a proxy or with the credentials of a mirror. Defaults to the global one
+   * @param {number} [options.maxChange=Infinity] - Maximum fraction of the media types of a source that an update may add or remove, such as 0.5 for half of them. A list that changes more is rejected
+   * @param {string[]} [options.topLevelTypes] - Top-level types the lists may have, such as image. A list with any other is rejected. Defaults to the ones in the IANA registry and the unregistered ones the default sources list
+   * @see https://developer.mozilla.org/en-US/docs/Web/API/setInterval#delay
+   *
+   * @throws {TypeError} Invalid updateInterval
+   * @throws {TypeError} Invalid sources
+   * @throws {TypeError} Invalid storage
+   * @throws {TypeError} Invalid priority
+   * @throws {TypeError} Invalid timeout
+   * @throws {TypeError} Invalid fetch
+   * @throws {TypeError} Invalid maxChange
+   * @throws {TypeError} Invalid topLevelTypes
+   * @throws {TypeError|SyntaxError} Invalid name
+   * @throws {TypeError|SyntaxError} Invalid url
+   * @throws {TypeError} Invalid parser
+   * @throws {TypeError|SyntaxError} Invalid sha256
+   * @throws {TypeError} Invalid minEntries
+   * @throws {AggregateError} Invalid arguments
+   */
+  constructor (updateInterval = 86400000, {
+    sources = SOURCES,
+    storage = embeddedStorage(),
+    priority,
+    timeout = 30000,
+    fetch,
+    maxChange = Infinity,
+    topLevelTypes = TOP_LEVEL_TYPES
+  } = {}) {
+    super()
+
+    if (!Array.isArray(sources)) {
+      throw new TypeError('Invalid sources')
+    }
+
+    if (typeof timeout !== 'number' || !Number.isFinite(timeout) || timeout <= 0) {
+      throw new TypeError('Invalid timeout')
+    }
+
+    if (fetch !== undefined && typeof fetch !== 'function') {
+      throw new TypeError('Invalid fetch')
+    }
+
+    if (typeof maxChange !== 'number' || !(maxChange > 0)) {
+      throw new TypeError('Invalid maxChange')
+    }
+
+    if (!Array.isArray(topLevelTypes) || topLevelTypes.some(type => typeof type !== 'string')) {
+      throw new TypeError('Invalid topLevelTypes')
+    }
+
+    if (storage === null) {
+      storage = embeddedStorage()
+    } else if (
+      typeof storage?.load !== 'function' ||
+      typeof storage?.save !== 'function' ||
+      ['watch', 'lead', 'close'].some(method => storage[method] !== undefined && typeof storage[method] !== 'function')
+    ) {
+      throw new TypeError('Invalid storage')
+    }
+
+    this.#MIMEType = new.target.MIMEType
+    this.#crypto = new.target.crypto
+    this.#storage = storage
+    this.#timeout = timeout
+    this.#fetch = fetch
+    this.#maxChange = maxChange
+    this.#topLevelTypes = topLevelTypes.map(type => type.toLowerCase())
+
+    this.#mediaTypes = {}
+    this.#extensions = {}
+    this.#provenance = {}
+    this.#addedAt = {}
+    this.#registry = {}
+    this.#overrides = { added: {}, deleted: {}, pinned: {} }
+    this.#versions = {}
+    this.#globOverrides = { added: {}, deleted: {} }
+
+    this.#restoreGlobs()
+    this.#sources = []
+
+    this.priority = priority
+
+    sources.forEach(source => this.addSource(source))
+
+    try {
+      const data = storage.load()
+
+      if (typeof data?.then === 'function') {
+        this.#pending = []
+        this.#ready = data.then(data => this.#restore(data)).finally(() => this.#flush())
+      } else {
+        this.#restore(data)
+      }
+    } catch (err) {
+      // an unreadable database falls back to an empty list
+    }
+
+    this.#ready ??= Promise.resolve()
+    this.#loaded = this.#ready.catch(() => {}) // an unreadable database falls back to an empty list
+
+    storage.watch?.(data => {
+      try {
+        this.#refresh(data)
+      } catch (err) { // a database of another shape, which is not applied
+        this.dispatchEvent(new MediaTypesEvent('error', err))
+      }
+    })
+
+    this.updateInterval = updateInterval
+  }
+
+  #restore (data) {
+    const { mediaTypes, sources, addedAt, registry, overrides, globs, versions } = Object(data)
+
+    const list = Object.keys(Object(mediaTypes)).reduce((acc, key) => {
+      acc[key] = mediaTypes[key].map(mediaType => new this.#MIMEType(mediaType))
+
+      return acc
+    }, {})
+
+    this.#mediaTypes = list
+    this.#extensions = {}
+    this.#provenance = structuredClone(Object(sources))
+    this.#addedAt = structuredClone(Object(addedAt))
+    this.#registry = structuredClone(Object(registry))
+    this.#overrides = { added: {}, deleted: {}, pinned: {}, ...structuredClone(Object(overrides)) }
+
+    this.#globOverrides = { added: {}, deleted: {}, ...structuredClone(Object(globs)) }
+
+    this.#restoreGlobs()
+
+    Object.keys(list).forEach(key => list[key].forEach(mediaType => this.#indexExtension(key, mediaType)))
+
+    this.#applyOverrides()
+
+    this.#sources.forEach(({ name }) => {
+      this.#versions[name] = versions?.[name] || ''
+    })
+  }
+
+  #refresh (data) { // the database saved by another instance, whose changes are told as if this one had updated it
+    const versions = { ...this.#versions }
+    const provenance = this.#provenance
+    const list = this.#mediaTypes
+    const before = this.#snapshot()
+
+    this.#restore(data)
+
+    const after = this.#snapshot()
+    const diff = {}
+
+    this.#sources.forEach(({ name }) => {
+      if (versions[name] === this.#versions[name]) {
+        return
+      }
+
+      const listed = (sources, extension, { essence }) => Object.hasOwn(sources, extension) && Boolean(sources[extension][essence]?.includes(name))
+      const kept = (extension, { essence }) => Object.hasOwn(this.#mediaTypes, extension) && this.#mediaTypes[extension].some(mediaType => mediaType.essence === essence)
+
+      diff[name] = {
+        version: {
+          old: versions[name],
+          new: this.#versions[name]
+        },
+        added: select(this.#mediaTypes, (extension, mediaType) => listed(this.#provenance, extension, mediaType) && !listed(provenance, extension, mediaType)),
+        removed: select(list, (extension, mediaType) => listed(provenance, extension, mediaType) && !kept(extension, mediaType)),
+        changed: Object.keys(after).reduce((acc, extension) => {
+          if (before[extension] && String(before[extension]) !== String(after[extension]) && listed(this.#provenance, extension, after[extension])) {
+            acc[extension] = {
+              old: before[extension],
+              new: after[extension]
+            }
+          }
+
+          return acc
+        }, {})
+      }
+    })
+
+    const has = (list, extension, { essence }) => Object.hasOwn(list, extension) && list[extension].some(mediaType => mediaType.essence === essence)
+    const told = (key, extension, mediaType) => Object.values(diff).some(changes => has(changes[key], extension, mediaType))
+    const local = { // what the sources do not tell, such as a set, delete or pin of the other instance
+      added: select(this.#mediaTypes, (extension, mediaType) => !has(list, extension, mediaType) && !told('added', extension, mediaType)),
+      removed: select(list, (extension, mediaType) => !has(this.#mediaTypes, extension, mediaType) && !told('removed', extension, mediaType)),
+      changed: Object.keys(after).reduce((acc, extension) => {
+        if (own(before, extension) && String(before[extension]) !== String(after[extension]) && !Object.values(diff).some(({ changed }) => Object.hasOwn(changed, extension))) {
+          acc[extension] = {
+            old: before[extension],
+            new: after[extension]
+          }
+        }
+
+        return acc
+      }, {})
+    }
+
+    if (Object.values(local).some(changes => Object.keys(changes).length)) {
+      diff.local = local
+    }
+
+    this.dispatchEvent(new MediaTypesEvent('update', diff))
+  }
+
+  #restoreGlobs () { // the local changes over the built-in ones, so that the built-in ones of a later version apply
+    const { added, deleted } = this.#globOverrides
+
+    this.#globs = {}
+
+    for (const pattern of new Set(Object.keys(GLOBS).concat(Object.keys(added)))) {
+      const mediaTypes = (own(GLOBS, pattern) ?? []).concat(own(added, pattern) ?? [])
+        .map(mediaType => new this.#MIMEType(mediaType))
+        .filter(({ essence }) => !own(deleted, pattern)?.includes(essence))
+
+      if (mediaTypes.length) {
+        this.#globs[pattern] = removeDuplicates(mediaTypes)
+      }
+    }
+
+    this.#patterns = Object.keys(this.#globs).reduce((acc, pattern) => {
+      acc[pattern] = compileGlob(pattern)
+
+      return acc
+    }, {})
+  }
+
+  #save () {
+    return this.#storage.save({
+      mediaTypes: Object.keys(this.#mediaTypes).reduce((acc, key) => {
+        acc[key] = this.#mediaTypes[key].map(String)
+
+        return acc
+      }, {}),
+      sources: structuredClone(this.#provenance),
+      addedAt: structuredClone(this.#addedAt),
+      registry: structuredClone(this.#registry),
+      overrides: structuredClone(this.#overrides),
+      globs: structuredClone(this.#globOverrides),
+      versions: { ...this.#versions }
+    })
+  }
+
+  #persist () {
+    if (this.#pending) { // saving now would overwrite the database with an incomplete one
+      return
+    }
+
+    const save = Promise.resolve(this.#save())
+      .catch(err => this.dispatchEvent(new MediaTypesEvent('error', err)))
+      .finally(() => this.#saves.delete(save))
+
+    this.#saves.add(save)
+  }
+
+  #flush () {
+    const changes = this.#pending
+
+    this.#pending = []
+    changes.forEach(change => change())
+    this.#pending = undefined
+
+    if (changes.length) {
+      this.#persist()
+    }
+  }
+
+  #isMediaType (mediaType) {
+    try {
+      return new this.#MIMEType(mediaType)
+    } catch (err) {
+      return false
+    }
+  }
+
+  #indexExtension (extension, mediaType) {
+    this.#extensions[mediaType.essence] = (this.#extensions[mediaType.essence] || []).concat(extension)
+  }
+
+  #unindexExtension (extension, mediaType) {
+    const extensions = this.#extensions[mediaType.essence].filter(ext => ext !== extension)
+
+    if (extensions.length) {
+      this.#extensions[mediaType.essence] = extensions
+    } else {
+      delete this.#extensions[mediaType.essence]
+    }
+  }
+
+  #parseAccept (accept) {
+    return splitList(accept)
+      .reduce((acc, range, index) => {
+        const mediaRange = this.#isMediaType(range.trim())
+
+        if (!mediaRange || (mediaRange.type === '*' && mediaRange.subtype !== '*')) {
+          return acc
+        }
+
+        let quality = '1'
+        let isExtension = false
+
+        for (const [name, value] of [...mediaRange.params]) { // parameters after the weight are accept extensions (RFC 9110, 12.5.1)
+          if (name === 'q' && !isExtension) {
+            quality = value
+            isExtension = true
+          }
+
+          if (isExtension) {
+            mediaRange.params.delete(name)
+          }
+        }
+
+        if (!/^(0(\.\d{0,3})?|1(\.0{0,3})?)$/.test(quality)) {
+          return acc
+        }
+
+        acc.push({
+          mediaRange,
+          quality: Number(quality),
+          specificity: mediaRange.type === '*' ? 0 : mediaRange.subtype === '*' ? 1 : 2 + [...mediaRange.params].length,
+          index
+        })
+
+        return acc
+      }, [])
+  }
+
+  #matchAccept (ranges, mediaType) {
+    return ranges
+      .filter(({ mediaRange }) => (
+        (mediaRange.type === '*' || mediaRange.type === mediaType.type) &&
+        (mediaRange.subtype === '*' || mediaRange.subtype === mediaType.subtype) &&
+        [...mediaRange.params].every(([name, value]) => mediaType.params.get(name)?.toLowerCase() === value.toLowerCase())
+      ))
+      .sort((a, b) => b.specificity - a.specificity || a.index - b.index)
+      .shift()
+  }
+
+  #match (path) {
+    if (typeof path !== 'string') {
+      throw new TypeError('Invalid path')
+    }
+
+    const name = basename(path).trim()
+    const glob = Object.keys(this.#patterns)
+      .filter(pattern => this.#patterns[pattern].test(name))
+      .sort((a, b) => isLiteral(b) - isLiteral(a) || b.length - a.length || (a < b ? -1 : 1))[0] // the exact name, otherwise the longest pattern
+
+    if (glob) {
+      return { extension: '', mediaTypes: this.#globs[glob] } // globs have no sources
+    }
+
+    const extension = this.#extensionOf(path)
+
+    return {
+      extension,
+      mediaTypes: own(this.#mediaTypes, extension) ?? []
+    }
+  }
+
+  #extensionOf (path) {
+    const extensions = basename(path).trim().toLowerCase()
+      .replace(/^\.*[^.]*\.?/, '') // file name, including the leading dots of hidden files
+      .split('.')
+      .map((_, i, parts) => parts.slice(i).join('.'))
+      .filter(extension => this.#formatExtension.test(extension))
+
+    if (!extensions.length) {
+      throw new SyntaxError('Invalid extension')
+    }
+
+    return extensions.find(extension => Object.hasOwn(this.#mediaTypes, extension)) ?? extensions.pop() // longest registered suffix, such as tar.gz over gz
+  }
+
+  #find (essence) {
+    const extension = this.#extensions[essence]?.[0]
+
+    return extension ? this.#mediaTypes[extension].find(mediaType => mediaType.essence === essence) : this.#isMediaType(essence)
+  }
+
+  #attribute (extension, mediaType, source) {
+    const provenance = own(this.#provenance, extension) ?? (this.#provenance[extension] = {})
+    const sources = provenance[mediaType.essence] ??= []
+
+    if (!sources.includes(source)) {
+      sources.push(source)
+    }
+  }
+
+  #isDeleted (extension, essence) {
+    return Object.hasOwn(this.#overrides.deleted, extension) && this.#overrides.deleted[extension].includes(essence)
+  }
+
+  #isPinned (extension, mediaType) {
+    return Object.hasOwn(this.#overrides.pinned, extension) && this.#overrides.pinned[extension] === mediaType.essence
+  }
+
+  #keep (extension, mediaType) { // records a local addition, which lifts its deletion
+    const { added, deleted } = this.#overrides
+    const list = Object.hasOwn(added, extension) ? added[extension] : []
+    let changed = false
+
+    if (this.#isDeleted(extension, mediaType.essence)) {
+      deleted[extension] = deleted[extension].filter(essence => essence !== mediaType.essence)
+
+      if (!deleted[extension].length) {
+        delete deleted[extension]
+      }
+
+      changed = true
+    }
+
+    if (!list.some(MT => new this.#MIMEType(MT).essence === mediaType.essence)) {
+      added[extension] = list.concat(String(mediaType))
+      changed = true
+    }
+
+    return changed
+  }
+
+  #tombstone (extension, essence) { // records a local deletion, which undoes its addition and pin
+    const { added, deleted, pinned } = this.#overrides
+
+    if (Object.hasOwn(added, extension)) {
+      added[extension] = added[extension].filter(mediaType => new this.#MIMEType(mediaType).essence !== essence)
+
+      if (!added[extension].length) {
+        delete added[extension]
+      }
+    }
+
+    if (this.#isPinned(extension, { essence })) {
+      delete pinned[extension]
+    }
+
+    deleted[extension] = (Object.hasOwn(deleted, extension) ? deleted[extension] : []).concat(essence)
+  }
+
+  #applyOverrides () { // the local changes prevail over a database changed elsewhere
+    this.#updateList(this.#overrides.added, 'local')
+
+    for (const extension in this.#overrides.deleted) {
+      this.#overrides.deleted[extension].forEach(essence => this.#remove(extension, essence))
+    }
+  }
+
+  #compareRanks (extension, a, b) { // a media type without provenance, such as one of the shipped database, has no rank to compare
+    const priority = this.#priority ?? this.#sources.map(({ name }) => name)
+    const [sourcesA, sourcesB] = [a, b].map(({ essence }) => own(this.#provenance, extension)?.[essence] ?? [])
+
+    if (!sourcesA.length || !sourcesB.length) {
+      return 0
+    }
+
+    const [rankA, rankB] = [sourcesA, sourcesB].map(sources => Math.min(priority.length, ...sources.map(source => priority.indexOf(source)).filter(i => i >= 0)))
+
+    return rankA - rankB
+  }
+
+  #updateList (content, source) {
+    const list = {}
+
+    for (let extension in content) {
+      extension = extension.trim().toLowerCase()
+
+      const mediaTypes = content[extension].filter(mediaType => !this.#isDeleted(extension, new this.#MIMEType(mediaType).essence))
+
+      if (!mediaTypes.length) {
+        continue
+      }
+
+      mediaTypes.forEach(mediaType => this.#attribute(extension, new this.#MIMEType(mediaType), source))
+
+      if (Object.hasOwn(this.#mediaTypes, extension)) {
+        mediaTypes.forEach(mediaType => {
+          mediaType = new this.#MIMEType(mediaType)
+
+          if (!this.#mediaTypes[extension].some(MT => MT.essence === mediaType.essence)) {
+            this.#mediaTypes[extension] = this.#mediaTypes[extension].concat(mediaType).sort()
+            this.#indexExtension(extension, mediaType)
+
+            list[extension] = (own(list, extension) ?? []).concat(mediaType)
+          }
+        })
+      } else {
+        list[extension] = this.#mediaTypes[extension] = removeDuplicates(mediaTypes.map(mediaType => new this.#MIMEType(mediaType)))
+        list[extension].forEach(mediaType => this.#indexExtension(extension, mediaType))
+      }
+    }
+
+    const now = new Date().toISOString()
+
+    Object.keys(list).forEach(extension => list[extension].forEach(mediaType => {
+      (own(this.#addedAt, extension) ?? (this.#addedAt[extension] = {}))[mediaType.essence] = now
+    }))
+
+    return list
+  }
+
+  #remove (extension, essence) {
+    const i = Object.hasOwn(this.#mediaTypes, extension) ? this.#mediaTypes[extension].findIndex(mediaType => mediaType.essence === essence) : -1
+
+    if (i < 0) {
+      return
+    }
+
+    const mediaType = this.#mediaTypes[extension].splice(i, 1).pop()
+
+    this.#unindexExtension(extension, mediaType)
+
+    delete this.#provenance[extension]?.[essence]
+    delete this.#addedAt[extension]?.[essence]
+
+    if (!this.#mediaTypes[extension].length) {
+      delete this.#mediaTypes[extension]
+      delete this.#provenance[extension]
+      delete this.#addedAt[extension]
+    }
+
+    return mediaType
+  }
+
+  #detach (content, source) { // media types the source no longer lists, which are removed if no other source lists them
+    const list = {}
+
+    for (const extension in this.#provenance) {
+      const essences = (own(content, extension) ?? []).map(mediaType => new this.#MIMEType(mediaType).essence)
+
+      for (const essence in this.#provenance[extension]) {
+        const sources = this.#provenance[extension][essence]
+
+        if (!sources.includes(source) || essences.includes(essence)) {
+          continue
+        }
+
+        this.#provenance[extension][essence] = sources.filter(name => name !== source)
+
+        if (!this.#provenance[extension][essence].length) {
+          const mediaType = this.#remove(extension, essence)
+
+          if (mediaType) {
+            list[extension] = (own(list, extension) ?? []).concat(mediaType)
+          }
+        }
+      }
+    }
+
+    return list
+  }
+
+  #unattributed (names) { // media types that neither one of the given sources nor a local change is known to provide
+    return select(this.#mediaTypes, (extension, { essence }) => !own(this.#provenance, extension)?.[essence]?.some(name => name === 'local' || names.includes(name)))
+  }
+
+  #presume (names) { // attributes the unattributed media types to the given sources, so that they are removed unless listed again
+    for (const extension in this.#mediaTypes) {
+      const provenance = own(this.#provenance, extension) ?? (this.#provenance[extension] = {})
+
+      this.#mediaTypes[extension].forEach(({ essence }) => {
+        const sources = (provenance[essence] ?? []).filter(name => name === 'local' || names.includes(name))
+
+        provenance[essence] = sources.length ? sources : names.slice()
+      })
+    }
+  }
+
+  #snapshot () {
+    return Object.keys(this.#mediaTypes).reduce((acc, extension) => {
+      acc[extension] = this.#preferred({ extension, mediaTypes: this.#mediaTypes[extension] })[0]
+
+      return acc
+    }, {})
+  }
+
+  #reload (source, { content, registry }, reconcile) {
+    const before = this.#snapshot()
+    const removed = reconcile ? this.#detach(content, source) : {} // otherwise the update only appends, so a truncated list wipes nothing out
+
+    Object.assign(this.#registry, registry)
+
+    const added = this.#updateList(content, source)
+    const after = this.#snapshot()
+
+    return {
+      added,
+      removed,
+      changed: Object.keys(after).reduce((acc, extension) => {
+        if (before[extension] && String(before[extension]) !== String(after[extension])) {
+          acc[extension] = {
+            old: before[extension],
+            new: after[extension]
+          }
+        }
+
+        return acc
+      }, {})
+    }
+  }
+
+  #parse (text, parser) {
+    const content = {}
+    const registry = {}
+
+    let entries = 0
+
+    parser(text).forEach(({ mediaType, extensions, ...metadata }) => {
+      const essence = this.#isMediaType(mediaType).essence
+
+      if (!essence) {
+        return
+      }
+
+      entries++
+
+      extensions.forEach(extension => {
+        extension = typeof extension === 'string' ? extension.trim().toLowerCase() : ''
+
+        if (this.#formatExtension.test(extension)) {
+          content[extension] = (own(content, extension) ?? []).concat(mediaType)
+        }
+      })
+
+      if (typeof metadata.status === 'string') {
+        registry[essence] = ['status', 'template', 'reference'].reduce((acc, key) => {
+          if (typeof metadata[key] === 'string') {
+            acc[key] = metadata[key]
+          }
+
+          return acc
+        }, {})
+      }
+    })
+
+    return {
+      entries,
+      content,
+      registry
+    }
+  }
+
+  async #request (url, headers, { signal, requests }) { // gives up after the timeout, including the time to read the content
+    signal.throwIfAborted()
+
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(new DOMException('The operation timed out', 'TimeoutError')), this.#timeout)
+
+    requests.add(controller) // aborted along with the update
+
+    try {
+      const res = await (this.#fetch ?? fetch)(url, { // the global one by the time of the request
+        headers: {
+          'Accept-Encoding': 'identity',
+          ...headers
+        },
+        signal: controller.signal
+      })
+
+      return {
+        status: res.status,
+        etag: res.headers.get('etag'),
+        body: res.status === 200 ? await res.text() : ''
+      }
+    } finally {
+      clearTimeout(timer)
+      requests.delete(controller)
+    }
+  }
+
+  async #load ({ name, url, parser, sha256: checksums }, force, update) { // a single conditional request per list, which is undefined if the source did not change
+    const urls = [].concat(url)
+    const etags = this.#versions[name].split(',')
+    const conditional = !force && etags.length === urls.length
+
+    let responses = await Promise.all(urls.map((url, i) => this.#request(url, conditional && etags[i] ? { 'If-None-Match': etags[i] } : {}, update)))
+
+    if (responses.every(res => res.status === 304)) {
+      return
+    }
+
+    // the lists that did not change are requested again, as the source is loaded as a whole
+    responses = await Promise.all(responses.map((res, i) => res.status === 304 ? this.#request(urls[i], {}, update) : res))
+
+    if (responses.some(res => res.status !== 200)) {
+      throw new Error('Invalid response')
+    }
+
+    const version = versionOf(responses)
+
+    if (!force && (!version || version === this.#versions[name])) { // servers that ignore the If-None-Match header
+      return
+    }
+
+    const bodies = responses.map(res => res.body)
+
+    return {
+      version,
+      checksums: checksums && await Promise.all(bodies.map(body => sha256(this.#crypto.subtle, body))),
+      ...this.#parse(bodies.join('\n'), parser)
+    }
+  }
+
+  #check ({ name, sha256: checksums, minEntries = 0 }, { entries, content, registry, ...load }, presumed) { // before the database is changed, so that a rejected list leaves it untouched. The presumed media types count as the ones of each source
+    if (checksums && [].concat(checksums).some((checksum, i) => checksum.toLowerCase() !== load.checksums[i])) {
+      throw new Error('Invalid checksum', { cause: name })
+    }
+
+    if (entries < minEntries) {
+      throw new Error('Invalid entries', { cause: name })
+    }
+
+    const listed = Object.keys(content).reduce((acc, extension) => {
+      acc[extension] = content[extension].map(mediaType => new this.#MIMEType(mediaType))
+
+      return acc
+    }, {})
+
+    const types = Object.values(listed).flat().map(({ type }) => type).concat(Object.keys(registry).map(essence => essence.split('/')[0]))
+
+    if (types.some(type => !this.#topLevelTypes.includes(type))) {
+      throw new Error('Invalid type', { cause: name })
+    }
+
+    const has = (list, extension, essence) => Boolean(own(list, extension)?.some(mediaType => mediaType.essence === essence))
+
+    let total = 0
+    let changes = 0
+
+    for (const extension in this.#provenance) {
+      for (const essence in this.#provenance[extension]) {
+        if (this.#provenance[extension][essence].includes(name)) {
+          total++
+          changes += !has(listed, extension, essence) // removed
+        }
+      }
+    }
+
+    for (const extension in presumed) {
+      presumed[extension].forEach(({ essence }) => {
+        total++
+        changes += !has(listed, extension, essence) // removed
+      })
+    }
+
+    for (const extension in listed) {
+      removeDuplicates(listed[extension].map(({ essence }) => essence)).forEach(essence => {
+        changes += !this.#isDeleted(extension, essence) && !own(this.#provenance, extension)?.[essence]?.includes(name) && !has(presumed, extension, essence) // added
+      })
+    }
+
+    if (total && changes / total > this.#maxChange) { // a source without media types yet, such as a database without provenance, may add any
+      throw new Error('Invalid changes', { cause: name })
+    }
+  }
+
+  #preferred ({ extension, mediaTypes }) {
+    return mediaTypes.slice().sort((a, b) => (
+      this.#isPinned(extension, b) - this.#isPinned(extension, a) ||
+      this.#compareRanks(extension, a, b) ||
+      registrationTree(a) - registrationTree(b) ||
+      this.#isDeprecated(a) - this.#isDeprecated(b) ||
+      (a.essence < b.essence ? -1 : 1)
+    ))
+  }
+
+  #isDeprecated (mediaType) {
+    return DEPRECATED.includes(mediaType.essence) || ['obsolete', 'deprecated'].includes(this.#registry[mediaType.essence]?.status)
+  }
+
+  /**
+   * @method
+   * @param {boolean} [force=false] - Force update even if no version changes
+   * @param {Object} [options]
+   * @param {boolean} [options.reconcile=false] - Rebuild the contribution of every source from scratch, even if no version changes, removing what a source no longer lists. Otherwise the update only adds media types. If all of them are loaded, the media types that no source lists any more are removed, including the ones of a database without provenance, which are told under unattributed. The local changes are kept
+   * @param {AbortSignal} [options.signal] - Cancels the update, which is then rejected with its reason
+   * @see https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/If-None-Match
+   *
+   * @throws {TypeError} Invalid reconcile
+   * @throws {TypeError} Invalid signal
+   *
+   * @return {Promise<Object.<string, Diff>>} Changes made by each source that was loaded, and the unattributed removals of a reconcile. Rejected with the reason, and the database untouched, if a list fails its checks: Invalid checksum, Invalid entries, Invalid type or Invalid changes, with the name of the source as the cause. Rejected with an AggregateError, Invalid sources, whose cause is the names of the sources that could not be loaded, such as on a network error, once the other ones are applied. Either is also emitted as an error, unless the update is cancelled
+   */
+  update (force = false, { reconcile = false, signal } = {}) {
+    if (typeof reconcile !== 'boolean') {
+      throw new TypeError('Invalid reconcile')
+    }
+
+    if (signal !== undefined && !(signal instanceof AbortSignal)) {
+      throw new TypeError('Invalid signal')
+    }
+
+    const controller = new AbortController()
+    const requests = new Set()
+    const abort = () => controller.abort(signal.reason)
+
+    controller.signal.addEventListener('abort', () => requests.forEach(request => request.abort(controller.signal.reason)))
+    signal?.addEventListener('abort', abort)
+
+    if (signal?.aborted) {
+      abort()
+    }
+
+    const update = this.#update(Boolean(force) || reconcile, reconcile, { signal: controller.signal, requests }).catch(err => {
+      if (!controller.signal.aborted) { // cancelled by its caller or by close
+        /**
+         * Error event
+         *
+         * @event Core#error
+         * @type {MediaTypesEvent} Its detail is the error
+         */
+        this.dispatchEvent(new MediaTypesEvent('error', err))
+      }
+
+      throw err
+    }).finally(() => {
+      signal?.removeEventListener('abort', abort)
+      this.#updates.delete(controller)
+    })
+
+    this.#updates.set(controller, update)
+
+    return update
+  }
+
+  async #update (force, reconcile, update) {
+    const sources = this.#sources.slice()
+    const [results] = await Promise.all([
+      Promise.allSettled(sources.map(source => this.#load(source, force, update))),
+      this.#loaded
+    ])
+
+    update.signal.throwIfAborted()
+
+    this.#attempts = results.some(result => result.status === 'rejected') ? this.#attempts + 1 : 0
+
+    const loaded = results.flatMap((result, i) => result.value?.version ? [{ source: sources[i], load: result.value }] : [])
+    const loads = loaded
+      .filter(({ load }) => Object.keys(load.content).length || Object.keys(load.registry).length) // an empty list does not wipe the source out
+      .map(({ source, load }) => ({ name: source.name, load }))
+    const names = loads.map(({ name }) => name)
+    const presuming = reconcile && loads.length === sources.length // otherwise, what a source that failed lists is unknown
+    const presumed = presuming ? this.#unattributed(names) : {}
+
+    loaded.forEach(({ source, load }) => this.#check(source, load, presumed))
+
+    if (presuming) {
+      this.#presume(names)
+    }
+
+    const isPresumed = (extension, { essence }) => Boolean(own(presumed, extension)?.some(mediaType => mediaType.essence === essence))
+    const diff = {}
+
+    for (const { name, load } of loads) {
+      diff[name] = {
+        version: {
+          old: this.#versions[name],
+          new: load.version
+        },
+        ...this.#reload(name, load, reconcile)
+      }
+
+      this.#versions[name] = load.version
+    }
+
+    const unattributed = {}
+
+    for (const name in diff) { // removed by whichever source was reloaded last, although none of them was known to list them
+      Object.entries(select(diff[name].removed, isPresumed)).forEach(([extension, mediaTypes]) => {
+        unattributed[extension] = (own(unattributed, extension) ?? []).concat(mediaTypes)
+      })
+
+      diff[name].removed = select(diff[name].removed, (extension, mediaType) => !isPresumed(extension, mediaType))
+    }
+
+    if (Object.keys(unattributed).length) {
+      diff.unattributed = { removed: unattributed }
+    }
+
+    if (Object.keys(diff).length) {
+      await this.#save()
+
+      /**
+       * Update event
+       *
+       * @event Core#update
+       * @type {MediaTypesEvent} Its detail is the diff of each source that was loaded
+       */
+      this.dispatchEvent(new MediaTypesEvent('update', diff))
+    }
+
+    const failed = results.flatMap((result, i) => result.status === 'rejected' ? [{ name: sources[i].name, reason: result.reason }] : [])
+
+    if (failed.length) { // once the other sources are applied
+      throw new AggregateError(failed.map(({ reason }) => reason), 'Invalid sources', { cause: failed.map(({ name }) => name) })
+    }
+
+    return diff
+  }
+
+  async #tick () {
+    clearTimeout(this.#retryLoop)
+
+    try {
+      if (this.#storage.lead && (await this.#storage.lead() === false || this.#updateInterval < 0)) { // another instance sharing the database runs it, or this one was closed meanwhile
+        return
+      }
+
+      if (await this.update().then(() => false, err => err?.name === 'AbortError')) { // closed. Otherwise, the update has emitted its error
+        return
+      }
+    } catch (err) {
+      this.dispatchEvent(new MediaTypesEvent('error', err))
+    }
+
+    const backoff = RETRY_DELAY * 2 ** (this.#attempts - 1)
+
+    if (this.#attempts && backoff < this.#updateInterval) { // with jitter, so that instances do not retry all at once
+      this.#retryLoop = unref(setTimeout(() => this.#tick(), backoff * (0.5 + Math.random() / 2)))
+    }
+  }
+
+  /**
+   * Stops the periodic update, cancels the ones in progress and closes the storage
+   *
+   * @method
+   *
+   * @return {Promise<void>} Settles once the updates in progress have been cancelled and the changes made have been saved
+   */
+  async close () {
+    this.updateInterval = -1
+
+    this.#updates.forEach((update, controller) => controller.abort())
+
+    await Promise.allSettled(this.#updates.values())
+    await Promise.all(this.#saves)
+    await this.#storage.close?.()
+  }
+
+  /**
+   * Closes the instance at the end of an await using block
+   * @see https://github.com/tc39/proposal-explicit-resource-management
+   */
+  async [asyncDispose] () {
+    await this.close()
+  }
+
+  /**
+   * @type {number} [updateInterval=86400000]
+   *
+   * @throws {TypeError} Invalid updateInterval
+   *
+   * @see https://developer.mozilla.org/en-US/docs/Web/API/setInterval#delay
+   */
+  set updateInterval (updateInterval = 86400000) {
+    if (
+      typeof updateInterval !== 'number' ||
+            !Number.isFinite(updateInterval) ||
+            Number.isNaN(updateInterval)
+    ) {
+      throw new TypeError('Invalid updateInterval')
+    }
+
+    this.#updateInterval = updateInterval
+
+    clearInterval(this.#updateLoop)
+    clearTimeout(this.#retryLoop)
+
+    if (updateInterval >= 0) {
+      this.#updateLoop = unref(setInterval(() => this.#tick(), this.#updateInterval))
+    }
+  }
+
+  /**
+   * @type {string[]|undefined} Names of the sources from the most to the least trusted. If undefined, the order of the sources
+   *
+   * @throws {TypeError} Invalid priority
+   */
+  set priority (priority) {
+    if (priority !== undefined && (!Array.isArray(priority) || priority.some(name => typeof name !== 'string'))) {
+      throw new TypeError('Invalid priority')
+    }
+
+    this.#priority = priority?.slice()
+  }
+
+  /**
+   * @type {string[]}
+   */
+  get priority () {
+    return (this.#priority ?? this.#sources.map(({ name }) => name)).slice()
+  }
+
+  /**
+   * @type {number}
+   */
+  get updateInterval () {
+    return this.#updateInterval
+  }
+
+  /**
+   * @return {Versions}
+   */
+  get versions () {
+    return this.#versions
+  }
+
+  /**
+   * @return {Promise<void>} Settles once the database has been loaded from the storage. The changes made before are applied again over it, and then saved
+   */
+  get ready () {
+    return this.#ready
+  }
+
+  /**
+   * @return {Source[]}
+   */
+  get sources () {
+    return this.#sources.slice()
+  }
+
+  /**
+   * @return {Object.<string, MIMEType[]>}
+   */
+  get list () {
+    return this.#mediaTypes
+  }
+
+  /**
+   * @return {Overrides} Local changes applied over the lists of the sources
+   */
+  get overrides () {
+    return structuredClone(this.#overrides)
+  }
+
+  /**
+   * @return {Object.<string, MIMEType[]>} Media types of the file names and {@link https://specifications.freedesktop.org/shared-mime-info-spec/latest/ar01s02.html#id-1.3.8 glob patterns}
+   */
+  get globs () {
+    return this.#globs
+  }
+
+  /**
+   * @method
+   * @param {Source} source
+   *
+   * @throws {TypeError|SyntaxError} Invalid name
+   * @throws {TypeError|SyntaxError} Invalid url
+   * @throws {TypeError} Invalid parser
+   * @throws {TypeError|SyntaxError} Invalid sha256
+   * @throws {TypeError} Invalid minEntries
+   * @throws {AggregateError} Invalid arguments
+   *
+   * @return {boolean} False if there is already a source with the same name
+   */
+  addSource (source) {
+    const { name, url, parser = parsers['mime.types'], sha256, minEntries } = Object(source)
+    const errors = []
+
+    if (typeof name !== 'string') {
+      errors.push(new TypeError('Invalid name'))
+    } else if (!/^[\w.-]+$/.test(name)) {
+      errors.push(new SyntaxError('Invalid name'))
+    }
+
+    const urls = Array.isArray(url) ? url : [url]
+
+    if (!urls.length || urls.some(url => typeof url !== 'string')) {
+      errors.push(new TypeError('Invalid url'))
+    } else if (!urls.every(isURL)) {
+      errors.push(new SyntaxError('Invalid url'))
+    }
+
+    if (typeof parser !== 'function') {
+      errors.push(new TypeError('Invalid parser'))
+    }
+
+    if (sha256 !== undefined) {
+      const checksums = Array.isArray(sha256) ? sha256 : [sha256]
+
+      if (checksums.length !== urls.length || checksums.some(checksum => typeof checksum !== 'string')) {
+        errors.push(new TypeError('Invalid sha256'))
+      } else if (!checksums.every(checksum => /^[a-f0-9]{64}$/i.test(checksum))) {
+        errors.push(new SyntaxError('Invalid sha256'))
+      }
+    }
+
+    if (minEntries !== undefined && (!Number.isInteger(minEntries) || minEntries < 0)) {
+      errors.push(new TypeError('Invalid minEntries'))
+    }
+
+    if (errors.length > 1) {
+      throw new AggregateError(errors, 'Invalid arguments')
+    } else if (errors.length === 1) {
+      throw errors.pop()
+    }
+
+    if (this.#sources.some(source => source.name === name)) {
+      return false
+    }
+
+    this.#sources.push(Object.freeze({
+      name,
+      url: Array.isArray(url) ? Object.freeze(url.slice()) : url,
+      parser,
+      ...(sha256 === undefined ? {} : { sha256: Array.isArray(sha256) ? Object.freeze(sha256.slice()) : sha256 }),
+      ...(minEntries === undefined ? {} : { minEntries })
+    }))
+    this.#versions[name] = ''
+
+    return true
+  }
+
+  /**
+   * @method
+   * @param {string} name - Name of the source
+   *
+   * @throws {TypeError} Invalid name
+   *
+   * @return {boolean}
+   */
+  deleteSource (name) {
+    if (typeof name !== 'string') {
+      throw new TypeError('Invalid name')
+    }
+
+    const i = this.#sources.findIndex(source => source.name === name)
+
+    if (i < 0) {
+      return false
+    }
+
+    this.#sources.splice(i, 1)
+
+    delete this.#versions[name]
+
+    return true
+  }
+
+  /**
+   * @method
+   * @param {string} path - File path. Its name is first matched against the globs, then the longest registered extension is used, so backup.tar.gz matches tar.gz before gz
+   * @see https://nodejs.org/api/path.html#pathparsepath
+   *
+   * @throws {TypeError} Invalid path
+   * @throws {SyntaxError} Invalid extension
+   *
+   * @return {MIMEType[]}
+   */
+  get (path) {
+    return this.#match(path).mediaTypes
+  }
+
+  /**
+   * @method
+   * @param {string} path - File path
+   * @see https://nodejs.org/api/path.html#pathparsepath
+   *
+   * @throws {TypeError} Invalid path
+   * @throws {SyntaxError} Invalid extension
+   *
+   * @return {MIMEType|undefined} The media type of the most trusted source, preferring the standards tree over the vendor and unregistered ones, and the current over the deprecated and obsolete ones
+   */
+  getPreferred (path) {
+    return this.#preferred(this.#match(path))[0]
+  }
+
+  /**
+   * @method
+   * @param {string} path - File path
+   * @see https://nodejs.org/api/path.html#pathparsepath
+   *
+   * @throws {TypeError} Invalid path
+   * @throws {SyntaxError} Invalid extension
+   *
+   * @return {Array<{ type: MIMEType, sources: string[], addedAt: Date|undefined }>} Media types of the file, from the preferred one, with the sources that list them (local for the set and import methods) and when they were added. Media types matched by a glob, or loaded from a database without that record, have neither
+   */
+  explain (path) {
+    const match = this.#match(path)
+
+    return this.#preferred(match).map(type => {
+      const addedAt = own(this.#addedAt, match.extension)?.[type.essence]
+
+      return {
+        type,
+        sources: (own(this.#provenance, match.extension)?.[type.essence] ?? []).slice(),
+        addedAt: addedAt ? new Date(addedAt) : undefined
+      }
+    })
+  }
+
+  /**
+   * @method
+   * @param {string} path - File path
+   * @param {Object} [options]
+   * @param {boolean} [options.encoding=true] - Whether a compression extension, such as gz in app.js.gz, is the content encoding of the inner file. If false, the media type of the compressed file itself, to download it as is
+   * @see https://www.rfc-editor.org/rfc/rfc9110#name-content-encoding
+   *
+   * @throws {TypeError} Invalid path
+   * @throws {SyntaxError} Invalid extension
+   * @throws {TypeError} Invalid encoding
+   *
+   * @return {{ type: MIMEType|undefined, encoding: string|undefined }} Preferred media type and Content-Encoding of the file. Compound extensions registered with their own media type, such as tar.gz, are not decoded
+   */
+  lookup (path, { encoding = true } = {}) {
+    if (typeof encoding !== 'boolean') {
+      throw new TypeError('Invalid encoding')
+    }
+
+    const match = this.#match(path)
+
+    if (!encoding || !Object.hasOwn(ENCODINGS, match.extension)) {
+      return {
+        type: this.#preferred(match)[0],
+        encoding: undefined
+      }
+    }
+
+    let type
+
+    try {
+      type = this.getPreferred(path.trimEnd().slice(0, -match.extension.length - 1))
+    } catch (err) {
+      // a compressed file whose name has no other extension
+    }
+
+    return {
+      type,
+      encoding: ENCODINGS[match.extension]
+    }
+  }
+
+  /**
+   * @method
+   * @param {string} path - File path
+   * @param {Object} [options]
+   * @param {string|false} [options.charset] - Charset of textual media types, such as text/*, JSON and JavaScript. By default, utf-8 unless the database sets one. If false, none is added
+   * @param {boolean} [options.encoding=false] - Whether a compression extension is the content encoding of the inner file, as in the lookup
+   * @see https://www.rfc-editor.org/rfc/rfc9110#name-content-type
+   *
+   * @throws {TypeError} Invalid path
+   * @throws {SyntaxError} Invalid extension
+   * @throws {TypeError|SyntaxError} Invalid charset
+   * @throws {TypeError} Invalid encoding
+   *
+   * @return {string|undefined} Content-Type header field value of the preferred media type
+   */
+  contentType (path, { charset, encoding = false } = {}) {
+    if (charset !== undefined && charset !== false && typeof charset !== 'string') {
+      throw new TypeError('Invalid charset')
+    } else if (typeof charset === 'string' && !/^[!#$%&'*+\-.^_`|~0-9a-z]+$/i.test(charset)) {
+      throw new SyntaxError('Invalid charset')
+    }
+
+    const preferred = this.lookup(path, { encoding }).type
+
+    if (!preferred) {
+      return
+    }
+
+    const mediaType = new this.#MIMEType(preferred)
+
+    if (charset !== false && isTextual(mediaType) && (charset || !mediaType.params.has('charset'))) {
+      mediaType.params.set('charset', charset || 'utf-8')
+    }
+
+    return mediaType.toString()
+  }
+
+  /**
+   * @method
+   * @param {string} [accept='*\/*'] - {@link https://www.rfc-editor.org/rfc/rfc9110#name-accept Accept} header field value
+   * @param {string|Array<string|MIMEType>} [candidates] - File path whose media types will be ranked, or the media types available. If omitted, the media ranges of the header are ranked
+   *
+   * @throws {TypeError} Invalid accept
+   * @throws {TypeError|SyntaxError} Invalid candidates
+   * @throws {TypeError} Invalid path
+   * @throws {SyntaxError} Invalid extension
+   *
+   * @return {MIMEType[]} Acceptable media types, from the most to the least preferred
+   */
+  negotiate (accept = '*/*', candidates) {
+    if (typeof accept !== 'string') {
+      throw new TypeError('Invalid accept')
+    }
+
+    const ranges = this.#parseAccept(accept)
+
+    if (candidates === undefined) {
+      return ranges
+        .filter(range => range.quality > 0)
+        .sort((a, b) => b.quality - a.quality || b.specificity - a.specificity || a.index - b.index)
+        .map(range => range.mediaRange)
+    }
+
+    if (typeof candidates === 'string') {
+      candidates = this.get(candidates)
+    } else if (Array.isArray(candidates)) {
+      candidates = candidates.map(candidate => {
+        if (candidate instanceof this.#MIMEType) {
+          return candidate
+        } else if (typeof candidate !== 'string') {
+          throw new TypeError('Invalid candidates')
+        }
+
+        const mediaType = this.#isMediaType(candidate)
+
+        if (!mediaType) {
+          throw new SyntaxError('Invalid candidates')
+        }
+
+        return mediaType
+      })
+    } else {
+      throw new TypeError('Invalid candidates')
+    }
+
+    return candidates
+      .map(mediaType => ({
+        mediaType,
+        range: this.#matchAccept(ranges, mediaType)
+      }))
+      .filter(({ range }) => range?.quality > 0)
+      .sort((a, b) => b.range.quality - a.range.quality || b.range.specificity - a.range.specificity || a.range.index - b.range.index)
+      .map(({ mediaType }) => mediaType)
+  }
+
+  /**
+   * @method
+   * @param {ArrayBuffer|ArrayBufferView} buffer - Leading bytes of the content
+   * @param {string} [path] - File path whose media types will be cross-checked against the content
+   * @see https://mimesniff.spec.whatwg.org
+   *
+   * @throws {TypeError} Invalid buffer
+   * @throws {TypeError} Invalid path
+   * @throws {SyntaxError} Invalid extension
+   *
+   * @return {MIMEType[]} Media types identified by the content, from the most to the least specific. If a path is given, only its media types that the content confirms
+   */
+  detect (buffer, path) {
+    if (ArrayBuffer.isView(buffer)) {
+      buffer = new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+    } else if (buffer instanceof ArrayBuffer) {
+      buffer = new Uint8Array(buffer)
+    } else {
+      throw new TypeError('Invalid buffer')
+    }
+
+    const essences = sniff(buffer.subarray(0, SNIFF_SIZE))
+
+    if (path !== undefined) {
+      return this.get(path).filter(mediaType => essences.some(essence => conforms(mediaType, essence)))
+    }
+
+    return essences.map(essence => this.#find(essence)).filter(Boolean)
+  }
+
+  /**
+   * @method
+   * @param {string} mediaType - {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Basics_of_HTTP/MIME_types#structure_of_a_mime_type IANA media types}
+   *
+   * @throws {TypeError|SyntaxError} Invalid mediaType
+   *
+   * @return {string[]} Extensions associated with the media type essence, from the most to the least preferred: its usual one, then the ones whose preferred media type it is
+   */
+  extensions (mediaType) {
+    if (typeof mediaType !== 'string') {
+      throw new TypeError('Invalid mediaType')
+    }
+
+    mediaType = this.#isMediaType(mediaType)
+
+    if (!mediaType) {
+      throw new SyntaxError('Invalid mediaType')
+    }
+
+    const { essence } = mediaType
+    const extensions = this.#extensions[essence] || []
+    const preferred = extensions.filter(extension => this.#preferred({ extension, mediaTypes: this.#mediaTypes[extension] })[0].essence === essence)
+
+    return extensions.slice().sort((a, b) => ( // stable, so the others keep the order they were listed in
+      (EXTENSIONS[essence] === b) - (EXTENSIONS[essence] === a) ||
+      preferred.includes(b) - preferred.includes(a)
+    ))
+  }
+
+  /**
+   * @method
+   * @param {string} mediaType - {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Basics_of_HTTP/MIME_types#structure_of_a_mime_type IANA media types}
+   *
+   * @throws {TypeError|SyntaxError} Invalid mediaType
+   *
+   * @return {string|undefined} Preferred extension for the media type essence
+   */
+  extension (mediaType) {
+    return this.extensions(mediaType)[0]
+  }
+
+  /**
+   * @method
+   * @param {Object} query - Criteria that the media types meet all of
+   * @param {string} [query.type] - Top-level type, such as image
+   * @param {string} [query.subtype] - Subtype, such as svg+xml
+   * @param {string} [query.suffix] - {@link https://www.rfc-editor.org/rfc/rfc6838#section-4.2.8 Structured syntax suffix}, such as xml or +xml
+   * @param {'standards'|'vnd'|'prs'|'x'} [query.tree] - {@link https://www.rfc-editor.org/rfc/rfc6838#section-3 Registration tree}
+   * @param {string} [query.essence] - Media type or range, such as text/*
+   *
+   * @throws {TypeError} Invalid query
+   * @throws {TypeError} Invalid type
+   * @throws {TypeError} Invalid subtype
+   * @throws {TypeError} Invalid suffix
+   * @throws {TypeError|SyntaxError} Invalid tree
+   * @throws {TypeError|SyntaxError} Invalid essence
+   * @throws {AggregateError} Invalid arguments
+   *
+   * @return {Array<{ extension: string, mediaType: MIMEType }>} Each extension of the list with each of its media types that match, without the globs
+   */
+  find (query) {
+    if (query === null || typeof query !== 'object') {
+      throw new TypeError('Invalid query')
+    }
+
+    const { type, subtype, suffix, tree, essence } = query
+    const errors = []
+
+    Object.entries({ type, subtype, suffix }).forEach(([key, value]) => {
+      if (value !== undefined && typeof value !== 'string') {
+        errors.push(new TypeError(`Invalid ${key}`))
+      }
+    })
+
+    if (tree !== undefined && typeof tree !== 'string') {
+      errors.push(new TypeError('Invalid tree'))
+    } else if (tree !== undefined && !TREES.includes(tree)) {
+      errors.push(new SyntaxError('Invalid tree'))
+    }
+
+    const range = typeof essence === 'string' && this.#isMediaType(essence)
+
+    if (essence !== undefined && typeof essence !== 'string') {
+      errors.push(new TypeError('Invalid essence'))
+    } else if (essence !== undefined && !range) {
+      errors.push(new SyntaxError('Invalid essence'))
+    }
+
+    if (errors.length > 1) {
+      throw new AggregateError(errors, 'Invalid arguments')
+    } else if (errors.length === 1) {
+      throw errors.pop()
+    }
+
+    const matches = mediaType => (
+      (type === undefined || mediaType.type === type.toLowerCase()) &&
+      (subtype === undefined || mediaType.subtype === subtype.toLowerCase()) &&
+      (suffix === undefined || suffixOf(mediaType) === suffix.replace(/^\+/, '').toLowerCase()) &&
+      (tree === undefined || treeOf(mediaType) === tree) &&
+      (!range || ((range.type === '*' || range.type === mediaType.type) && (range.subtype === '*' || range.subtype === mediaType.subtype)))
+    )
+
+    return Object.keys(this.#mediaTypes).flatMap(extension => this.#mediaTypes[extension].filter(matches).map(mediaType => ({ extension, mediaType })))
+  }
+
+  /**
+   * @method
+   * @param {string} mediaType - {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Basics_of_HTTP/MIME_types#structure_of_a_mime_type IANA media types}
+   * @see https://www.iana.org/assignments/media-types/media-types.xhtml
+   *
+   * @throws {TypeError|SyntaxError} Invalid mediaType
+   *
+   * @return {Metadata|undefined} Registration of the media type essence in the IANA registry. Undefined if it is not registered
+   */
+  metadata (mediaType) {
+    if (typeof mediaType !== 'string') {
+      throw new TypeError('Invalid mediaType')
+    }
+
+    mediaType = this.#isMediaType(mediaType)
+
+    if (!mediaType) {
+      throw new SyntaxError('Invalid mediaType')
+    }
+
+    const metadata = this.#registry[mediaType.essence]
+
+    return metadata && { ...metadata }
+  }
+
+  /**
+   * @method
+   * @param {'mime.types'|'nginx'|'addtype'|'map'|'json'} [format='json'] - {@link https://github.com/apache/httpd/blob/trunk/docs/conf/mime.types mime.types} file, NGINX {@link https://nginx.org/en/docs/http/ngx_http_core_module.html#types types} block, Apache {@link https://httpd.apache.org/docs/current/mod/mod_mime.html#addtype AddType} directives, HAProxy/Caddy map or JSON
+   *
+   * @throws {TypeError|SyntaxError} Invalid format
+   *
+   * @return {string} The list sorted by extension or media type. Except for JSON, which has all the media types, each extension is mapped to its preferred media type
+   */
+  export (format = 'json') {
+    if (typeof format !== 'string') {
+      throw new TypeError('Invalid format')
+    } else if (!Object.hasOwn(serializers, format)) {
+      throw new SyntaxError('Invalid format')
+    }
+
+    return serializers[format](Object.keys(this.#mediaTypes).reduce((acc, extension) => {
+      acc[extension] = this.#preferred({ extension, mediaTypes: this.#mediaTypes[extension] })
+
+      return acc
+    }, {}))
+  }
+
+  /**
+   * @method
+   * @param {string|ArrayBuffer|ArrayBufferView|AsyncIterable} source - The list itself or a stream of it
+   * @param {Object} [options]
+   * @param {'mime.types'|'nginx'|'addtype'|'map'|'json'} [options.format='mime.types'] - Same formats as the export. The mime.types one also reads NGINX types blocks
+   *
+   * @throws {TypeError} Invalid source
+   * @throws {TypeError|SyntaxError} Invalid format
+   *
+   * @return {Promise<Object.<string, MIMEType[]>>} Extensions with the media types that were added
+   */
+  async import (source, { format = 'mime.types' } = {}) {
+    if (typeof format !== 'string') {
+      throw new TypeError('Invalid format')
+    } else if (!Object.hasOwn(parsers, format)) {
+      throw new SyntaxError('Invalid format')
+    }
+
+    let text
+
+    if (typeof source === 'string') {
+      text = source
+    } else if (ArrayBuffer.isView(source) || source instanceof ArrayBuffer) {
+      text = new TextDecoder().decode(source)
+    } else if (typeof source?.[Symbol.asyncIterator] === 'function') {
+      const decoder = new TextDecoder()
+
+      text = ''
+
+      for await (const chunk of source) {
+        text += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true })
+      }
+
+      text += decoder.decode()
+    } else {
+      throw new TypeError('Invalid source')
+    }
+
+    const { content } = this.#parse(text, parsers[format])
+
+    await this.#loaded
+
+    const kept = Object.keys(content).flatMap(extension => content[extension].map(mediaType => this.#keep(extension, new this.#MIMEType(mediaType))))
+    const list = this.#updateList(content, 'local')
+
+    if (Object.keys(list).length || kept.includes(true)) {
+      await this.#save()
+    }
+
+    return list
+  }
+
+  /**
+   * @method
+   * @param {string} extension - File extension
+   * @param {string} mediaType - {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Basics_of_HTTP/MIME_types#structure_of_a_mime_type IANA media types}
+   *
+   * @throws {TypeError|SyntaxError} Invalid extension
+   * @throws {TypeError|SyntaxError} Invalid mediaType
+   * @throws {AggregateError} Invalid arguments
+   *
+   * @return {boolean}
+   */
+  set (extension, mediaType) {
+    const errors = []
+
+    if (typeof extension !== 'string') {
+      errors.push(new TypeError('Invalid extension'))
+    } else if (!this.#formatExtension.test(extension)) {
+      errors.push(new SyntaxError('Invalid extension'))
+    }
+
+    if (typeof mediaType !== 'string') {
+      errors.push(new TypeError('Invalid mediaType'))
+    } else if (!this.#isMediaType(mediaType)) {
+      errors.push(new SyntaxError('Invalid mediaType'))
+    }
+
+    if (errors.length > 1) {
+      throw new AggregateError(errors, 'Invalid arguments')
+    } else if (errors.length === 1) {
+      throw errors.pop()
+    }
+
+    extension = extension.trim().toLowerCase()
+
+    this.#pending?.push(() => this.set(extension, mediaType))
+
+    const kept = this.#keep(extension, new this.#MIMEType(mediaType))
+    const list = this.#updateList({ [extension]: [mediaType] }, 'local')
+
+    if (kept || Object.hasOwn(list, extension)) {
+      this.#persist()
+    }
+
+    return Object.hasOwn(list, extension)
+  }
+
+  /**
+   * @method
+   * @param {string} extension - File extension
+   * @param {string} mediaType - {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Basics_of_HTTP/MIME_types#structure_of_a_mime_type IANA media types}
+   *
+   * @throws {TypeError|SyntaxError} Invalid extension
+   * @throws {TypeError|SyntaxError} Invalid mediaType
+   * @throws {AggregateError} Invalid arguments
+   *
+   * @return {boolean} False if the extension does not have the media type, which the sources still do not add from then on
+   */
+  delete (extension, mediaType) {
+    const errors = []
+
+    if (typeof extension !== 'string') {
+      errors.push(new TypeError('Invalid extension'))
+    } else if (!this.#formatExtension.test(extension)) {
+      errors.push(new SyntaxError('Invalid extension'))
+    }
+
+    if (typeof mediaType !== 'string') {
+      errors.push(new TypeError('Invalid mediaType'))
+    } else if (!this.#isMediaType(mediaType)) {
+      errors.push(new SyntaxError('Invalid mediaType'))
+    }
+
+    if (errors.length > 1) {
+      throw new AggregateError(errors, 'Invalid arguments')
+    } else if (errors.length === 1) {
+      throw errors.pop()
+    }
+
+    extension = extension.trim().toLowerCase()
+
+    this.#pending?.push(() => this.delete(extension, mediaType))
+
+    const { essence } = new this.#MIMEType(mediaType)
+
+    const removed = Boolean(this.#remove(extension, essence))
+
+    if (!this.#isDeleted(extension, essence)) { // even if no source lists it yet
+      this.#tombstone(extension, essence)
+      this.#persist()
+    }
+
+    return removed
+  }
+
+  /**
+   * @method
+   * @param {string} extension - File extension
+   * @param {string} mediaType - {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Basics_of_HTTP/MIME_types#structure_of_a_mime_type IANA media types}. It is also set, if the extension does not have it
+   *
+   * @throws {TypeError|SyntaxError} Invalid extension
+   * @throws {TypeError|SyntaxError} Invalid mediaType
+   * @throws {AggregateError} Invalid arguments
+   *
+   * @return {boolean}
+   */
+  pin (extension, mediaType) {
+    const errors = []
+
+    if (typeof extension !== 'string') {
+      errors.push(new TypeError('Invalid extension'))
+    } else if (!this.#formatExtension.test(extension)) {
+      errors.push(new SyntaxError('Invalid extension'))
+    }
+
+    if (typeof mediaType !== 'string') {
+      errors.push(new TypeError('Invalid mediaType'))
+    } else if (!this.#isMediaType(mediaType)) {
+      errors.push(new SyntaxError('Invalid mediaType'))
+    }
+
+    if (errors.length > 1) {
+      throw new AggregateError(errors, 'Invalid arguments')
+    } else if (errors.length === 1) {
+      throw errors.pop()
+    }
+
+    extension = extension.trim().toLowerCase()
+
+    this.#pending?.push(() => this.pin(extension, String(mediaType)))
+
+    mediaType = new this.#MIMEType(mediaType)
+
+    if (this.#isPinned(extension, mediaType)) {
+      return false
+    }
+
+    this.#keep(extension, mediaType)
+    this.#updateList({ [extension]: [String(mediaType)] }, 'local')
+
+    this.#overrides.pinned[extension] = mediaType.essence
+
+    this.#persist()
+
+    return true
+  }
+
+  /**
+   * @method
+   * @param {string} extension - File extension
+   *
+   * @throws {TypeError|SyntaxError} Invalid extension
+   *
+   * @return {boolean}
+   */
+  unpin (extension) {
+    if (typeof extension !== 'string') {
+      throw new TypeError('Invalid extension')
+    } else if (!this.#formatExtension.test(extension)) {
+      throw new SyntaxError('Invalid extension')
+    }
+
+    extension = extension.trim().toLowerCase()
+
+    this.#pending?.push(() => this.unpin(extension))
+
+    if (!Object.hasOwn(this.#overrides.pinned, extension)) {
+      return false
+    }
+
+    delete this.#overrides.pinned[extension]
+
+    this.#persist()
+
+    return true
+  }
+
+  #validateGlob (pattern, mediaType) {
+    const errors = []
+
+    if (typeof pattern !== 'string') {
+      errors.push(new TypeError('Invalid pattern'))
+    } else if (!pattern.trim() || /[/\\]/.test(pattern) || !isGlob(pattern)) { // matched against the file name only
+      errors.push(new SyntaxError('Invalid pattern'))
+    }
+
+    if (typeof mediaType !== 'string') {
+      errors.push(new TypeError('Invalid mediaType'))
+    } else if (!this.#isMediaType(mediaType)) {
+      errors.push(new SyntaxError('Invalid mediaType'))
+    }
+
+    if (errors.length > 1) {
+      throw new AggregateError(errors, 'Invalid arguments')
+    } else if (errors.length === 1) {
+      throw errors.pop()
+    }
+  }
+
+  /**
+   * @method
+   * @param {string} pattern - File name, such as Dockerfile, or {@link https://specifications.freedesktop.org/shared-mime-info-spec/latest/ar01s02.html#id-1.3.8 glob pattern}, such as *.config.js. Case insensitive
+   * @param {string} mediaType - {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Basics_of_HTTP/MIME_types#structure_of_a_mime_type IANA media types}
+   *
+   * @throws {TypeError|SyntaxError} Invalid pattern
+   * @throws {TypeError|SyntaxError} Invalid mediaType
+   * @throws {AggregateError} Invalid arguments
+   *
+   * @return {boolean}
+   */
+  setGlob (pattern, mediaType) {
+    this.#validateGlob(pattern, mediaType)
+
+    this.#pending?.push(() => this.setGlob(pattern, String(mediaType)))
+
+    mediaType = new this.#MIMEType(mediaType)
+
+    if (own(this.#globs, pattern)?.some(MT => MT.essence === mediaType.essence)) {
+      return false
+    }
+
+    const { added, deleted } = this.#globOverrides
+
+    if (own(deleted, pattern)?.includes(mediaType.essence)) { // a built-in one, which is restored
+      deleted[pattern] = deleted[pattern].filter(essence => essence !== mediaType.essence)
+
+      if (!deleted[pattern].length) {
+        delete deleted[pattern]
+      }
+    } else {
+      added[pattern] = (own(added, pattern) ?? []).concat(String(mediaType))
+    }
+
+    this.#restoreGlobs()
+    this.#persist()
+
+    return true
+  }
+
+  /**
+   * @method
+   * @param {string} pattern - File name or {@link https://specifications.freedesktop.org/shared-mime-info-spec/latest/ar01s02.html#id-1.3.8 glob pattern}
+   * @param {string} mediaType - {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Basics_of_HTTP/MIME_types#structure_of_a_mime_type IANA media types}
+   *
+   * @throws {TypeError|SyntaxError} Invalid pattern
+   * @throws {TypeError|SyntaxError} Invalid mediaType
+   * @throws {AggregateError} Invalid arguments
+   *
+   * @return {boolean}
+   */
+  deleteGlob (pattern, mediaType) {
+    this.#validateGlob(pattern, mediaType)
+
+    this.#pending?.push(() => this.deleteGlob(pattern, mediaType))
+
+    const essence = new this.#MIMEType(mediaType).essence
+
+    if (!own(this.#globs, pattern)?.some(MT => MT.essence === essence)) {
+      return false
+    }
+
+    const { added, deleted } = this.#globOverrides
+
+    if (own(added, pattern)?.some(MT => new this.#MIMEType(MT).essence === essence)) {
+      added[pattern] = added[pattern].filter(MT => new this.#MIMEType(MT).essence !== essence)
+
+      if (!added[pattern].length) {
+        delete added[pattern]
+      }
+    }
+
+    if (own(GLOBS, pattern)?.includes(essence)) { // a built-in one, which is recorded as deleted
+      deleted[pattern] = (own(deleted, pattern) ?? []).concat(essence)
+    }
+
+    this.#restoreGlobs()
+    this.#persist()
+
+    return true
+  }
+}
+
+module.exports = Core
@@ -0,0 +1,7 @@
+// ES module entry point of the CommonJS core, for bundlers and runtimes that load CommonJS packages, such as Deno
+import Core from './core.js'
+import mimetype from './mimetype.js'
+
+export const { MIMEType, MIMEParams } = mimetype
+
+export default Core
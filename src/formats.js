@@ -0,0 +1,115 @@
+'use strict'
+
+function parseMimeTypes (text) {
+  return text
+    .split(/\n+/)
+    .reduce((curr, line) => {
+      line = line.trim()
+      line = line.replace(/(\s*types\s*{\s*|\s*}\s*|\s*;\s*)$/ig, '') // remove non-standard characters coming from nginx when it fits
+
+      if (/^\s*#.*$/.test(line) || line === '') {
+        return curr
+      }
+
+      line = line.match(/^(?<mediaType>[^\s]+)\s+(?<extensions>.*)$/)
+
+      if (line) {
+        curr.push({
+          mediaType: line.groups.mediaType,
+          extensions: line.groups.extensions.split(/\s+/)
+        })
+      }
+
+      return curr
+    }, [])
+}
+
+function group (list) { // extensions of the preferred media type (essence) of each one
+  return Object.entries(Object.keys(list).sort().reduce((acc, extension) => {
+    const essence = list[extension][0].essence
+
+    acc[essence] = (acc[essence] || []).concat(extension)
+
+    return acc
+  }, {})).sort(([a], [b]) => a < b ? -1 : 1)
+}
+
+function width (entries) {
+  return Math.max(0, ...entries.map(([key]) => key.length))
+}
+
+/**
+ * Parsers of the lists, each returning the media types with their extensions
+ */
+const parsers = {
+  'mime.types': parseMimeTypes,
+  nginx: parseMimeTypes,
+
+  addtype (text) {
+    return Array.from(text.matchAll(/^[^\S\n]*AddType[^\S\n]+(?<mediaType>\S+)[^\S\n]+(?<extensions>.+)$/gim), ({ groups }) => ({
+      mediaType: groups.mediaType,
+      extensions: groups.extensions.trim().split(/\s+/).map(extension => extension.replace(/^\./, ''))
+    }))
+  },
+
+  map (text) {
+    return Array.from(text.matchAll(/^[^\S\n]*(?<extension>[^\s#]\S*)[^\S\n]+(?<mediaType>\S+)[^\S\n]*$/gm), ({ groups }) => ({
+      mediaType: groups.mediaType,
+      extensions: [groups.extension.replace(/^\./, '')]
+    }))
+  },
+
+  json (text) {
+    const list = Object(JSON.parse(text))
+
+    return Object.keys(list).flatMap(extension => [].concat(list[extension]).map(mediaType => ({
+      mediaType,
+      extensions: [extension]
+    })))
+  }
+}
+
+/**
+ * Serializers of the list of extensions, whose media types are sorted from the most to the least preferred.
+ * Server configurations only map an extension to a single media type, so they get the preferred one
+ */
+const serializers = {
+  // https://github.com/apache/httpd/blob/trunk/docs/conf/mime.types
+  'mime.types' (list) {
+    const entries = group(list)
+
+    return entries.map(([essence, extensions]) => `${essence.padEnd(width(entries))}  ${extensions.join(' ')}\n`).join('')
+  },
+
+  // https://nginx.org/en/docs/http/ngx_http_core_module.html#types
+  nginx (list) {
+    const entries = group(list)
+
+    return `types {\n${entries.map(([essence, extensions]) => `    ${essence.padEnd(width(entries))}  ${extensions.join(' ')};\n`).join('')}}\n`
+  },
+
+  // https://httpd.apache.org/docs/current/mod/mod_mime.html#addtype
+  addtype (list) {
+    return group(list).map(([essence, extensions]) => `AddType ${essence} ${extensions.map(extension => `.${extension}`).join(' ')}\n`).join('')
+  },
+
+  // https://docs.haproxy.org/2.8/configuration.html#map and https://caddyserver.com/docs/caddyfile/directives/map
+  map (list) {
+    const entries = Object.keys(list).sort().map(extension => [extension, list[extension][0].essence])
+
+    return entries.map(([extension, essence]) => `${extension.padEnd(width(entries))}  ${essence}\n`).join('')
+  },
+
+  json (list) {
+    return `${JSON.stringify(Object.keys(list).sort().reduce((acc, extension) => {
+      acc[extension] = list[extension].map(String)
+
+      return acc
+    }, {}), null, 2)}\n`
+  }
+}
+
+module.exports = {
+  parsers,
+  serializers
+}
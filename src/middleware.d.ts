@@ -0,0 +1,41 @@
+import { IncomingMessage, ServerResponse } from 'node:http'
+import MediaTypes from '@jadsonlucena/mediatypes'
+
+type Options = {
+  sniff?: boolean,
+  negotiate?: boolean,
+  nosniff?: boolean,
+  encoding?: boolean,
+  charset?: string | false
+}
+
+declare module '@jadsonlucena/mediatypes/src/middleware.js' {
+  /**
+   * Sets the Content-Type of static responses by the path of the request, for Node http and Express
+   *
+   * @param {MediaTypes} mediaTypes - Instance whose updates are picked up by the following requests
+   * @param {Object} [options]
+   * @param {boolean} [options.sniff=false] - Detect the media type of the body when the path has none
+   * @param {boolean} [options.negotiate=true] - Answer 406 Not Acceptable when the Accept header does not match the media type. An empty or malformed one accepts anything, as a missing one does. The response varies on the Accept header
+   * @param {boolean} [options.nosniff=true] - Add the X-Content-Type-Options: nosniff header
+   * @param {boolean} [options.encoding=false] - Serve a compression extension, such as gz in app.js.gz, as the Content-Encoding of the inner file when the Accept-Encoding header allows it. Otherwise, the compressed file is served as is, such as a tar.gz download. Either way, the response varies on the Accept-Encoding header
+   * @param {string|false} [options.charset] - Charset of textual media types, as in the contentType method
+   * @see https://www.rfc-editor.org/rfc/rfc9110#name-406-not-acceptable
+   * @see https://www.rfc-editor.org/rfc/rfc9110#name-accept-encoding
+   *
+   * @throws {TypeError} Invalid mediaTypes
+   * @throws {TypeError} Invalid sniff
+   * @throws {TypeError} Invalid negotiate
+   * @throws {TypeError} Invalid nosniff
+   * @throws {TypeError} Invalid encoding
+   * @throws {TypeError|SyntaxError} Invalid charset
+   * @throws {AggregateError} Invalid arguments
+   */
+  export function middleware (mediaTypes: MediaTypes, options?: Options): (req: IncomingMessage, res: ServerResponse, next?: (err?: any) => void) => void
+
+  /**
+   * Fastify plugin with the same behaviour as the middleware. The options also take the MediaTypes instance
+   * @see https://fastify.dev/docs/latest/Reference/Plugins
+   */
+  export function plugin (fastify: any, options: Options & { mediaTypes: MediaTypes }, done: (err?: Error) => void): void
+}
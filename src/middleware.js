@@ -0,0 +1,253 @@
+'use strict'
+
+const MediaTypes = require('./MediaTypes.js')
+
+function pathOf (url) {
+  try {
+    return decodeURIComponent(new URL(url, 'http://localhost').pathname)
+  } catch (err) {
+    return ''
+  }
+}
+
+function isUnknown (contentType) { // the server could not tell the media type of the body
+  return !contentType || /^application\/octet-stream\s*(;|$)/i.test(contentType)
+}
+
+function acceptsEncoding (acceptEncoding, coding) { // any coding is acceptable without the header (RFC 9110, 12.5.3)
+  if (acceptEncoding === undefined) {
+    return true
+  }
+
+  const qualities = acceptEncoding.split(',').reduce((acc, item) => {
+    const [name, ...params] = item.split(';').map(part => part.trim().toLowerCase())
+    const quality = params.find(param => param.startsWith('q='))
+
+    acc[name === 'x-gzip' ? 'gzip' : name] = quality ? Number(quality.slice(2)) : 1
+
+    return acc
+  }, {})
+
+  return (qualities[coding] ?? qualities['*'] ?? 0) > 0
+}
+
+function handler (mediaTypes, {
+  sniff = false,
+  negotiate = true,
+  nosniff = true,
+  encoding = false,
+  charset
+} = {}) {
+  const errors = []
+
+  if (!(mediaTypes instanceof MediaTypes)) {
+    errors.push(new TypeError('Invalid mediaTypes'))
+  }
+
+  Object.entries({ sniff, negotiate, nosniff, encoding }).forEach(([name, value]) => {
+    if (typeof value !== 'boolean') {
+      errors.push(new TypeError(`Invalid ${name}`))
+    }
+  })
+
+  if (charset !== undefined && charset !== false && typeof charset !== 'string') {
+    errors.push(new TypeError('Invalid charset'))
+  } else if (typeof charset === 'string' && !/^[!#$%&'*+\-.^_`|~0-9a-z]+$/i.test(charset)) {
+    errors.push(new SyntaxError('Invalid charset'))
+  }
+
+  if (errors.length > 1) {
+    throw new AggregateError(errors, 'Invalid arguments')
+  } else if (errors.length === 1) {
+    throw errors.pop()
+  }
+
+  return {
+    resolve (url, accept, acceptEncoding) { // the instance is read on every request, so its updates apply without a restart
+      const path = pathOf(url)
+      const headers = {}
+
+      if (nosniff) {
+        headers['X-Content-Type-Options'] = 'nosniff'
+      }
+
+      let lookup
+
+      try {
+        lookup = mediaTypes.lookup(path, { encoding })
+      } catch (err) {
+        return { headers } // a path without extension
+      }
+
+      const vary = []
+
+      if (lookup.encoding) { // the response depends on the Accept-Encoding header
+        vary.push('Accept-Encoding')
+
+        if (!acceptsEncoding(acceptEncoding, lookup.encoding)) { // then served as the compressed file itself
+          lookup = mediaTypes.lookup(path, { encoding: false })
+        }
+      }
+
+      if (!lookup.type) {
+        return { headers }
+      }
+
+      if (negotiate) {
+        vary.unshift('Accept')
+      }
+
+      if (vary.length) {
+        headers.Vary = vary.join(', ')
+      }
+
+      if (negotiate && accept !== undefined && !mediaTypes.negotiate(accept, [lookup.type]).length && mediaTypes.negotiate(accept).length) { // parsed again only to tell a refusal from an empty or malformed header, which accepts anything as a missing one does
+        return { status: 406, headers }
+      }
+
+      headers['Content-Type'] = mediaTypes.contentType(path, { charset, encoding: Boolean(lookup.encoding) })
+
+      if (lookup.encoding) {
+        headers['Content-Encoding'] = lookup.encoding
+      }
+
+      return { headers }
+    },
+
+    detect: sniff && (chunk => {
+      if (typeof chunk === 'string') {
+        chunk = Buffer.from(chunk)
+      }
+
+      if (ArrayBuffer.isView(chunk)) {
+        return mediaTypes.detect(chunk)[0]?.essence // the charset of a sniffed body is unknown
+      }
+    })
+  }
+}
+
+function sniffBody (res, detect) {
+  const { write, end } = res
+
+  function restore (chunk) {
+    res.write = write
+    res.end = end
+
+    if (!res.headersSent && isUnknown(res.getHeader('Content-Type'))) {
+      const mediaType = detect(chunk)
+
+      if (mediaType) {
+        res.setHeader('Content-Type', mediaType)
+      }
+    }
+  }
+
+  res.write = function (chunk, ...params) {
+    restore(chunk)
+
+    return write.call(this, chunk, ...params)
+  }
+
+  res.end = function (chunk, ...params) {
+    restore(chunk)
+
+    return end.call(this, chunk, ...params)
+  }
+}
+
+/**
+ * Sets the Content-Type of static responses by the path of the request, for Node http and Express
+ *
+ * @param {MediaTypes} mediaTypes - Instance whose updates are picked up by the following requests
+ * @param {Object} [options]
+ * @param {boolean} [options.sniff=false] - Detect the media type of the body when the path has none
+ * @param {boolean} [options.negotiate=true] - Answer 406 Not Acceptable when the Accept header does not match the media type. An empty or malformed one accepts anything, as a missing one does. The response varies on the Accept header
+ * @param {boolean} [options.nosniff=true] - Add the X-Content-Type-Options: nosniff header
+ * @param {boolean} [options.encoding=false] - Serve a compression extension, such as gz in app.js.gz, as the Content-Encoding of the inner file when the Accept-Encoding header allows it. Otherwise, the compressed file is served as is, such as a tar.gz download. Either way, the response varies on the Accept-Encoding header
+ * @param {string|false} [options.charset] - Charset of textual media types, as in the contentType method
+ * @see https://www.rfc-editor.org/rfc/rfc9110#name-406-not-acceptable
+ * @see https://www.rfc-editor.org/rfc/rfc9110#name-accept-encoding
+ *
+ * @throws {TypeError} Invalid mediaTypes
+ * @throws {TypeError} Invalid sniff
+ * @throws {TypeError} Invalid negotiate
+ * @throws {TypeError} Invalid nosniff
+ * @throws {TypeError} Invalid encoding
+ * @throws {TypeError|SyntaxError} Invalid charset
+ * @throws {AggregateError} Invalid arguments
+ *
+ * @return {function(http.IncomingMessage, http.ServerResponse, function=): void}
+ */
+function middleware (mediaTypes, options) {
+  const { resolve, detect } = handler(mediaTypes, options)
+
+  return (req, res, next = () => {}) => {
+    const { status, headers } = resolve(req.url, req.headers.accept, req.headers['accept-encoding'])
+
+    Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value))
+
+    if (status) {
+      res.statusCode = status
+      res.end()
+
+      return
+    }
+
+    if (detect) {
+      sniffBody(res, detect)
+    }
+
+    next()
+  }
+}
+
+/**
+ * Fastify plugin with the same behaviour as the middleware. The options also take the MediaTypes instance
+ * @see https://fastify.dev/docs/latest/Reference/Plugins
+ *
+ * @param {Object} fastify
+ * @param {Object} options
+ * @param {MediaTypes} options.mediaTypes
+ * @param {function} done
+ */
+function plugin (fastify, { mediaTypes, ...options }, done) {
+  const { resolve, detect } = handler(mediaTypes, options)
+
+  fastify.addHook('onRequest', (request, reply, next) => {
+    const { status, headers } = resolve(request.url, request.headers.accept, request.headers['accept-encoding'])
+
+    reply.headers(headers)
+
+    if (status) {
+      reply.code(status).send()
+
+      return
+    }
+
+    next()
+  })
+
+  if (detect) {
+    fastify.addHook('onSend', (request, reply, payload, next) => {
+      if (isUnknown(reply.getHeader('Content-Type'))) {
+        const mediaType = detect(payload)
+
+        if (mediaType) {
+          reply.header('Content-Type', mediaType)
+        }
+      }
+
+      next(null, payload)
+    })
+  }
+
+  done()
+}
+
+plugin[Symbol.for('skip-override')] = true // the hooks apply to the whole server, not only to the plugin context
+plugin[Symbol.for('fastify.display-name')] = 'mediatypes'
+
+module.exports = {
+  middleware,
+  plugin
+}
@@ -0,0 +1,288 @@
+'use strict'
+
+// https://mimesniff.spec.whatwg.org/#mime-type-representation
+const TOKEN = /^[!#$%&'*+\-.^_`|~0-9a-z]+$/i
+const QUOTED_STRING = /^[\t\u0020-\u007e\u0080-\u00ff]*$/
+const WHITESPACE = /[\t\n\r ]/
+
+function trimEnd (value) { // HTTP whitespace only
+  return value.replace(/[\t\n\r ]+$/, '')
+}
+
+function collect (input, position, delimiters) {
+  let end = position
+
+  while (end < input.length && !delimiters.includes(input[end])) {
+    end++
+  }
+
+  return input.slice(position, end)
+}
+
+function collectQuotedString (input, position) { // https://fetch.spec.whatwg.org/#collect-an-http-quoted-string
+  let value = ''
+  let end = position + 1
+
+  while (end < input.length) {
+    const chunk = collect(input, end, '"\\')
+
+    value += chunk
+    end += chunk.length
+
+    if (end >= input.length) {
+      break
+    }
+
+    const char = input[end++]
+
+    if (char === '"') {
+      break
+    } else if (end >= input.length) {
+      value += '\\'
+    } else {
+      value += input[end++]
+    }
+  }
+
+  return { value, end }
+}
+
+/**
+ * @class
+ * @classdesc Parameters of a media type, as in node:util
+ * @see https://nodejs.org/api/util.html#class-utilmimeparams
+ */
+class MIMEParams {
+  #params = new Map()
+
+  /**
+   * @method
+   * @param {string} name
+   */
+  delete (name) {
+    this.#params.delete(String(name))
+  }
+
+  /**
+   * @method
+   * @param {string} name
+   *
+   * @return {string|null}
+   */
+  get (name) {
+    return this.#params.get(String(name)) ?? null
+  }
+
+  /**
+   * @method
+   * @param {string} name
+   *
+   * @return {boolean}
+   */
+  has (name) {
+    return this.#params.has(String(name))
+  }
+
+  /**
+   * @method
+   * @param {string} name
+   * @param {string} value
+   *
+   * @throws {SyntaxError} Invalid name
+   * @throws {SyntaxError} Invalid value
+   */
+  set (name, value) {
+    name = String(name)
+    value = String(value)
+
+    if (!TOKEN.test(name)) {
+      throw new SyntaxError('Invalid name')
+    } else if (!QUOTED_STRING.test(value)) {
+      throw new SyntaxError('Invalid value')
+    }
+
+    this.#params.set(name, value)
+  }
+
+  /**
+   * @method
+   * @return {Iterator<[string, string]>}
+   */
+  entries () {
+    return this.#params.entries()
+  }
+
+  /**
+   * @method
+   * @return {Iterator<string>}
+   */
+  keys () {
+    return this.#params.keys()
+  }
+
+  /**
+   * @method
+   * @return {Iterator<string>}
+   */
+  values () {
+    return this.#params.values()
+  }
+
+  [Symbol.iterator] () {
+    return this.#params.entries()
+  }
+
+  /**
+   * @method
+   * @return {string} Parameters serialized after the essence, such as ;charset=utf-8
+   */
+  toString () {
+    return Array.from(this.#params, ([name, value]) => (
+      `;${name}=${!value || !TOKEN.test(value) ? `"${value.replace(/["\\]/g, '\\$&')}"` : value}`
+    )).join('')
+  }
+
+  toJSON () {
+    return this.toString()
+  }
+}
+
+/**
+ * @class
+ * @classdesc Media type parsed as in the {@link https://mimesniff.spec.whatwg.org/#parsing-a-mime-type MIME Sniffing} standard, for runtimes without node:util
+ * @see https://nodejs.org/api/util.html#class-utilmimetype
+ */
+class MIMEType {
+  #type
+  #subtype
+  #params = new MIMEParams()
+
+  /**
+   * @constructor
+   * @param {string} input
+   *
+   * @throws {SyntaxError} Invalid mediaType
+   */
+  constructor (input) {
+    input = trimEnd(String(input).replace(/^[\t\n\r ]+/, ''))
+
+    const type = collect(input, 0, '/')
+    let position = type.length
+
+    if (!TOKEN.test(type) || position >= input.length) {
+      throw new SyntaxError('Invalid mediaType')
+    }
+
+    const subtype = collect(input, ++position, ';')
+    position += subtype.length
+
+    if (!TOKEN.test(trimEnd(subtype))) {
+      throw new SyntaxError('Invalid mediaType')
+    }
+
+    this.#type = type.toLowerCase()
+    this.#subtype = trimEnd(subtype).toLowerCase()
+
+    while (position < input.length) {
+      position++ // ;
+
+      while (WHITESPACE.test(input[position])) {
+        position++
+      }
+
+      const name = collect(input, position, ';=').toLowerCase()
+      position += name.length
+
+      if (input[position] === ';') {
+        continue
+      } else if (++position >= input.length) { // =
+        break
+      }
+
+      let value
+
+      if (input[position] === '"') {
+        ({ value, end: position } = collectQuotedString(input, position))
+
+        position += collect(input, position, ';').length
+      } else {
+        value = collect(input, position, ';')
+        position += value.length
+        value = trimEnd(value)
+
+        if (!value) {
+          continue
+        }
+      }
+
+      if (TOKEN.test(name) && QUOTED_STRING.test(value) && !this.#params.has(name)) {
+        this.#params.set(name, value)
+      }
+    }
+  }
+
+  /**
+   * @type {string}
+   *
+   * @throws {SyntaxError} Invalid type
+   */
+  set type (type) {
+    if (!TOKEN.test(type)) {
+      throw new SyntaxError('Invalid type')
+    }
+
+    this.#type = String(type).toLowerCase()
+  }
+
+  get type () {
+    return this.#type
+  }
+
+  /**
+   * @type {string}
+   *
+   * @throws {SyntaxError} Invalid subtype
+   */
+  set subtype (subtype) {
+    if (!TOKEN.test(subtype)) {
+      throw new SyntaxError('Invalid subtype')
+    }
+
+    this.#subtype = String(subtype).toLowerCase()
+  }
+
+  get subtype () {
+    return this.#subtype
+  }
+
+  /**
+   * @type {string} Type and subtype, without the parameters
+   */
+  get essence () {
+    return `${this.#type}/${this.#subtype}`
+  }
+
+  /**
+   * @type {MIMEParams}
+   */
+  get params () {
+    return this.#params
+  }
+
+  /**
+   * @method
+   * @return {string}
+   */
+  toString () {
+    return this.essence + this.#params.toString()
+  }
+
+  toJSON () {
+    return this.toString()
+  }
+}
+
+module.exports = {
+  MIMEType,
+  MIMEParams
+}
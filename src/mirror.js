@@ -0,0 +1,41 @@
+'use strict'
+
+const fs = require('node:fs')
+const { join } = require('node:path')
+
+/**
+ * Serves the lists of the sources from a local directory, as fetch would do, so that updates run without access to them. The directory has a file named after each source, with its lists joined by line breaks, and a versions.json file with the version of each source, as the versions attribute has it
+ *
+ * @param {string} dir - Mirror directory
+ * @param {function(): Source[]} sources - Sources whose URLs are served, by the time of each request
+ *
+ * @return {function(string, Object): Promise<Response>} Responds the whole file of the source to its first URL and an empty list to the others, with their versions as the ETag header. A version with one part per URL, separated by commas, is split among them
+ */
+function mirrorFetch (dir, sources) {
+  return async (url, { headers = {}, signal } = {}) => {
+    const source = sources().find(source => [].concat(source.url).includes(url))
+
+    if (!source) {
+      return new Response(null, { status: 404 })
+    }
+
+    const urls = [].concat(source.url)
+    const i = urls.indexOf(url)
+    const versions = JSON.parse(await fs.promises.readFile(join(dir, 'versions.json'), { encoding: 'utf8', signal }))
+    const version = Object.hasOwn(versions, source.name) ? String(versions[source.name]) : ''
+    const etag = version.split(',').length === urls.length ? version.split(',')[i] : version
+
+    if (etag && headers['If-None-Match'] === etag) {
+      return new Response(null, { status: 304, headers: { etag } })
+    }
+
+    return new Response(i ? '' : await fs.promises.readFile(join(dir, source.name), { encoding: 'utf8', signal }), {
+      status: 200,
+      headers: etag ? { etag } : {}
+    })
+  }
+}
+
+module.exports = {
+  mirrorFetch
+}
@@ -0,0 +1,232 @@
+'use strict'
+
+// https://mimesniff.spec.whatwg.org/#whitespace-byte
+const WHITESPACE = [0x09, 0x0A, 0x0C, 0x0D, 0x20]
+
+// https://mimesniff.spec.whatwg.org/#tag-terminating-byte
+const TAG_TERMINATING = [0x20, 0x3E]
+
+/**
+ * Number of leading bytes needed to recognize every signature
+ * @see https://mimesniff.spec.whatwg.org/#reading-the-resource-header
+ */
+const SNIFF_SIZE = 4096
+
+function toBytes (pattern) {
+  return typeof pattern === 'string' ? Array.from(pattern, char => char.charCodeAt(0)) : pattern
+}
+
+function ascii (bytes, start, end) {
+  return String.fromCharCode(...bytes.subarray(start, end))
+}
+
+// https://mimesniff.spec.whatwg.org/#pattern-matching-algorithm
+function matches (bytes, pattern, { mask, offset = 0, ignore = [] } = {}) {
+  pattern = toBytes(pattern)
+  mask = mask ? toBytes(mask) : pattern.map(() => 0xFF)
+
+  while (ignore.includes(bytes[offset])) {
+    offset++
+  }
+
+  if (bytes.length < offset + pattern.length) {
+    return false
+  }
+
+  return pattern.every((byte, i) => (bytes[offset + i] & mask[i]) === byte) ? offset + pattern.length : false
+}
+
+function pattern (mediaType, bytes, options) {
+  return content => matches(content, bytes, options) === false ? undefined : [mediaType]
+}
+
+// https://mimesniff.spec.whatwg.org/#identifying-a-resource-with-an-unknown-mime-type
+function tag (name) {
+  return content => {
+    const end = matches(content, `<${name}`, {
+      mask: [0xFF].concat(Array.from(name, char => /[A-Z]/.test(char) ? 0xDF : 0xFF)),
+      ignore: WHITESPACE
+    })
+
+    return end !== false && TAG_TERMINATING.includes(content[end]) ? ['text/html'] : undefined
+  }
+}
+
+// https://mimesniff.spec.whatwg.org/#signature-for-mp4
+function ftyp (content) {
+  if (content.length < 12) {
+    return
+  }
+
+  const size = new DataView(content.buffer, content.byteOffset, 4).getUint32(0)
+
+  if (content.length < size || size % 4 !== 0 || ascii(content, 4, 8) !== 'ftyp') {
+    return
+  }
+
+  const brands = [ascii(content, 8, 12)]
+
+  for (let i = 16; i < size; i += 4) {
+    brands.push(ascii(content, i, i + 4))
+  }
+
+  if (/^(avif|avis)$/.test(brands[0])) {
+    return ['image/avif']
+  } else if (/^(heic|heix|mif1)$/.test(brands[0])) {
+    return ['image/heic']
+  } else if (brands[0] === 'qt  ') {
+    return ['video/quicktime']
+  } else if (/^M4[AB] $/.test(brands[0])) {
+    return ['audio/mp4']
+  } else if (brands[0].startsWith('3gp')) {
+    return ['video/3gpp']
+  } else if (brands.some(brand => brand.startsWith('mp4'))) {
+    return ['video/mp4']
+  }
+}
+
+// https://mimesniff.spec.whatwg.org/#signature-for-webm
+function ebml (content) {
+  if (matches(content, [0x1A, 0x45, 0xDF, 0xA3]) === false) {
+    return
+  }
+
+  for (let i = 4; i < Math.min(content.length, 38) - 1; i++) {
+    if (content[i] === 0x42 && content[i + 1] === 0x82) {
+      let length = 1
+
+      while (length <= 8 && !(content[i + 2] & (0x80 >> (length - 1)))) {
+        length++
+      }
+
+      const docType = ascii(content, i + 2 + length, i + 2 + length + 8)
+
+      if (docType.startsWith('webm')) {
+        return ['video/webm']
+      } else if (docType.startsWith('matroska')) {
+        return ['video/x-matroska']
+      }
+
+      return
+    }
+  }
+}
+
+// https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT (4.3.7 Local file header)
+function zip (content) {
+  const view = new DataView(content.buffer, content.byteOffset, content.byteLength)
+
+  for (let offset = 0; offset + 30 <= content.length && matches(content, 'PK\x03\x04', { offset }) !== false;) {
+    const flags = view.getUint16(offset + 6, true)
+    const method = view.getUint16(offset + 8, true)
+    const size = view.getUint32(offset + 18, true)
+    const name = ascii(content, offset + 30, offset + 30 + view.getUint16(offset + 26, true))
+    const data = offset + 30 + name.length + view.getUint16(offset + 28, true)
+
+    if (name === 'mimetype' && !method) { // OpenDocument and EPUB store their media type uncompressed as the first entry
+      return [ascii(content, data, data + size), 'application/zip']
+    } else if (name.startsWith('word/')) {
+      return ['application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'application/zip']
+    } else if (name.startsWith('xl/')) {
+      return ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/zip']
+    } else if (name.startsWith('ppt/')) {
+      return ['application/vnd.openxmlformats-officedocument.presentationml.presentation', 'application/zip']
+    } else if (name === 'META-INF/MANIFEST.MF') {
+      return ['application/java-archive', 'application/zip']
+    } else if (flags & 0x08) { // the size is only known after the data (data descriptor)
+      return
+    }
+
+    offset = data + size
+  }
+}
+
+const SIGNATURES = [
+  // https://mimesniff.spec.whatwg.org/#rules-for-identifying-an-unknown-mime-type
+  ...[
+    '!DOCTYPE HTML', 'HTML', 'HEAD', 'SCRIPT', 'IFRAME', 'H1', 'DIV', 'FONT',
+    'TABLE', 'A', 'STYLE', 'TITLE', 'B', 'BODY', 'BR', 'P'
+  ].map(tag),
+  pattern('text/html', '<!--', { ignore: WHITESPACE }),
+  pattern('text/xml', '<?xml', { ignore: WHITESPACE }),
+  pattern('application/pdf', '%PDF-'),
+  pattern('application/postscript', '%!PS-Adobe-'),
+  pattern('text/plain', [0xFE, 0xFF]),
+  pattern('text/plain', [0xFF, 0xFE]),
+  pattern('text/plain', [0xEF, 0xBB, 0xBF]),
+
+  // https://mimesniff.spec.whatwg.org/#matching-an-image-type-pattern
+  pattern('image/x-icon', [0x00, 0x00, 0x01, 0x00]),
+  pattern('image/x-icon', [0x00, 0x00, 0x02, 0x00]),
+  pattern('image/bmp', 'BM'),
+  pattern('image/gif', 'GIF87a'),
+  pattern('image/gif', 'GIF89a'),
+  pattern('image/webp', 'RIFF\x00\x00\x00\x00WEBPVP', { mask: [0xFF, 0xFF, 0xFF, 0xFF, 0x00, 0x00, 0x00, 0x00, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF] }),
+  pattern('image/png', [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+  pattern('image/jpeg', [0xFF, 0xD8, 0xFF]),
+  pattern('image/tiff', 'II*\x00'),
+  pattern('image/tiff', 'MM\x00*'),
+  pattern('image/vnd.adobe.photoshop', '8BPS'),
+
+  // https://mimesniff.spec.whatwg.org/#matching-an-audio-or-video-type-pattern
+  pattern('audio/basic', '.snd'),
+  pattern('audio/aiff', 'FORM\x00\x00\x00\x00AIFF', { mask: [0xFF, 0xFF, 0xFF, 0xFF, 0x00, 0x00, 0x00, 0x00, 0xFF, 0xFF, 0xFF, 0xFF] }),
+  pattern('audio/mpeg', 'ID3'),
+  pattern('application/ogg', 'OggS\x00'),
+  pattern('audio/midi', 'MThd\x00\x00\x00\x06'),
+  pattern('video/x-msvideo', 'RIFF\x00\x00\x00\x00AVI ', { mask: [0xFF, 0xFF, 0xFF, 0xFF, 0x00, 0x00, 0x00, 0x00, 0xFF, 0xFF, 0xFF, 0xFF] }),
+  pattern('audio/wav', 'RIFF\x00\x00\x00\x00WAVE', { mask: [0xFF, 0xFF, 0xFF, 0xFF, 0x00, 0x00, 0x00, 0x00, 0xFF, 0xFF, 0xFF, 0xFF] }),
+  pattern('audio/flac', 'fLaC'),
+  ftyp,
+  ebml,
+
+  // https://mimesniff.spec.whatwg.org/#matching-a-font-type-pattern
+  pattern('application/vnd.ms-fontobject', 'LP', { offset: 34 }),
+  pattern('font/ttf', [0x00, 0x01, 0x00, 0x00]),
+  pattern('font/otf', 'OTTO'),
+  pattern('font/collection', 'ttcf'),
+  pattern('font/woff', 'wOFF'),
+  pattern('font/woff2', 'wOF2'),
+
+  // https://mimesniff.spec.whatwg.org/#matching-an-archive-type-pattern
+  pattern('application/gzip', [0x1F, 0x8B, 0x08]),
+  zip,
+  pattern('application/zip', 'PK\x03\x04'),
+  pattern('application/vnd.rar', 'Rar!\x1A\x07'),
+  pattern('application/x-7z-compressed', '7z\xBC\xAF\x27\x1C'),
+  pattern('application/x-bzip2', 'BZh'),
+  pattern('application/x-xz', [0xFD, 0x37, 0x7A, 0x58, 0x5A, 0x00]),
+  pattern('application/zstd', [0x28, 0xB5, 0x2F, 0xFD]),
+
+  pattern('application/wasm', '\x00asm')
+]
+
+/**
+ * Identifies the media types of a content by its leading bytes
+ * @see https://mimesniff.spec.whatwg.org
+ *
+ * @param {Uint8Array} content - Leading bytes of the content
+ *
+ * @return {string[]} Media type essences, from the most to the least specific
+ */
+function sniff (content) {
+  for (const signature of SIGNATURES) {
+    const mediaTypes = signature(content)
+
+    if (mediaTypes) {
+      return mediaTypes
+    }
+  }
+
+  // https://mimesniff.spec.whatwg.org/#binary-data-byte
+  if (content.length && !content.some(byte => byte <= 0x08 || byte === 0x0B || (byte >= 0x0E && byte <= 0x1A) || (byte >= 0x1C && byte <= 0x1F))) {
+    return ['text/plain']
+  }
+
+  return []
+}
+
+module.exports = {
+  SNIFF_SIZE,
+  sniff
+}
@@ -0,0 +1,278 @@
+'use strict'
+
+const fs = require('node:fs')
+const { basename, dirname, join } = require('node:path')
+
+/**
+ * Database shipped with the module
+ */
+const DB = join(__dirname, 'DB.json')
+
+const LOCK_RETRIES = 200
+const LOCK_DELAY = 10
+
+function read (path) {
+  return JSON.parse(fs.readFileSync(path).toString('utf8'))
+}
+
+function sleep (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+function holder (file) { // id of the process written in a lock file, or 0 if there is none yet
+  try {
+    return Number(fs.readFileSync(file, 'utf8')) || 0
+  } catch (err) {
+    return 0
+  }
+}
+
+function alive (pid) {
+  try {
+    return process.kill(pid, 0)
+  } catch (err) {
+    return err.code === 'EPERM' // running, under another user
+  }
+}
+
+function isObject (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function merge (base, ours, theirs, depth) { // by key, down to the given depth: what this process changed since it last read the database wins over what another one saved since
+  const data = { ...theirs }
+
+  new Set(Object.keys(base).concat(Object.keys(ours))).forEach(key => {
+    if (!Object.hasOwn(ours, key)) {
+      delete data[key]
+    } else if (JSON.stringify(ours[key]) !== JSON.stringify(base[key])) {
+      data[key] = depth > 1 && isObject(ours[key]) && isObject(theirs[key]) ? merge(Object(base[key]), ours[key], theirs[key], depth - 1) : ours[key]
+    }
+  })
+
+  return data
+}
+
+function release (file, pid) { // the lock file of a process that is no longer running, moved aside first, so that a single one of the processes taking it over at once removes it
+  const stale = `${file}.${process.pid}.stale`
+
+  try {
+    fs.renameSync(file, stale)
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err
+    }
+
+    return // taken over by another process
+  }
+
+  if (holder(stale) === pid) {
+    fs.rmSync(stale, { force: true })
+  } else { // taken meanwhile by a process that found it released
+    fs.renameSync(stale, file)
+  }
+}
+
+async function lock (path) { // held by a single process of the host at a time, and taken over from one that is no longer running
+  const file = `${path}.lock`
+
+  for (let retries = LOCK_RETRIES; ; retries--) {
+    try {
+      const fd = fs.openSync(file, 'wx')
+
+      fs.writeSync(fd, String(process.pid))
+      fs.closeSync(fd)
+
+      return () => fs.unlinkSync(file)
+    } catch (err) {
+      if (err.code !== 'EEXIST') {
+        throw err
+      }
+    }
+
+    const pid = holder(file)
+
+    if (pid && !alive(pid)) {
+      release(file, pid)
+    } else if (retries) {
+      await sleep(LOCK_DELAY)
+    } else {
+      throw new Error('Locked database', { cause: pid })
+    }
+  }
+}
+
+/**
+ * Persists the database in a JSON file. Writes go to a temporary file that is then renamed over the database, so it is never left truncated, while holding a lock file next to it, so that the processes sharing the database write it one at a time. If another process saved it since it was last read, the changes made since are merged into what it saved
+ *
+ * @param {string} [path] - Database file. While it does not exist, the database shipped with the module is loaded
+ * @param {Object} options
+ * @param {boolean} options.watch - Reload the database whenever another process saves it
+ * @param {boolean} options.leader - Elect one of the processes sharing the database to run the periodic update. Another one takes over once it is no longer running or closes its instance
+ *
+ * @return {Storage}
+ */
+function fileStorage (path = DB, { watch, leader }) {
+  const lead = `${path}.leader`
+
+  let last // the database as last read or written, so that its own writes are not taken as changes, and those of another process are merged
+  let watcher
+  let reload
+  let writes = Promise.resolve() // of this process, one after the other, so that an older one does not overwrite a newer one
+
+  async function write (data) {
+    const temp = `${path}.${process.pid}.tmp`
+
+    fs.mkdirSync(dirname(path), { recursive: true })
+
+    const unlock = await lock(path)
+
+    let merged = false
+
+    try {
+      let current
+
+      try {
+        current = fs.readFileSync(path).toString('utf8')
+      } catch (err) {
+        // not written yet
+      }
+
+      if (current !== undefined && current !== last) { // saved by another process since
+        data = merge(JSON.parse(last ?? '{}'), data, JSON.parse(current), 3)
+        merged = true
+      }
+
+      const text = JSON.stringify(data)
+
+      fs.writeFileSync(temp, text)
+      fs.renameSync(temp, path)
+
+      last = text
+    } catch (err) {
+      fs.rmSync(temp, { force: true })
+
+      throw err
+    } finally {
+      unlock()
+    }
+
+    if (merged) {
+      reload?.(data)
+    }
+  }
+
+  const storage = {
+    load () {
+      try {
+        const text = fs.readFileSync(path).toString('utf8')
+        const data = JSON.parse(text)
+
+        last = text
+
+        return data
+      } catch (err) {
+        if (err.code === 'ENOENT' && path !== DB) {
+          last = fs.readFileSync(DB).toString('utf8')
+
+          return JSON.parse(last)
+        }
+
+        throw err
+      }
+    },
+    save (data) {
+      const saved = writes.then(() => write(data))
+
+      writes = saved.catch(() => {}) // reported to the caller of the failed write
+
+      return saved
+    },
+    close () {
+      watcher?.close()
+
+      if (leader && holder(lead) === process.pid) {
+        fs.rmSync(lead, { force: true })
+      }
+    }
+  }
+
+  if (watch) {
+    storage.watch = listener => {
+      reload = listener
+
+      fs.mkdirSync(dirname(path), { recursive: true })
+
+      watcher = fs.watch(dirname(path), (event, filename) => { // the directory, as the file is replaced on every write
+        if (filename && filename !== basename(path)) {
+          return
+        }
+
+        let data
+
+        try {
+          const text = fs.readFileSync(path).toString('utf8')
+
+          if (text === last) {
+            return
+          }
+
+          data = JSON.parse(text)
+          last = text
+        } catch (err) {
+          return // removed, or not written yet
+        }
+
+        listener(data)
+      })
+
+      watcher.on('error', () => watcher.close()) // the directory was removed
+      watcher.unref()
+    }
+  }
+
+  if (leader) {
+    storage.lead = async () => {
+      fs.mkdirSync(dirname(path), { recursive: true })
+
+      const unlock = await lock(path)
+
+      try {
+        const pid = holder(lead)
+
+        if (pid === process.pid) {
+          return true
+        }
+
+        if (pid && alive(pid)) {
+          return false
+        }
+
+        fs.writeFileSync(lead, String(process.pid))
+
+        return true
+      } finally {
+        unlock()
+      }
+    }
+  }
+
+  return storage
+}
+
+/**
+ * Keeps the database in memory only, starting from the database shipped with the module
+ *
+ * @return {Storage}
+ */
+function memoryStorage () {
+  return {
+    load: () => read(DB),
+    save: () => {}
+  }
+}
+
+module.exports = {
+  fileStorage,
+  memoryStorage
+}
@@ -1,8 +1,11 @@
 'use strict'
 
 const fs = require('node:fs')
+const { join } = require('node:path')
 const { EventEmitter, errorMonitor } = require('node:events')
+const { PassThrough, Readable } = require('node:stream')
 const { MIMEType } = require('node:util')
+const { createHash } = require('node:crypto')
 
 jest.useFakeTimers()
 jest.spyOn(global, 'setInterval')
@@ -10,11 +13,26 @@ jest.spyOn(global, 'setInterval')
 jest.mock('fs')
 jest.spyOn(fs, 'readFileSync')
 jest.spyOn(fs, 'writeFileSync')
+jest.spyOn(fs, 'mkdirSync')
+jest.spyOn(fs, 'renameSync')
+jest.spyOn(fs, 'rmSync')
+jest.spyOn(fs, 'openSync')
+jest.spyOn(fs, 'writeSync')
+jest.spyOn(fs, 'closeSync')
+jest.spyOn(fs, 'unlinkSync')
+jest.spyOn(fs, 'watch')
 
 jest.spyOn(global, 'fetch')
 
 beforeEach(() => {
   fs.writeFileSync.mockImplementation(() => true)
+  fs.mkdirSync.mockImplementation(() => undefined)
+  fs.renameSync.mockImplementation(() => undefined)
+  fs.rmSync.mockImplementation(() => undefined)
+  fs.openSync.mockImplementation(() => 3)
+  fs.writeSync.mockImplementation(() => undefined)
+  fs.closeSync.mockImplementation(() => undefined)
+  fs.unlinkSync.mockImplementation(() => undefined)
   fs.readFileSync.mockImplementation(() => JSON.stringify({
     mediaTypes: {
       txt: ['text/plain']
@@ -74,6 +92,24 @@ beforeEach(() => {
         }
 
         etag = 'nginx_v1'
+      } else if (resource.includes('iana')) {
+        if (options.method.toUpperCase() === 'GET') {
+          body = 'Name,Template,Reference\r\n'
+
+          if (resource.endsWith('/application.csv')) {
+            body += [
+              'json,application/json,[RFC8259]',
+              'javascript (OBSOLETED in favor of text/javascript),application/javascript,"[RFC4329][RFC9239]"',
+              '"vnd.example, ""quoted""",application/vnd.example,"[Doe, John]"',
+              'vnd.legacy - DEPRECATED,application/vnd.legacy,',
+              'vnd.removed (OBSOLETED),,[Doe]'
+            ].join('\r\n')
+          } else if (resource.endsWith('/text.csv')) {
+            body += 'plain,text/plain,"[RFC2046][RFC3676][RFC5147]"'
+          }
+        }
+
+        etag = 'iana_v1'
       }
 
       return Promise.resolve(new Response(body, {
@@ -89,14 +125,31 @@ beforeEach(() => {
 })
 
 afterEach(() => {
+  jest.clearAllTimers()
   setInterval.mockClear()
   fetch.mockClear()
   fs.writeFileSync.mockClear()
   fs.readFileSync.mockClear()
+  fs.mkdirSync.mockClear()
+  fs.renameSync.mockClear()
+  fs.rmSync.mockClear()
+  fs.openSync.mockClear()
+  fs.writeSync.mockClear()
+  fs.closeSync.mockClear()
+  fs.unlinkSync.mockClear()
+  fs.watch.mockClear()
 })
 
 const MediaTypes = require('../src/MediaTypes.js')
 
+function pending (resource, { signal }) { // a request that only settles once aborted
+  return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)))
+}
+
+function saved () { // once the database file is written, after the lock is taken
+  return jest.advanceTimersByTimeAsync(0)
+}
+
 describe('Constructor', () => {
   test('Given that one wants to instantiate the module with an invalid updateInterval argument', () => {
     ['', 'xyz', false, null, NaN, Infinity, {}, []].forEach(updateInterval => {
@@ -110,6 +163,37 @@ describe('Constructor', () => {
     })
   })
 
+  test('Given that one wants to instantiate the module with an invalid sources argument', () => {
+    [-1, 0, 1, false, null, NaN, Infinity, {}, 'apache'].forEach(sources => {
+      expect(() => new MediaTypes(-1, { sources })).toThrow(new TypeError('Invalid sources'))
+    })
+
+    expect(() => new MediaTypes(-1, { sources: [null] })).toThrowError(new AggregateError([
+      'Invalid name',
+      'Invalid url'
+    ], 'Invalid arguments'))
+    expect(() => new MediaTypes(-1, { sources: [{ name: 'mirror', url: 'mirror.example' }] })).toThrow(new SyntaxError('Invalid url'))
+  })
+
+  test('Given that one wants to instantiate the module with custom sources', () => {
+    const mediaType = new MediaTypes(-1, {
+      sources: [
+        { name: 'nginx', url: 'https://mirror.example/nginx/mime.types' },
+        { name: 'mirror', url: 'https://mirror.example/mime.types', parser: () => [] },
+        { name: 'mirror', url: 'https://mirror.example/duplicate/mime.types' }
+      ]
+    })
+
+    expect(mediaType.sources).toStrictEqual([
+      { name: 'nginx', url: 'https://mirror.example/nginx/mime.types', parser: expect.any(Function) },
+      { name: 'mirror', url: 'https://mirror.example/mime.types', parser: expect.any(Function) }
+    ])
+    expect(mediaType.versions).toStrictEqual({
+      nginx: 'nginx_v0',
+      mirror: ''
+    })
+  })
+
   test('Given that one wants to enable the automatic periodic update', () => {
     setInterval.mockImplementationOnce(jest.fn());
 
@@ -120,6 +204,22 @@ describe('Constructor', () => {
     expect(setInterval).toHaveBeenCalledTimes(2)
   })
 
+  test('Given that the timeout of the requests is invalid', () => {
+    [0, -1, NaN, Infinity, '1000', null, {}].forEach(timeout => {
+      expect(() => new MediaTypes(-1, { timeout })).toThrow(new TypeError('Invalid timeout'))
+    })
+  })
+
+  test('Given that the checks of the lists are invalid', () => {
+    [0, -1, NaN, '0.5', null, {}].forEach(maxChange => {
+      expect(() => new MediaTypes(-1, { maxChange })).toThrow(new TypeError('Invalid maxChange'))
+    });
+
+    ['image', [1], null, {}].forEach(topLevelTypes => {
+      expect(() => new MediaTypes(-1, { topLevelTypes })).toThrow(new TypeError('Invalid topLevelTypes'))
+    })
+  })
+
   test('Given you do not want to enable the automatic periodic update', () => {
     [Number.MIN_SAFE_INTEGER, -1].forEach(updateInterval => {
       expect(() => new MediaTypes(updateInterval)).not.toThrowError()
@@ -143,6 +243,8 @@ describe('Attributes', () => {
       nginx: 'nginx_v0'
     })
 
+    expect(mediaType.sources.map(source => source.name)).toStrictEqual(['apache', 'debian', 'nginx', 'iana'])
+
     expect(mediaType.updateInterval).toBe(86400000)
 
     expect(setInterval).toHaveBeenCalledTimes(1)
@@ -159,7 +261,8 @@ describe('Attributes', () => {
     expect(mediaType.versions).toMatchObject({
       apache: '',
       debian: '',
-      nginx: ''
+      nginx: '',
+      iana: ''
     })
   })
 
@@ -203,265 +306,3109 @@ describe('Methods', () => {
         expect(mediaType.get(path)).toContainEqual(new MIMEType('text/plain'))
       })
     })
-  })
 
-  describe('set', () => {
-    test('Given that one wants to set a new media type in the list by passing invalid arguments', () => {
-      const mediaType = new MediaTypes(-1);
+    test('Given that one wants to get the possible media types from a file with a compound extension', () => {
+      const mediaType = new MediaTypes(-1)
 
-      [-1, 0, 1, false, null, NaN, Infinity, {}, []].forEach(path => {
-        expect(() => mediaType.set(path, 'application/x-test')).toThrow(new TypeError('Invalid extension'))
-      });
+      expect(mediaType.set('gz', 'application/gzip')).toBeTruthy()
+      expect(mediaType.set('tar.gz', 'application/x-gtar')).toBeTruthy()
+      expect(mediaType.set('d.ts', 'application/typescript')).toBeTruthy()
 
-      ['fileName.', '.txt', ''].forEach(path => {
-        expect(() => mediaType.set(path, 'application/x-test')).toThrow(new SyntaxError('Invalid extension'))
-      });
+      expect(mediaType.get('backup.tar.gz')).toStrictEqual([new MIMEType('application/x-gtar')])
+      expect(mediaType.get('path/to.tar/BACKUP.TAR.GZ')).toStrictEqual([new MIMEType('application/x-gtar')])
+      expect(mediaType.get('.backup.tar.gz')).toStrictEqual([new MIMEType('application/x-gtar')])
+      expect(mediaType.get('backup.v1.tar.gz')).toStrictEqual([new MIMEType('application/x-gtar')])
+      expect(mediaType.get('backup.gz')).toStrictEqual([new MIMEType('application/gzip')])
+      expect(mediaType.get('tar.gz')).toStrictEqual([new MIMEType('application/gzip')])
+      expect(mediaType.get('backup.%@?.gz')).toStrictEqual([new MIMEType('application/gzip')])
+      expect(mediaType.get('types.d.ts')).toStrictEqual([new MIMEType('application/typescript')])
+      expect(mediaType.get('notes.txt.bak')).toStrictEqual([])
+      expect(mediaType.get('jquery.min.txt')).toStrictEqual([new MIMEType('text/plain')])
 
-      [-1, 0, 1, false, null, NaN, Infinity, {}, []].forEach(mediaTypes => {
-        expect(() => mediaType.set('test', mediaTypes)).toThrow(new TypeError('Invalid mediaType'))
+      expect(mediaType.getPreferred('backup.tar.gz')).toStrictEqual(new MIMEType('application/x-gtar'))
+      expect(mediaType.extension('application/x-gtar')).toBe('tar.gz')
+
+      expect(mediaType.delete('tar.gz', 'application/x-gtar')).toBeTruthy()
+      expect(mediaType.get('backup.tar.gz')).toStrictEqual([new MIMEType('application/gzip')]);
+
+      ['backup.tar.', 'backup..', 'backup.%@?'].forEach(path => {
+        expect(() => mediaType.get(path)).toThrow(new SyntaxError('Invalid extension'))
       });
 
-      ['application', 'application/', '/x-test', ''].forEach(mediaTypes => {
-        expect(() => mediaType.set('test', mediaTypes)).toThrow(new SyntaxError('Invalid mediaType'))
+      ['tar.', '.gz', 'tar..gz'].forEach(extension => {
+        expect(() => mediaType.set(extension, 'application/x-gtar')).toThrow(new SyntaxError('Invalid extension'))
       })
+    })
 
-      expect(() => mediaType.set(undefined, undefined)).toThrowError(new AggregateError([
-        'Invalid extension',
-        'Invalid mediaType'
-      ], 'Invalid arguments'))
+    test('Given that the extension of the file is named as a property of the objects', () => {
+      const mediaType = new MediaTypes(-1);
+
+      ['constructor', 'toString', 'hasOwnProperty', '__proto__'].forEach(extension => {
+        expect(mediaType.get(`x.${extension}`)).toStrictEqual([])
+        expect(mediaType.getPreferred(`x.${extension}`)).toBeUndefined()
+        expect(mediaType.explain(`x.${extension}`)).toStrictEqual([])
+        expect(mediaType.negotiate('*/*', `x.${extension}`)).toStrictEqual([])
+      })
+
+      expect(mediaType.set('constructor', 'text/plain')).toBeTruthy()
+      expect(mediaType.set('constructor', 'text/x-c')).toBeTruthy()
+      expect(mediaType.set('constructor', 'text/x-c')).toBeFalsy()
+      expect(mediaType.get('x.constructor').map(String)).toStrictEqual(['text/plain', 'text/x-c'])
+      expect(mediaType.explain('x.constructor').map(({ sources }) => sources)).toStrictEqual([['local'], ['local']])
+      expect(mediaType.delete('constructor', 'text/plain')).toBeTruthy()
+      expect(String(mediaType.getPreferred('x.constructor'))).toBe('text/x-c')
     })
 
-    test('Given that one wants to set a new media type in the module list', () => {
-      const mediaType = new MediaTypes(-1)
+    test('Given that a source no longer lists an extension named as a property of the objects', async () => {
+      const mediaType = new MediaTypes(-1, { storage: null, sources: [{ name: 'mirror', url: 'https://mirror.example/mime.types' }] })
+      const lists = ['text/plain  constructor', 'text/plain  txt']
 
-      const extension = 'test'
-      const contentType = ['application/x-test', 'application/octet-stream']
+      fetch.mockImplementation((resource, options) => Promise.resolve(new Response(options.method === 'HEAD' ? '' : lists[0], {
+        status: 200,
+        headers: { etag: `mirror_v${lists.length}` }
+      })))
 
-      expect(mediaType.set(extension, `${contentType[0]};key=value`)).toBeTruthy()
-      expect(mediaType.set(extension, contentType[0])).toBeFalsy()
-      expect(mediaType.get(`fileName.${extension}`)).toContainEqual(new MIMEType(`${contentType[0]};key=value`))
+      await mediaType.update()
 
-      expect(mediaType.set(extension, contentType[1])).toBeTruthy()
-      expect(mediaType.get(`fileName.${extension}`)).toContainEqual(new MIMEType(contentType[1]))
+      lists.shift()
+
+      await expect(mediaType.update(false, { reconcile: true }).then(diff => Object.entries(diff.mirror.removed).map(([extension, mediaTypes]) => [extension, mediaTypes.map(String)]))).resolves.toStrictEqual([
+        ['constructor', ['text/plain']]
+      ])
     })
+  })
 
-    test('Given that one wants to set an already existing media type into the module list', () => {
+  describe('globs', () => {
+    test('Given that one wants to get the possible media types of files without a meaningful extension', () => {
       const mediaType = new MediaTypes(-1)
 
-      expect(mediaType.set('txt', 'text/plain')).toBeFalsy()
-      expect(mediaType.set('txt', 'text/plain;key=value')).toBeFalsy()
+      expect(mediaType.globs).toMatchObject({ Makefile: [new MIMEType('text/x-makefile')] })
+
+      expect(mediaType.get('Dockerfile')).toStrictEqual([new MIMEType('text/x-dockerfile')])
+      expect(mediaType.get('path/to/makefile')).toStrictEqual([new MIMEType('text/x-makefile')])
+      expect(mediaType.get('.htaccess')).toStrictEqual([new MIMEType('text/plain')])
+      expect(mediaType.get('LICENSE')).toStrictEqual([new MIMEType('text/plain')])
+      expect(mediaType.get('.env')).toStrictEqual([new MIMEType('text/plain')])
+      expect(mediaType.get('.env.production')).toStrictEqual([new MIMEType('text/plain')])
+      expect(mediaType.get('webpack.config.js')).toStrictEqual([new MIMEType('text/javascript')])
+      expect(mediaType.get('CMakeLists.txt')).toStrictEqual([new MIMEType('text/x-cmake')])
+      expect(mediaType.get('LICENSE.txt')).toStrictEqual([new MIMEType('text/plain')])
+      expect(mediaType.getPreferred('Dockerfile')).toStrictEqual(new MIMEType('text/x-dockerfile'))
+      expect(mediaType.contentType('Makefile')).toBe('text/x-makefile;charset=utf-8')
+
+      expect(mediaType.get('Dockerfile.dev')).toStrictEqual([])
+      expect(() => mediaType.get('Dockerfiles')).toThrow(new SyntaxError('Invalid extension'))
     })
-  })
 
-  describe('delete', () => {
-    test('Given that one wants to delete a media type by passing an invalid arguments', () => {
+    test('Given that one wants to set file names and glob patterns by passing invalid arguments', () => {
       const mediaType = new MediaTypes(-1);
 
-      [-1, 0, 1, false, null, NaN, Infinity, {}, []].forEach(path => {
-        expect(() => mediaType.delete(path, 'application/x-test')).toThrow(new TypeError('Invalid extension'))
-      });
+      ['setGlob', 'deleteGlob'].forEach(method => {
+        [-1, 0, 1, false, null, NaN, Infinity, {}, []].forEach(pattern => {
+          expect(() => mediaType[method](pattern, 'text/plain')).toThrow(new TypeError('Invalid pattern'))
+        });
 
-      ['fileName.', '.txt', ''].forEach(path => {
-        expect(() => mediaType.delete(path, 'application/x-test')).toThrow(new SyntaxError('Invalid extension'))
-      });
+        ['', ' ', 'path/*.js', 'path\\*.js', '[z-a].txt'].forEach(pattern => {
+          expect(() => mediaType[method](pattern, 'text/plain')).toThrow(new SyntaxError('Invalid pattern'))
+        });
 
-      [-1, 0, 1, false, null, NaN, Infinity, {}, []].forEach(mediaTypes => {
-        expect(() => mediaType.delete('test', mediaTypes)).toThrow(new TypeError('Invalid mediaType'))
-      });
+        [-1, 0, 1, false, null, NaN, Infinity, {}, []].forEach(mediaTypeName => {
+          expect(() => mediaType[method]('Procfile', mediaTypeName)).toThrow(new TypeError('Invalid mediaType'))
+        });
 
-      ['application', 'application/', '/x-test', ''].forEach(mediaTypes => {
-        expect(() => mediaType.delete('test', mediaTypes)).toThrow(new SyntaxError('Invalid mediaType'))
+        ['', 'text', 'text/', '/plain'].forEach(mediaTypeName => {
+          expect(() => mediaType[method]('Procfile', mediaTypeName)).toThrow(new SyntaxError('Invalid mediaType'))
+        })
+
+        expect(() => mediaType[method]()).toThrowError(new AggregateError([
+          'Invalid pattern',
+          'Invalid mediaType'
+        ], 'Invalid arguments'))
       })
+    })
 
-      expect(() => mediaType.delete(undefined, undefined)).toThrowError(new AggregateError([
-        'Invalid extension',
-        'Invalid mediaType'
-      ], 'Invalid arguments'))
+    test('Given that one wants to set and delete file names and glob patterns', async () => {
+      const mediaType = new MediaTypes(-1)
+
+      expect(mediaType.setGlob('Procfile', 'text/x-procfile')).toBeTruthy()
+      expect(mediaType.setGlob('Procfile', 'text/x-procfile')).toBeFalsy()
+      expect(mediaType.setGlob('*.txt', 'text/x-any')).toBeTruthy()
+      expect(mediaType.setGlob('notes-??.txt', 'text/x-notes')).toBeTruthy()
+      expect(mediaType.setGlob('[!a]b[.^]c[[].[+]', 'text/x-class')).toBeTruthy()
+      expect(mediaType.setGlob('constructor', 'text/x-constructor')).toBeTruthy()
+
+      await saved()
+
+      expect(JSON.parse(fs.writeFileSync.mock.lastCall[1]).globs.added).toMatchObject({ Procfile: ['text/x-procfile'] })
+
+      expect(mediaType.get('procfile')).toStrictEqual([new MIMEType('text/x-procfile')])
+      expect(mediaType.get('file.txt')).toStrictEqual([new MIMEType('text/x-any')])
+      expect(mediaType.get('notes-01.txt')).toStrictEqual([new MIMEType('text/x-notes')])
+      expect(mediaType.get('notes-001.txt')).toStrictEqual([new MIMEType('text/x-any')])
+      expect(mediaType.get('CMakeLists.txt')).toStrictEqual([new MIMEType('text/x-cmake')])
+      expect(mediaType.get('xb^c[.+')).toStrictEqual([new MIMEType('text/x-class')])
+      expect(mediaType.get('ab^c[.+')).toStrictEqual([])
+      expect(mediaType.get('constructor')).toStrictEqual([new MIMEType('text/x-constructor')])
+
+      expect(mediaType.setGlob('*.?og', 'text/x-log')).toBeTruthy()
+      expect(mediaType.setGlob('*.lo?', 'text/x-lo')).toBeTruthy()
+      expect(mediaType.setGlob('*.l?g', 'text/x-lg')).toBeTruthy()
+      expect(mediaType.get('server.log')).toStrictEqual([new MIMEType('text/x-log')])
+
+      expect(mediaType.setGlob('*.txt', 'application/x-any')).toBeTruthy()
+      expect(mediaType.getPreferred('file.txt')).toStrictEqual(new MIMEType('text/x-any'))
+
+      expect(mediaType.deleteGlob('*.txt', 'text/x-any')).toBeTruthy()
+      expect(mediaType.deleteGlob('*.txt', 'text/x-any')).toBeFalsy()
+      expect(mediaType.get('file.txt')).toStrictEqual([new MIMEType('application/x-any')])
+      expect(mediaType.deleteGlob('*.txt', 'application/x-any')).toBeTruthy()
+      expect(mediaType.deleteGlob('*.md', 'text/markdown')).toBeFalsy()
+      expect(mediaType.deleteGlob('toString', 'text/plain')).toBeFalsy()
+
+      expect(mediaType.globs).not.toHaveProperty('*.txt')
+      expect(mediaType.get('file.txt')).toStrictEqual([new MIMEType('text/plain')])
     })
 
-    test('Given that one wants to delete an existing media type in the module list', () => {
+    test('Given that the database has its own file names and glob patterns', async () => {
+      fs.readFileSync.mockReturnValueOnce(JSON.stringify({
+        mediaTypes: {},
+        globs: {
+          added: { Procfile: ['text/x-procfile'], Dockerfile: ['text/x-containerfile'] },
+          deleted: { Makefile: ['text/x-makefile'], Gemfile: ['text/x-ruby', 'text/x-gemfile'] }
+        }
+      }))
+
       const mediaType = new MediaTypes(-1)
 
-      const extension = 'txt'
-      const contentType = 'text/plain'
+      expect(mediaType.get('Procfile').map(String)).toStrictEqual(['text/x-procfile'])
+      expect(mediaType.get('Dockerfile').map(String)).toStrictEqual(['text/x-dockerfile', 'text/x-containerfile']) // over the built-in ones
+      expect(mediaType.get('Containerfile').map(String)).toStrictEqual(['text/x-dockerfile'])
+      expect(mediaType.globs).not.toHaveProperty('Makefile')
 
-      expect(mediaType.delete(extension, contentType)).toBeTruthy()
-      expect(extension in mediaType.list).toBeFalsy()
-      expect(mediaType.get(`fileName.${extension}`)).not.toContainEqual(new MIMEType(contentType))
+      expect(mediaType.setGlob('Makefile', 'text/x-makefile')).toBeTruthy()
+      expect(mediaType.setGlob('Gemfile', 'text/x-ruby')).toBeTruthy()
+      expect(mediaType.deleteGlob('Dockerfile', 'text/x-dockerfile')).toBeTruthy()
+      expect(mediaType.deleteGlob('Dockerfile', 'text/x-containerfile')).toBeTruthy()
+      expect(mediaType.deleteGlob('Procfile', 'text/x-procfile')).toBeTruthy()
+
+      expect(mediaType.globs).toHaveProperty('Makefile')
+      expect(mediaType.globs).not.toHaveProperty('Dockerfile')
+
+      await saved()
+
+      expect(JSON.parse(fs.writeFileSync.mock.lastCall[1]).globs).toStrictEqual({ // only the local changes
+        added: {},
+        deleted: { Dockerfile: ['text/x-dockerfile'], Gemfile: ['text/x-gemfile'] }
+      })
     })
+  })
 
-    test('Given that one wants to delete a media type that does not exist in the module list', () => {
-      const mediaType = new MediaTypes(-1)
+  describe('getPreferred', () => {
+    function mockSources (lists) {
+      fetch.mockImplementation((resource, options) => {
+        const name = Object.keys(lists).find(name => resource.includes(name))
+
+        return Promise.resolve(new Response(options.method === 'HEAD' ? '' : lists[name], {
+          status: 200,
+          headers: {
+            etag: `${name}_v2`
+          }
+        }))
+      })
+    }
 
-      expect(mediaType.delete('txt', 'application/octet-stream')).toBeFalsy()
-      expect(mediaType.delete('test', 'text/plain')).toBeFalsy()
+    test('Given that one wants to get the preferred media type of a file by passing an invalid path argument', () => {
+      const mediaType = new MediaTypes(-1);
+
+      [-1, 0, 1, false, null, NaN, Infinity, {}, []].forEach(path => {
+        expect(() => mediaType.getPreferred(path)).toThrow(new TypeError('Invalid path'))
+      });
+
+      ['fileName', 'fileName.', '.txt', ''].forEach(path => {
+        expect(() => mediaType.getPreferred(path)).toThrow(new SyntaxError('Invalid extension'))
+      })
     })
 
-    test('Given that you want to exclude one of the existing media types in the list of modules', () => {
+    test('Given that one wants to get the preferred media type of a file', () => {
       const mediaType = new MediaTypes(-1)
 
-      const extension = 'txt'
+      expect(mediaType.getPreferred('fileName.txt')).toBe(mediaType.list.txt[0])
+      expect(mediaType.getPreferred('fileName.jpg')).toBeUndefined()
 
-      expect(mediaType.set(extension, 'application/octet-stream')).toBeTruthy()
-      expect(mediaType.delete(extension, 'text/plain')).toBeTruthy()
-      expect(mediaType.get(`fileName.${extension}`)).toContainEqual(new MIMEType('application/octet-stream'))
+      expect(mediaType.set('txt', 'application/x-test')).toBeTruthy()
+      expect(mediaType.set('txt', 'application/vnd.test')).toBeTruthy()
+      expect(mediaType.set('txt', 'text/x-test')).toBeTruthy()
+
+      expect(mediaType.getPreferred('fileName.txt')).toStrictEqual(new MIMEType('text/plain'))
+
+      expect(mediaType.set('js', 'text/javascript')).toBeTruthy()
+      expect(mediaType.set('js', 'application/javascript')).toBeTruthy()
+      expect(mediaType.set('mjs', 'text/plain')).toBeTruthy()
+      expect(mediaType.set('mjs', 'text/javascript')).toBeTruthy()
+
+      expect(mediaType.getPreferred('fileName.js')).toStrictEqual(new MIMEType('text/javascript'))
+      expect(mediaType.getPreferred('fileName.mjs')).toStrictEqual(new MIMEType('text/javascript'))
     })
-  })
 
-  describe('update', () => {
-    test('Given that one wants to try to update the list of media types at some point', async () => {
-      expect.assertions(3)
+    test('Given that one wants to get the preferred media type among equally ranked ones', () => {
+      fs.readFileSync.mockReturnValueOnce(JSON.stringify({
+        mediaTypes: {
+          dat: ['text/plain', 'application/json', 'text/csv']
+        }
+      }))
 
       const mediaType = new MediaTypes(-1)
 
-      const extension = 'jpg'
-      const contentType = 'image/jpeg'
+      expect(mediaType.getPreferred('fileName.dat')).toStrictEqual(new MIMEType('application/json'))
+    })
 
-      expect(mediaType.get(`fileName.${extension}`)).toHaveLength(0)
+    test('Given that one wants the preferred media type of a file to avoid the ones the IANA registry deprecates', async () => {
+      const mediaType = new MediaTypes(-1)
 
-      await expect(mediaType.update().then(res => {
-        return Object.keys(res)
-      })).resolves.toContain(extension)
-      expect(mediaType.get(`fileName.${extension}`)).toContainEqual(new MIMEType(contentType))
+      expect(mediaType.set('dat', 'application/vnd.legacy')).toBeTruthy()
+      expect(mediaType.set('dat', 'application/vnd.other')).toBeTruthy()
+
+      expect(mediaType.getPreferred('fileName.dat')).toStrictEqual(new MIMEType('application/vnd.legacy'))
+
+      await mediaType.update()
+
+      expect(mediaType.getPreferred('fileName.dat')).toStrictEqual(new MIMEType('application/vnd.other'))
     })
 
-    test('Given that one wants to try to force update the list of media types at some point', async () => {
-      expect.assertions(4)
+    test('Given that one wants the preferred media type of a file to follow the priority of the sources', async () => {
+      mockSources({
+        apache: 'application/vnd.apache  ts\napplication/javascript  js',
+        debian: 'text/vnd.debian  ts\ntext/javascript  js',
+        nginx: 'video/mp2t  ts\napplication/javascript  js'
+      })
 
       const mediaType = new MediaTypes(-1)
 
-      const extension = 'jpg'
-      const contentType = 'image/jpeg'
+      expect(mediaType.priority).toStrictEqual(['apache', 'debian', 'nginx', 'iana'])
 
       await mediaType.update()
 
-      expect(mediaType.delete(extension, contentType)).toBeTruthy()
+      expect(mediaType.getPreferred('fileName.ts')).toStrictEqual(new MIMEType('application/vnd.apache'))
+      expect(mediaType.getPreferred('fileName.js')).toStrictEqual(new MIMEType('application/javascript'))
 
-      await expect(mediaType.update()).resolves.toStrictEqual({})
+      mediaType.priority = ['nginx', 'debian']
 
-      await expect(mediaType.update(true).then(res => {
-        return Object.keys(res)
-      })).resolves.toContain(extension)
+      expect(mediaType.priority).toStrictEqual(['nginx', 'debian'])
+      expect(mediaType.getPreferred('fileName.ts')).toStrictEqual(new MIMEType('video/mp2t'))
+      expect(mediaType.getPreferred('fileName.js')).toStrictEqual(new MIMEType('application/javascript'))
 
-      expect(mediaType.get(`fileName.${extension}`)).toContainEqual(new MIMEType(contentType))
-    })
-  })
-})
+      mediaType.priority = ['debian']
 
-describe('Fetch', () => {
-  test('Given that one wants to try to update the list of media types at some point and there was an error processing the data', () => {
-    expect.assertions(1)
+      expect(mediaType.getPreferred('fileName.ts')).toStrictEqual(new MIMEType('text/vnd.debian'))
+      expect(mediaType.getPreferred('fileName.js')).toStrictEqual(new MIMEType('text/javascript'))
 
-    for (let i = 0; i < 6; i++) {
-      fetch.mockReturnValueOnce(Promise.resolve(new Response('invalid data', {
-        status: 200,
-        headers: {
-          etag: 'v3'
-        }
-      })))
-    }
+      mediaType.priority = []
 
-    const mediaType = new MediaTypes(-1)
+      expect(mediaType.getPreferred('fileName.ts')).toStrictEqual(new MIMEType('video/mp2t'))
+      expect(mediaType.getPreferred('fileName.js')).toStrictEqual(new MIMEType('text/javascript'))
 
-    return expect(mediaType.update()).resolves.toStrictEqual({})
-  })
+      mediaType.priority = undefined
 
-  test('Given that one wants to try to update the list of media types at some point and there was an error processing the media types or the file extension', () => {
-    expect.assertions(1)
+      expect(mediaType.priority).toStrictEqual(['apache', 'debian', 'nginx', 'iana'])
+      expect(mediaType.getPreferred('fileName.ts')).toStrictEqual(new MIMEType('application/vnd.apache'))
+    })
 
-    for (let i = 0; i < 6; i++) {
-      fetch.mockReturnValueOnce(Promise.resolve(new Response(`
-          audio/mpeg          %@?
-          video/%@?          mp4
-      `, {
-        status: 200,
-        headers: {
-          etag: 'v2'
+    test('Given that only a source lists a deprecated media type beside one of the database without provenance', async () => {
+      fs.readFileSync.mockReturnValueOnce(JSON.stringify({
+        mediaTypes: {
+          js: ['text/javascript']
         }
-      })))
-    }
+      }))
+      mockSources({ nginx: 'application/javascript  js' })
 
-    const mediaType = new MediaTypes(-1)
+      const mediaType = new MediaTypes(-1, { sources: [{ name: 'nginx', url: 'https://mirror.example/nginx/mime.types' }] })
 
-    return expect(mediaType.update()).resolves.toStrictEqual({})
-  })
+      await mediaType.update()
 
-  test('Given that the update method was called and the request returns an invalid data type', () => {
-    expect.assertions(1)
+      expect(mediaType.get('fileName.js').map(String)).toStrictEqual(['application/javascript', 'text/javascript'])
+      expect(String(mediaType.getPreferred('fileName.js'))).toBe('text/javascript')
+    })
 
-    for (let i = 0; i < 6; i++) {
-      fetch.mockReturnValueOnce(Promise.resolve(new Response(null, {
-        status: 200,
-        headers: {
-          etag: 'v3'
-        }
-      })))
-    }
+    test('Given that one wants the same preferred media type regardless of the order the sources were merged', async () => {
+      const lists = {
+        apache: 'application/javascript  js',
+        debian: 'text/javascript  js',
+        nginx: 'application/x-javascript  js'
+      }
+      const preferred = []
 
-    const mediaType = new MediaTypes(-1)
+      for (const sources of [['apache', 'debian', 'nginx'], ['nginx', 'debian', 'apache'], ['debian', 'apache', 'nginx']]) {
+        mockSources(lists)
 
-    return expect(mediaType.update()).resolves.toStrictEqual({})
-  })
+        const mediaType = new MediaTypes(-1, {
+          sources: sources.map(name => ({ name, url: `https://mirror.example/${name}/mime.types` })),
+          priority: ['apache', 'debian', 'nginx']
+        })
 
-  test('Given that the update method was called and the request does not have an etag header', () => {
-    expect.assertions(1)
+        await mediaType.update()
+        await mediaType.update(true)
 
-    for (let i = 0; i < 3; i++) {
-      fetch.mockReturnValueOnce(Promise.resolve(new Response(`
-        video/mp4          mp4 mp4v mpg4
-      `, {
-        status: 200
-      })))
-    }
+        preferred.push(String(mediaType.getPreferred('fileName.js')))
+      }
 
-    const mediaType = new MediaTypes(-1)
+      expect(preferred).toStrictEqual(Array(3).fill('application/javascript'))
+    })
 
-    return expect(mediaType.update()).resolves.toStrictEqual({})
+    test('Given that the source priority is invalid', () => {
+      [-1, 0, 1, false, null, NaN, Infinity, {}, 'apache', [1], [null]].forEach(priority => {
+        expect(() => new MediaTypes(-1, { priority })).toThrow(new TypeError('Invalid priority'))
+
+        const mediaType = new MediaTypes(-1)
+
+        expect(() => {
+          mediaType.priority = priority
+        }).toThrow(new TypeError('Invalid priority'))
+      })
+    })
   })
 
-  test('Given that the update method was called and the request returns an error', () => {
-    expect.assertions(1)
+  describe('explain', () => {
+    test('Given that one wants to explain the media types of a file by passing an invalid path argument', () => {
+      const mediaType = new MediaTypes(-1);
 
-    for (let i = 0; i < 3; i++) {
-      fetch.mockReturnValueOnce(Promise.resolve(new Response('', {
-        status: 500,
-        headers: {
-          etag: 'v3'
-        }
-      })))
-    }
+      [-1, 0, 1, false, null, NaN, Infinity, {}, []].forEach(path => {
+        expect(() => mediaType.explain(path)).toThrow(new TypeError('Invalid path'))
+      });
 
-    const mediaType = new MediaTypes(-1)
+      ['fileName', 'fileName.', '.txt', ''].forEach(path => {
+        expect(() => mediaType.explain(path)).toThrow(new SyntaxError('Invalid extension'))
+      })
+    })
 
-    return expect(mediaType.update()).resolves.toStrictEqual({})
-  })
+    test('Given that one wants to know where the media types of a file came from and when they were added', async () => {
+      jest.setSystemTime(new Date('2024-01-01T00:00:00.000Z'))
 
-  test('Given that the update method was called and the fetch function throws an exception', () => {
-    expect.assertions(1)
+      const mediaType = new MediaTypes(-1)
 
-    for (let i = 0; i < 3; i++) {
-      fetch.mockReturnValueOnce(Promise.resolve(new Error('Auto-Update Exception')))
-    }
+      expect(mediaType.explain('fileName.txt')).toStrictEqual([{
+        type: mediaType.list.txt[0],
+        sources: [],
+        addedAt: undefined
+      }])
+      expect(mediaType.explain('fileName.jpg')).toStrictEqual([])
 
-    const mediaType = new MediaTypes(-1)
+      await mediaType.update()
 
-    return expect(mediaType.update()).resolves.toStrictEqual({})
+      jest.setSystemTime(new Date('2024-02-01T00:00:00.000Z'))
+
+      expect(mediaType.set('jpg', 'image/x-test')).toBeTruthy()
+
+      const explanation = mediaType.explain('path/to/fileName.jpg')
+
+      expect(explanation.map(({ type, sources, addedAt }) => [String(type), sources, addedAt])).toStrictEqual([
+        ['image/jpeg', ['apache', 'debian', 'nginx'], new Date('2024-01-01T00:00:00.000Z')],
+        ['image/x-test', ['local'], new Date('2024-02-01T00:00:00.000Z')]
+      ])
+
+      explanation[0].sources.push('changed')
+
+      expect(mediaType.explain('fileName.jpg')[0].sources).toStrictEqual(['apache', 'debian', 'nginx'])
+
+      expect(mediaType.delete('jpg', 'image/x-test')).toBeTruthy()
+      expect(mediaType.set('jpg', 'image/x-test')).toBeTruthy()
+      expect(mediaType.explain('fileName.jpg')[1].addedAt).toStrictEqual(new Date('2024-02-01T00:00:00.000Z'))
+
+      expect(mediaType.explain('Dockerfile').map(({ type, sources, addedAt }) => [String(type), sources, addedAt])).toStrictEqual([
+        ['text/x-dockerfile', [], undefined]
+      ])
+    })
   })
 
-  test('Given that the update method was called and the fetch function is rejected', () => {
-    expect.assertions(1)
+  describe('lookup', () => {
+    test('Given that one wants to look up a file by passing invalid arguments', () => {
+      const mediaType = new MediaTypes(-1);
 
-    for (let i = 0; i < 3; i++) {
-      fetch.mockReturnValueOnce(Promise.reject(new Error('Update Exception')))
-    }
+      [-1, 0, 1, false, null, NaN, Infinity, {}, []].forEach(path => {
+        expect(() => mediaType.lookup(path)).toThrow(new TypeError('Invalid path'))
+      });
 
-    const mediaType = new MediaTypes(-1)
+      ['fileName', 'fileName.', '.gz', ''].forEach(path => {
+        expect(() => mediaType.lookup(path)).toThrow(new SyntaxError('Invalid extension'))
+      });
 
-    return expect(mediaType.update()).resolves.toStrictEqual({})
+      [-1, 0, 1, null, NaN, Infinity, {}, [], '', 'gzip'].forEach(encoding => {
+        expect(() => mediaType.lookup('app.js.gz', { encoding })).toThrow(new TypeError('Invalid encoding'))
+      })
+    })
+
+    test('Given that one wants the media type and the content encoding of a precompressed file', () => {
+      const mediaType = new MediaTypes(-1)
+
+      expect(mediaType.set('js', 'text/javascript')).toBeTruthy()
+      expect(mediaType.set('gz', 'application/gzip')).toBeTruthy()
+      expect(mediaType.set('tar', 'application/x-tar')).toBeTruthy()
+
+      expect(mediaType.lookup('app.js.gz')).toStrictEqual({ type: new MIMEType('text/javascript'), encoding: 'gzip' })
+      expect(mediaType.lookup('path/to/app.js.br ')).toStrictEqual({ type: new MIMEType('text/javascript'), encoding: 'br' })
+      expect(mediaType.lookup('app.js.ZST')).toStrictEqual({ type: new MIMEType('text/javascript'), encoding: 'zstd' })
+      expect(mediaType.lookup('notes.txt.bz2')).toStrictEqual({ type: new MIMEType('text/plain'), encoding: 'bzip2' })
+      expect(mediaType.lookup('backup.tar.Z')).toStrictEqual({ type: new MIMEType('application/x-tar'), encoding: 'compress' })
+      expect(mediaType.lookup('Makefile.gz')).toStrictEqual({ type: new MIMEType('text/x-makefile'), encoding: 'gzip' })
+      expect(mediaType.lookup('archive.gz')).toStrictEqual({ type: undefined, encoding: 'gzip' })
+      expect(mediaType.lookup('archive.unknown.gz')).toStrictEqual({ type: undefined, encoding: 'gzip' })
+
+      expect(mediaType.lookup('app.js')).toStrictEqual({ type: new MIMEType('text/javascript'), encoding: undefined })
+      expect(mediaType.lookup('Dockerfile')).toStrictEqual({ type: new MIMEType('text/x-dockerfile'), encoding: undefined })
+      expect(mediaType.lookup('app.js.gz', { encoding: false })).toStrictEqual({ type: new MIMEType('application/gzip'), encoding: undefined })
+      expect(mediaType.lookup('app.js.br', { encoding: false })).toStrictEqual({ type: undefined, encoding: undefined })
+
+      expect(mediaType.set('tar.gz', 'application/x-gtar')).toBeTruthy()
+
+      expect(mediaType.lookup('backup.tar.gz')).toStrictEqual({ type: new MIMEType('application/x-gtar'), encoding: undefined })
+    })
+  })
+
+  describe('contentType', () => {
+    test('Given that one wants to get the Content-Type of a file by passing invalid arguments', () => {
+      const mediaType = new MediaTypes(-1);
+
+      [-1, 0, 1, false, null, NaN, Infinity, {}, []].forEach(path => {
+        expect(() => mediaType.contentType(path)).toThrow(new TypeError('Invalid path'))
+      });
+
+      ['fileName', 'fileName.', '.txt', ''].forEach(path => {
+        expect(() => mediaType.contentType(path)).toThrow(new SyntaxError('Invalid extension'))
+      });
+
+      [-1, 0, 1, true, null, NaN, Infinity, {}, []].forEach(charset => {
+        expect(() => mediaType.contentType('fileName.txt', { charset })).toThrow(new TypeError('Invalid charset'))
+      });
+
+      ['', 'utf 8', 'utf-8;', '"utf-8"'].forEach(charset => {
+        expect(() => mediaType.contentType('fileName.txt', { charset })).toThrow(new SyntaxError('Invalid charset'))
+      });
+
+      [-1, 0, 1, null, NaN, Infinity, {}, [], ''].forEach(encoding => {
+        expect(() => mediaType.contentType('fileName.txt.gz', { encoding })).toThrow(new TypeError('Invalid encoding'))
+      })
+    })
+
+    test('Given that one wants to get the Content-Type of a file', () => {
+      const mediaType = new MediaTypes(-1)
+
+      expect(mediaType.set('js', 'text/javascript')).toBeTruthy()
+      expect(mediaType.set('json', 'application/json')).toBeTruthy()
+      expect(mediaType.set('geojson', 'application/geo+json')).toBeTruthy()
+      expect(mediaType.set('svg', 'image/svg+xml')).toBeTruthy()
+      expect(mediaType.set('png', 'image/png')).toBeTruthy()
+      expect(mediaType.set('csv', 'text/csv;header=present')).toBeTruthy()
+      expect(mediaType.set('nfo', 'text/x-nfo;charset=cp437')).toBeTruthy()
+
+      expect(mediaType.contentType('fileName.txt')).toBe('text/plain;charset=utf-8')
+      expect(mediaType.contentType('fileName.js')).toBe('text/javascript;charset=utf-8')
+      expect(mediaType.contentType('fileName.json')).toBe('application/json;charset=utf-8')
+      expect(mediaType.contentType('fileName.geojson')).toBe('application/geo+json;charset=utf-8')
+      expect(mediaType.contentType('fileName.svg')).toBe('image/svg+xml;charset=utf-8')
+      expect(mediaType.contentType('fileName.png')).toBe('image/png')
+      expect(mediaType.contentType('fileName.csv')).toBe('text/csv;header=present;charset=utf-8')
+      expect(mediaType.contentType('fileName.nfo')).toBe('text/x-nfo;charset=cp437')
+      expect(mediaType.contentType('fileName.jpg')).toBeUndefined()
+
+      expect(mediaType.contentType('fileName.txt', { charset: 'ISO-8859-1' })).toBe('text/plain;charset=ISO-8859-1')
+      expect(mediaType.contentType('fileName.nfo', { charset: 'utf-8' })).toBe('text/x-nfo;charset=utf-8')
+      expect(mediaType.contentType('fileName.png', { charset: 'utf-8' })).toBe('image/png')
+
+      expect(mediaType.contentType('fileName.txt', { charset: false })).toBe('text/plain')
+      expect(mediaType.contentType('fileName.nfo', { charset: false })).toBe('text/x-nfo;charset=cp437')
+
+      expect(mediaType.list.txt[0].params.has('charset')).toBeFalsy()
+
+      expect(mediaType.contentType('fileName.js.gz')).toBeUndefined()
+      expect(mediaType.contentType('fileName.js.gz', { encoding: true })).toBe('text/javascript;charset=utf-8')
+    })
+  })
+
+  describe('negotiate', () => {
+    test('Given that one wants to negotiate the media type by passing invalid arguments', () => {
+      const mediaType = new MediaTypes(-1);
+
+      [-1, 0, 1, false, null, NaN, Infinity, {}, []].forEach(accept => {
+        expect(() => mediaType.negotiate(accept)).toThrow(new TypeError('Invalid accept'))
+      });
+
+      [-1, 0, 1, false, null, NaN, Infinity, {}, [1], [null]].forEach(candidates => {
+        expect(() => mediaType.negotiate('*/*', candidates)).toThrow(new TypeError('Invalid candidates'))
+      });
+
+      [['application'], ['text/plain', '/x-test']].forEach(candidates => {
+        expect(() => mediaType.negotiate('*/*', candidates)).toThrow(new SyntaxError('Invalid candidates'))
+      });
+
+      ['fileName', ''].forEach(path => {
+        expect(() => mediaType.negotiate('*/*', path)).toThrow(new SyntaxError('Invalid extension'))
+      })
+    })
+
+    test('Given that one wants to rank the media ranges of the Accept header', () => {
+      const mediaType = new MediaTypes(-1)
+
+      expect(mediaType.negotiate().map(String)).toStrictEqual(['*/*'])
+      expect(mediaType.negotiate('').map(String)).toStrictEqual([])
+      expect(mediaType.negotiate('text/*;q=0.3, text/plain;q=0.7, text/plain;format=flowed, text/plain;format=fixed;q=0.4, */*;q=0.5').map(String)).toStrictEqual([
+        'text/plain;format=flowed',
+        'text/plain',
+        '*/*',
+        'text/plain;format=fixed',
+        'text/*'
+      ])
+      expect(mediaType.negotiate('text/html;q=0, application/json;q=1.0;ext=value, image/*;q=0.500, invalid, */html, text/css;q=1.5, text/xml;q=0.1234, text/csv;q=0.5;charset="a,b"').map(String)).toStrictEqual([
+        'application/json',
+        'text/csv',
+        'image/*'
+      ])
+      expect(mediaType.negotiate('text/plain, text/html').map(String)).toStrictEqual(['text/plain', 'text/html'])
+      expect(mediaType.negotiate('text/plain;x="a\\",b", text/html').map(String)).toStrictEqual(['text/plain;x="a\\",b"', 'text/html'])
+    })
+
+    test('Given that the Accept header is very long', () => {
+      const mediaType = new MediaTypes(-1)
+      const accept = 'text/plain;x="a,b";q=0, '.repeat(2048) + 'text/html;q=0.5'
+      const start = process.hrtime.bigint()
+
+      expect(mediaType.negotiate(accept).map(String)).toStrictEqual(['text/html'])
+      expect(Number(process.hrtime.bigint() - start) / 1e6).toBeLessThan(200) // in linear time
+    })
+
+    test('Given that one wants to negotiate among the media types available', () => {
+      const mediaType = new MediaTypes(-1)
+
+      const candidates = ['text/html', 'text/plain;charset=UTF-8', new MIMEType('application/json'), 'image/png']
+
+      expect(mediaType.negotiate(undefined, candidates).map(String)).toStrictEqual(candidates.map(String))
+      expect(mediaType.negotiate('text/*;q=0.3, text/plain;charset=utf-8;q=0.7, application/json;q=0.7, image/png;q=0', candidates).map(String)).toStrictEqual([
+        'text/plain;charset=UTF-8',
+        'application/json',
+        'text/html'
+      ])
+      expect(mediaType.negotiate('text/plain;charset=iso-8859-1, image/*', candidates).map(String)).toStrictEqual(['image/png'])
+      expect(mediaType.negotiate('application/xml', candidates)).toStrictEqual([])
+      expect(mediaType.negotiate('text/html;q=0.2, text/html;q=0.9', candidates).map(String)).toStrictEqual(['text/html'])
+      expect(mediaType.negotiate('text/html;q=0.2, text/html;q=0.9, image/png;q=0.5', candidates).map(String)).toStrictEqual(['image/png', 'text/html'])
+    })
+
+    test('Given that one wants to rank the media types of a file', () => {
+      const mediaType = new MediaTypes(-1)
+
+      expect(mediaType.set('txt', 'application/x-test')).toBeTruthy()
+
+      expect(mediaType.negotiate('text/*;q=0.5, application/*', 'fileName.txt')).toStrictEqual([
+        new MIMEType('application/x-test'),
+        new MIMEType('text/plain')
+      ])
+      expect(mediaType.negotiate('text/plain', 'path/to/fileName.txt')).toStrictEqual([new MIMEType('text/plain')])
+      expect(mediaType.negotiate('image/*', 'fileName.txt')).toStrictEqual([])
+      expect(mediaType.negotiate('*/*', 'fileName.jpg')).toStrictEqual([])
+    })
+  })
+
+  describe('detect', () => {
+    function zipEntry (name, { flags = 0, method = 0, data = '' } = {}) {
+      const header = Buffer.alloc(30)
+
+      header.write('PK\x03\x04', 'latin1')
+      header.writeUInt16LE(flags, 6)
+      header.writeUInt16LE(method, 8)
+      header.writeUInt32LE(flags & 0x08 ? 0 : data.length, 18)
+      header.writeUInt16LE(name.length, 26)
+
+      return Buffer.concat([header, Buffer.from(name), Buffer.from(data)])
+    }
+
+    function riff (format) {
+      return Buffer.from(`RIFF\x10\x20\x00\x00${format}`, 'latin1')
+    }
+
+    function ftyp (...brands) {
+      const box = Buffer.alloc(8 + brands.length * 4 + 4)
+
+      box.writeUInt32BE(box.length)
+      box.write('ftyp', 4)
+      box.write(brands[0], 8)
+      brands.slice(1).forEach((brand, i) => box.write(brand, 16 + i * 4))
+
+      return box
+    }
+
+    function ebml (...docType) {
+      return Buffer.from([0x1A, 0x45, 0xDF, 0xA3, 0x9F, 0x42, 0x86, 0x81, 0x01, 0x42, 0x82, ...docType])
+    }
+
+    const fixtures = {
+      'text/html': [
+        Buffer.from('  <!DOCTYPE html><html lang="en">'),
+        Buffer.from('\n<HTML>'),
+        Buffer.from('<p class="x">'),
+        Buffer.from('<!-- comment -->')
+      ],
+      'text/xml': [Buffer.from('\t<?xml version="1.0"?><svg/>')],
+      'application/pdf': [Buffer.from('%PDF-1.7\n\x00\x01', 'latin1')],
+      'application/postscript': [Buffer.from('%!PS-Adobe-3.0')],
+      'text/plain': [
+        Buffer.from([0xFE, 0xFF, 0x00, 0x41]),
+        Buffer.from([0xFF, 0xFE, 0x41, 0x00]),
+        Buffer.from([0xEF, 0xBB, 0xBF, 0x01]),
+        Buffer.from('<htmlx>'),
+        Buffer.from('plain text\r\n\tcontent\x1B[0m', 'latin1')
+      ],
+      'image/x-icon': [Buffer.from([0x00, 0x00, 0x01, 0x00, 0x01]), Buffer.from([0x00, 0x00, 0x02, 0x00, 0x01])],
+      'image/bmp': [Buffer.from('BM\x00\x00', 'latin1')],
+      'image/gif': [Buffer.from('GIF87a\x00'), Buffer.from('GIF89a\x00')],
+      'image/webp': [riff('WEBPVP8 ')],
+      'image/png': [Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00])],
+      'image/jpeg': [Buffer.from([0xFF, 0xD8, 0xFF, 0xE0])],
+      'image/tiff': [Buffer.from('II*\x00', 'latin1'), Buffer.from('MM\x00*', 'latin1')],
+      'image/vnd.adobe.photoshop': [Buffer.from('8BPS\x00\x01', 'latin1')],
+      'audio/basic': [Buffer.from('.snd\x00', 'latin1')],
+      'audio/aiff': [Buffer.from('FORM\x00\x00\x10\x00AIFF', 'latin1')],
+      'audio/mpeg': [Buffer.from('ID3\x04\x00', 'latin1')],
+      'application/ogg': [Buffer.from('OggS\x00\x02', 'latin1')],
+      'audio/midi': [Buffer.from('MThd\x00\x00\x00\x06\x00\x01', 'latin1')],
+      'video/x-msvideo': [riff('AVI LIST')],
+      'audio/wav': [riff('WAVEfmt ')],
+      'audio/flac': [Buffer.from('fLaC\x00', 'latin1')],
+      'video/mp4': [ftyp('isom', 'isom', 'mp41'), ftyp('mp42', 'isom')],
+      'image/avif': [ftyp('avif', 'mif1')],
+      'image/heic': [ftyp('heic', 'mif1')],
+      'video/quicktime': [ftyp('qt  ', 'qt  ')],
+      'audio/mp4': [ftyp('M4A ', 'isom')],
+      'video/3gpp': [ftyp('3gp5', 'isom')],
+      'video/webm': [ebml(0x84, ...Buffer.from('webm')), ebml(0x40, 0x04, ...Buffer.from('webm'))],
+      'video/x-matroska': [ebml(0x88, ...Buffer.from('matroska'))],
+      'application/vnd.ms-fontobject': [Buffer.concat([Buffer.alloc(34, 0x01), Buffer.from('LP')])],
+      'font/ttf': [Buffer.from([0x00, 0x01, 0x00, 0x00, 0x00])],
+      'font/otf': [Buffer.from('OTTO\x00', 'latin1')],
+      'font/collection': [Buffer.from('ttcf\x00', 'latin1')],
+      'font/woff': [Buffer.from('wOFF\x00', 'latin1')],
+      'font/woff2': [Buffer.from('wOF2\x00', 'latin1')],
+      'application/gzip': [Buffer.from([0x1F, 0x8B, 0x08, 0x00])],
+      'application/zip': [
+        zipEntry('file.txt', { data: 'content' }),
+        zipEntry('file.txt', { flags: 0x08 }),
+        Buffer.from('PK\x03\x04\x00', 'latin1')
+      ],
+      'application/vnd.rar': [Buffer.from('Rar!\x1A\x07\x01\x00', 'latin1')],
+      'application/x-7z-compressed': [Buffer.from('7z\xBC\xAF\x27\x1C', 'latin1')],
+      'application/x-bzip2': [Buffer.from('BZh91AY\x00', 'latin1')],
+      'application/x-xz': [Buffer.from([0xFD, 0x37, 0x7A, 0x58, 0x5A, 0x00])],
+      'application/zstd': [Buffer.from([0x28, 0xB5, 0x2F, 0xFD])],
+      'application/wasm': [Buffer.from('\x00asm\x01\x00\x00\x00', 'latin1')]
+    }
+
+    const containers = {
+      'application/epub+zip': Buffer.concat([zipEntry('mimetype', { data: 'application/epub+zip' }), zipEntry('META-INF/container.xml', { method: 8 })]),
+      'application/vnd.oasis.opendocument.text': zipEntry('mimetype', { data: 'application/vnd.oasis.opendocument.text' }),
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': Buffer.concat([zipEntry('mimetype', { method: 8, data: 'x' }), zipEntry('[Content_Types].xml', { data: '<Types/>' }), zipEntry('word/document.xml')]),
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': zipEntry('xl/workbook.xml'),
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation': zipEntry('ppt/presentation.xml'),
+      'application/java-archive': zipEntry('META-INF/MANIFEST.MF')
+    }
+
+    test('Given that one wants to detect the media type of a content by passing an invalid argument', () => {
+      const mediaType = new MediaTypes(-1);
+
+      [-1, 0, 1, false, null, NaN, Infinity, {}, [], '', 'GIF89a'].forEach(buffer => {
+        expect(() => mediaType.detect(buffer)).toThrow(new TypeError('Invalid buffer'))
+      });
+
+      [-1, 0, 1, false, null, NaN, Infinity, {}, []].forEach(path => {
+        expect(() => mediaType.detect(Buffer.from('GIF89a'), path)).toThrow(new TypeError('Invalid path'))
+      })
+    })
+
+    test('Given that one wants to detect the media type of a content by its leading bytes', () => {
+      const mediaType = new MediaTypes(-1)
+
+      Object.entries(fixtures).forEach(([essence, buffers]) => {
+        buffers.forEach(buffer => {
+          expect(mediaType.detect(buffer).map(MT => MT.essence)).toStrictEqual([essence])
+        })
+      })
+
+      Object.entries(containers).forEach(([essence, buffer]) => {
+        expect(mediaType.detect(buffer).map(MT => MT.essence)).toStrictEqual([essence, 'application/zip'])
+      })
+
+      expect(mediaType.detect(zipEntry('mimetype', { data: 'invalid' })).map(MT => MT.essence)).toStrictEqual(['application/zip'])
+      expect(mediaType.detect(new Uint8Array(fixtures['image/png'][0]).buffer)).toStrictEqual([new MIMEType('image/png')])
+      expect(mediaType.detect(new DataView(new Uint8Array(fixtures['image/gif'][0]).buffer, 0, 6))).toStrictEqual([new MIMEType('image/gif')])
+      expect(mediaType.detect(Buffer.from('plain text'))[0]).toBe(mediaType.list.txt[0])
+    })
+
+    test('Given that one wants to detect the media type of a content with no known signature', () => {
+      const mediaType = new MediaTypes(-1);
+
+      [
+        Buffer.alloc(0),
+        Buffer.from([0x01, 0x02, 0x03]),
+        Buffer.from([0x00, 0x00, 0x00, 0x18, ...Buffer.from('ftypabcd'), 0x00, 0x00, 0x00, 0x00, ...Buffer.from('abcdabcd')]),
+        Buffer.from([0x00, 0x00, 0x00, 0x19, ...Buffer.from('ftypmp42'), 0x00, 0x00, 0x00, 0x00, ...Buffer.from('mp42mp41'), 0x00]),
+        Buffer.from([0x00, 0x00, 0x01, 0x18, ...Buffer.from('ftypmp42')]),
+        ebml(0x84, ...Buffer.from('avi ')),
+        ebml(0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00),
+        Buffer.from([0x1A, 0x45, 0xDF, 0xA3, 0x00])
+      ].forEach(buffer => {
+        expect(mediaType.detect(buffer)).toStrictEqual([])
+      })
+    })
+
+    test('Given that one wants to cross-check the media types of a file against its content', () => {
+      const mediaType = new MediaTypes(-1)
+
+      expect(mediaType.set('png', 'image/png')).toBeTruthy()
+      expect(mediaType.set('svg', 'image/svg+xml')).toBeTruthy()
+      expect(mediaType.set('epub', 'application/epub+zip')).toBeTruthy()
+      expect(mediaType.set('zt', 'application/x-test+zip')).toBeTruthy()
+      expect(mediaType.set('json', 'application/json')).toBeTruthy()
+      expect(mediaType.set('geojson', 'application/geo+json')).toBeTruthy()
+      expect(mediaType.set('exe', 'application/octet-stream')).toBeTruthy()
+
+      expect(mediaType.detect(fixtures['image/png'][0], 'image.png')).toStrictEqual([mediaType.list.png[0]])
+      expect(mediaType.detect(fixtures['image/png'][0], 'image.txt')).toStrictEqual([])
+      expect(mediaType.detect(fixtures['image/png'][0], 'image.jpg')).toStrictEqual([])
+      expect(mediaType.detect(fixtures['text/xml'][0], 'image.svg')).toStrictEqual([new MIMEType('image/svg+xml')])
+      expect(mediaType.detect(containers['application/epub+zip'], 'book.epub')).toStrictEqual([new MIMEType('application/epub+zip')])
+      expect(mediaType.detect(fixtures['application/zip'][0], 'file.zt')).toStrictEqual([new MIMEType('application/x-test+zip')])
+      expect(mediaType.detect(fixtures['application/zip'][0], 'image.png')).toStrictEqual([])
+
+      ;['file.txt', 'file.json', 'file.geojson'].forEach(path => {
+        expect(mediaType.detect(Buffer.from('{ "text": true }'), path)).toHaveLength(1)
+      })
+
+      expect(mediaType.detect(Buffer.from('{ "text": true }'), 'file.exe')).toStrictEqual([])
+      expect(mediaType.detect(Buffer.from([0x01, 0x02]), 'file.exe')).toStrictEqual([])
+    })
+  })
+
+  describe('detectStream', () => {
+    function readable (...chunks) {
+      const stream = new Readable({ read () {} })
+
+      Promise.resolve().then(() => chunks.forEach(chunk => stream.push(chunk)))
+
+      return stream
+    }
+
+    async function consume (stream) {
+      const chunks = []
+
+      for await (const chunk of stream) {
+        chunks.push(Buffer.from(chunk))
+      }
+
+      return Buffer.concat(chunks)
+    }
+
+    test('Given that one wants to detect the media type of a stream by passing an invalid argument', async () => {
+      const mediaType = new MediaTypes(-1)
+
+      for (const stream of [-1, 0, 1, false, null, NaN, Infinity, {}, [], '', Buffer.from('GIF89a')]) {
+        await expect(mediaType.detectStream(stream)).rejects.toThrow(new TypeError('Invalid stream'))
+      }
+
+      await expect(mediaType.detectStream(readable(Buffer.from('GIF89a'), null), null)).rejects.toThrow(new TypeError('Invalid path'))
+    })
+
+    test('Given that one wants to detect the media type of a stream without consuming it', async () => {
+      const mediaType = new MediaTypes(-1)
+
+      const content = Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47]), Buffer.from([0x0D, 0x0A, 0x1A, 0x0A]), Buffer.alloc(8192)])
+      const stream = readable(content.subarray(0, 4), content.subarray(4, 8), content.subarray(8), null)
+
+      await expect(mediaType.detectStream(stream)).resolves.toStrictEqual([new MIMEType('image/png')])
+      await expect(consume(stream)).resolves.toStrictEqual(content)
+
+      const text = readable('plain text', null)
+
+      text.setEncoding('utf8')
+
+      await expect(mediaType.detectStream(text, 'file.txt')).resolves.toStrictEqual([new MIMEType('text/plain')])
+      await expect(consume(text)).resolves.toStrictEqual(Buffer.from('plain text'))
+    })
+
+    test('Given that the first bytes of a stream arrive in several chunks shorter than the sniffed size', async () => {
+      const mediaType = new MediaTypes(-1)
+
+      const stream = new PassThrough()
+      const content = Buffer.from('GIF89a\x01\x00\x01\x00\x00\x00')
+
+      stream.write(content.subarray(0, 4))
+
+      const detection = mediaType.detectStream(stream)
+
+      setTimeout(() => stream.write(content.subarray(4)), 10)
+      setTimeout(() => stream.end(), 20)
+
+      await jest.advanceTimersByTimeAsync(20)
+
+      await expect(detection).resolves.toStrictEqual([new MIMEType('image/gif')])
+      await expect(consume(stream)).resolves.toStrictEqual(content)
+    })
+
+    test('Given that one wants to detect the media type of an empty or consumed stream', async () => {
+      const mediaType = new MediaTypes(-1)
+
+      const stream = readable(Buffer.from('GIF89a'), null)
+
+      await consume(stream)
+
+      await expect(mediaType.detectStream(stream)).resolves.toStrictEqual([])
+      await expect(mediaType.detectStream(readable(null), 'file.txt')).resolves.toStrictEqual([])
+    })
+
+    test('Given that one wants to detect the media type of a stream that fails', async () => {
+      const mediaType = new MediaTypes(-1)
+
+      const stream = new Readable({ read () {} })
+
+      Promise.resolve().then(() => stream.destroy(new Error('Stream Exception')))
+
+      await expect(mediaType.detectStream(stream)).rejects.toThrow(new Error('Stream Exception'))
+    })
+  })
+
+  describe('extensions', () => {
+    test('Given that one wants to get the extensions of a media type by passing an invalid argument', () => {
+      const mediaType = new MediaTypes(-1);
+
+      [-1, 0, 1, false, null, NaN, Infinity, {}, []].forEach(mediaTypes => {
+        expect(() => mediaType.extensions(mediaTypes)).toThrow(new TypeError('Invalid mediaType'))
+        expect(() => mediaType.extension(mediaTypes)).toThrow(new TypeError('Invalid mediaType'))
+      });
+
+      ['application', 'application/', '/x-test', ''].forEach(mediaTypes => {
+        expect(() => mediaType.extensions(mediaTypes)).toThrow(new SyntaxError('Invalid mediaType'))
+        expect(() => mediaType.extension(mediaTypes)).toThrow(new SyntaxError('Invalid mediaType'))
+      })
+    })
+
+    test('Given that one wants to get the extensions of a media type', () => {
+      const mediaType = new MediaTypes(-1)
+
+      expect(mediaType.extensions('text/plain')).toStrictEqual(['txt'])
+      expect(mediaType.extensions('TEXT/Plain; charset=utf-8')).toStrictEqual(['txt'])
+      expect(mediaType.extension('text/plain;charset=utf-8')).toBe('txt')
+
+      expect(mediaType.extensions('application/x-test')).toStrictEqual([])
+      expect(mediaType.extension('application/x-test')).toBeUndefined()
+    })
+
+    test('Given that one wants the usual extension of a media type', () => {
+      const mediaType = new MediaTypes(-1, {
+        storage: {
+          load: () => ({
+            mediaTypes: {
+              pot: ['text/plain'],
+              mpga: ['audio/mpeg'],
+              alt: ['application/x-alt', 'application/x-test'],
+              txt: ['text/plain'],
+              mp3: ['audio/mpeg'],
+              tst: ['application/x-test']
+            }
+          }),
+          save () {}
+        }
+      })
+
+      expect(mediaType.extensions('text/plain')).toStrictEqual(['txt', 'pot'])
+      expect(mediaType.extension('audio/mpeg')).toBe('mp3')
+
+      expect(mediaType.pin('alt', 'application/x-alt')).toBeTruthy()
+      expect(mediaType.extensions('application/x-test')).toStrictEqual(['tst', 'alt']) // the ones whose preferred media type it is first
+
+      expect(mediaType.pin('alt', 'application/x-test')).toBeTruthy()
+      expect(mediaType.extensions('application/x-test')).toStrictEqual(['alt', 'tst'])
+    })
+
+    test('Given that one wants the reverse index to follow changes in the module list', async () => {
+      const mediaType = new MediaTypes(-1)
+
+      expect(mediaType.set('test', 'application/x-test;key=value')).toBeTruthy()
+      expect(mediaType.set('tst', 'application/x-test')).toBeTruthy()
+      expect(mediaType.set('txt', 'application/x-test')).toBeTruthy()
+      expect(mediaType.extensions('application/x-test')).toStrictEqual(['test', 'tst', 'txt'])
+
+      expect(mediaType.delete('test', 'application/x-test')).toBeTruthy()
+      expect(mediaType.extensions('application/x-test')).toStrictEqual(['tst', 'txt'])
+      expect(mediaType.extension('application/x-test')).toBe('tst')
+
+      expect(mediaType.delete('tst', 'application/x-test')).toBeTruthy()
+      expect(mediaType.delete('txt', 'application/x-test')).toBeTruthy()
+      expect(mediaType.extensions('application/x-test')).toStrictEqual([])
+      expect(mediaType.extensions('text/plain')).toStrictEqual(['txt'])
+
+      await mediaType.update()
+
+      expect(mediaType.extensions('image/jpeg')).toStrictEqual(['jpeg', 'jpg', 'jpe', 'jfif'])
+      expect(mediaType.extension('image/jpeg')).toBe('jpeg')
+      expect(mediaType.extensions('text/plain')).toEqual(expect.arrayContaining(['txt', 'text', 'conf', 'pot']))
+    })
+
+    test('Given that one wants to get the extensions of a media type when the DB.json file is invalid', () => {
+      fs.readFileSync.mockReturnValueOnce('')
+
+      const mediaType = new MediaTypes(-1)
+
+      expect(mediaType.extensions('text/plain')).toStrictEqual([])
+    })
+  })
+
+  describe('find', () => {
+    test('Given that one wants to find media types by passing an invalid query', () => {
+      const mediaType = new MediaTypes(-1);
+
+      [undefined, null, 'image', 1].forEach(query => {
+        expect(() => mediaType.find(query)).toThrow(new TypeError('Invalid query'))
+      });
+
+      ['type', 'subtype', 'suffix', 'tree', 'essence'].forEach(key => {
+        [1, null, {}, []].forEach(value => {
+          expect(() => mediaType.find({ [key]: value })).toThrow(new TypeError(`Invalid ${key}`))
+        })
+      })
+
+      expect(() => mediaType.find({ tree: 'personal' })).toThrow(new SyntaxError('Invalid tree'))
+      expect(() => mediaType.find({ essence: 'text' })).toThrow(new SyntaxError('Invalid essence'))
+      expect(() => mediaType.find({ type: 1, essence: '' })).toThrowError(new AggregateError([
+        'Invalid type',
+        'Invalid essence'
+      ], 'Invalid arguments'))
+    })
+
+    test('Given that one wants to find the extensions of the media types that meet some criteria', () => {
+      const mediaType = new MediaTypes(-1)
+      const find = query => mediaType.find(query).map(({ extension, mediaType }) => `${extension} ${mediaType}`)
+
+      mediaType.set('svg', 'image/svg+xml')
+      mediaType.set('png', 'image/png')
+      mediaType.set('xhtml', 'application/xhtml+xml')
+      mediaType.set('json', 'application/json')
+      mediaType.set('kml', 'application/vnd.google-earth.kml+xml')
+      mediaType.set('btif', 'image/prs.btif')
+      mediaType.set('xcf', 'image/x-xcf')
+      mediaType.set('txt', 'text/x-plain')
+
+      expect(mediaType.find({ type: 'image' })).toStrictEqual([
+        { extension: 'svg', mediaType: new MIMEType('image/svg+xml') },
+        { extension: 'png', mediaType: new MIMEType('image/png') },
+        { extension: 'btif', mediaType: new MIMEType('image/prs.btif') },
+        { extension: 'xcf', mediaType: new MIMEType('image/x-xcf') }
+      ])
+      expect(find({ suffix: 'xml' })).toStrictEqual(['svg image/svg+xml', 'xhtml application/xhtml+xml', 'kml application/vnd.google-earth.kml+xml'])
+      expect(find({ suffix: '+XML', type: 'application' })).toStrictEqual(['xhtml application/xhtml+xml', 'kml application/vnd.google-earth.kml+xml'])
+      expect(find({ subtype: 'PNG' })).toStrictEqual(['png image/png'])
+      expect(find({ tree: 'vnd' })).toStrictEqual(['kml application/vnd.google-earth.kml+xml'])
+      expect(find({ tree: 'prs' })).toStrictEqual(['btif image/prs.btif'])
+      expect(find({ tree: 'x', type: 'image' })).toStrictEqual(['xcf image/x-xcf'])
+      expect(find({ tree: 'standards', type: 'image' })).toStrictEqual(['svg image/svg+xml', 'png image/png'])
+      expect(find({ essence: 'text/*' })).toStrictEqual(['txt text/plain', 'txt text/x-plain'])
+      expect(find({ essence: 'Application/JSON; charset=utf-8' })).toStrictEqual(['json application/json'])
+      expect(find({ essence: '*/*' })).toHaveLength(9)
+      expect(find({})).toHaveLength(9)
+      expect(find({ type: 'video' })).toStrictEqual([])
+      expect(find({ type: 'Dockerfile' })).toStrictEqual([]) // not the globs
+    })
+  })
+
+  describe('metadata', () => {
+    test('Given that one wants to get the metadata of a media type by passing an invalid argument', () => {
+      const mediaType = new MediaTypes(-1);
+
+      [-1, 0, 1, false, null, NaN, Infinity, {}, []].forEach(mediaTypeName => {
+        expect(() => mediaType.metadata(mediaTypeName)).toThrow(new TypeError('Invalid mediaType'))
+      });
+
+      ['', 'text', 'text/', '/plain'].forEach(mediaTypeName => {
+        expect(() => mediaType.metadata(mediaTypeName)).toThrow(new SyntaxError('Invalid mediaType'))
+      })
+    })
+
+    test('Given that one wants to know whether a media type is registered in the IANA registry', async () => {
+      const mediaType = new MediaTypes(-1)
+
+      expect(mediaType.metadata('application/json')).toBeUndefined()
+
+      await mediaType.update()
+
+      expect(mediaType.versions).toMatchObject({ iana: Array(10).fill('iana_v1').join(',') })
+      expect(fetch).toHaveBeenCalledWith('https://www.iana.org/assignments/media-types/application.csv', expect.any(Object))
+
+      expect(mediaType.metadata('application/json')).toStrictEqual({
+        status: 'registered',
+        template: 'https://www.iana.org/assignments/media-types/application/json',
+        reference: '[RFC8259]'
+      })
+      expect(mediaType.metadata('Text/Plain; charset=utf-8')).toStrictEqual({
+        status: 'registered',
+        template: 'https://www.iana.org/assignments/media-types/text/plain',
+        reference: '[RFC2046][RFC3676][RFC5147]'
+      })
+      expect(mediaType.metadata('application/javascript')).toMatchObject({ status: 'obsolete', reference: '[RFC4329][RFC9239]' })
+      expect(mediaType.metadata('application/vnd.example')).toMatchObject({ status: 'registered', reference: '[Doe, John]' })
+      expect(mediaType.metadata('application/vnd.legacy')).toMatchObject({ status: 'deprecated', reference: '' })
+      expect(mediaType.metadata('application/vnd.removed')).toBeUndefined()
+      expect(mediaType.metadata('application/x-test')).toBeUndefined()
+
+      mediaType.metadata('application/json').status = 'obsolete'
+
+      expect(mediaType.metadata('application/json')).toMatchObject({ status: 'registered' })
+
+      expect(JSON.parse(fs.writeFileSync.mock.lastCall[1]).registry).toMatchObject({
+        'application/json': { status: 'registered' },
+        'application/vnd.legacy': { status: 'deprecated' }
+      })
+    })
+
+    test('Given that the database has the metadata of the media types', () => {
+      fs.readFileSync.mockReturnValueOnce(JSON.stringify({
+        mediaTypes: {},
+        registry: {
+          'application/json': { status: 'registered' }
+        }
+      }))
+
+      const mediaType = new MediaTypes(-1)
+
+      expect(mediaType.metadata('application/json')).toStrictEqual({ status: 'registered' })
+    })
+  })
+
+  describe('addSource', () => {
+    test('Given that one wants to add a source by passing invalid arguments', () => {
+      const mediaType = new MediaTypes(-1);
+
+      [-1, 0, 1, false, null, NaN, Infinity, {}, []].forEach(name => {
+        expect(() => mediaType.addSource({ name, url: 'https://mirror.example/mime.types' })).toThrow(new TypeError('Invalid name'))
+      });
+
+      ['', 'my mirror', 'mirror/apache'].forEach(name => {
+        expect(() => mediaType.addSource({ name, url: 'https://mirror.example/mime.types' })).toThrow(new SyntaxError('Invalid name'))
+      });
+
+      [-1, 0, 1, false, null, NaN, Infinity, {}, [], [null], ['https://mirror.example/mime.types', 1]].forEach(url => {
+        expect(() => mediaType.addSource({ name: 'mirror', url })).toThrow(new TypeError('Invalid url'))
+      });
+
+      ['', 'mirror.example', '/mime.types', ['https://mirror.example/mime.types', 'mirror.example']].forEach(url => {
+        expect(() => mediaType.addSource({ name: 'mirror', url })).toThrow(new SyntaxError('Invalid url'))
+      });
+
+      [-1, 0, 1, false, null, NaN, Infinity, {}, [], ''].forEach(parser => {
+        expect(() => mediaType.addSource({ name: 'mirror', url: 'https://mirror.example/mime.types', parser })).toThrow(new TypeError('Invalid parser'))
+      });
+
+      [0, null, {}, [], ['a'.repeat(64), 'b'.repeat(64)]].forEach(sha256 => {
+        expect(() => mediaType.addSource({ name: 'mirror', url: 'https://mirror.example/mime.types', sha256 })).toThrow(new TypeError('Invalid sha256'))
+      });
+
+      ['', 'a'.repeat(63), 'g'.repeat(64)].forEach(sha256 => {
+        expect(() => mediaType.addSource({ name: 'mirror', url: 'https://mirror.example/mime.types', sha256 })).toThrow(new SyntaxError('Invalid sha256'))
+      });
+
+      [-1, 0.5, NaN, Infinity, '1', null].forEach(minEntries => {
+        expect(() => mediaType.addSource({ name: 'mirror', url: 'https://mirror.example/mime.types', minEntries })).toThrow(new TypeError('Invalid minEntries'))
+      })
+
+      expect(() => mediaType.addSource()).toThrowError(new AggregateError([
+        'Invalid name',
+        'Invalid url'
+      ], 'Invalid arguments'))
+    })
+
+    test('Given that one wants to add a source to the module', () => {
+      const mediaType = new MediaTypes(-1)
+
+      expect(mediaType.addSource({ name: 'mirror', url: 'https://mirror.example/mime.types' })).toBeTruthy()
+      expect(mediaType.addSource({ name: 'mirror', url: 'https://mirror.example/mime.types' })).toBeFalsy()
+      expect(mediaType.addSource({ name: 'apache', url: 'https://mirror.example/apache/mime.types' })).toBeFalsy()
+
+      expect(mediaType.sources.map(source => source.name)).toStrictEqual(['apache', 'debian', 'nginx', 'iana', 'mirror'])
+      expect(mediaType.versions).toMatchObject({ mirror: '' })
+    })
+
+    test('Given that one wants to update the list of media types from a source with its own format', async () => {
+      const mediaType = new MediaTypes(-1, {
+        sources: [{
+          name: 'mirror',
+          url: 'https://mirror.example/apache/mime.json',
+          parser: text => text.split(/\s+/).filter(Boolean).map(line => {
+            const [mediaType, ...extensions] = line.split(',')
+
+            return { mediaType, extensions }
+          })
+        }]
+      })
+
+      const body = `
+        image/jpeg,JPG,jpeg
+        image/png,png,,%@?
+        invalid,mp4
+      `
+
+      fetch.mockImplementation((resource, options) => Promise.resolve(new Response(options.method === 'HEAD' ? '' : body, {
+        status: 200,
+        headers: {
+          etag: 'mirror_v1'
+        }
+      })))
+
+      await expect(mediaType.update()).resolves.toStrictEqual({
+        mirror: {
+          version: {
+            old: '',
+            new: 'mirror_v1'
+          },
+          added: {
+            jpg: [new MIMEType('image/jpeg')],
+            jpeg: [new MIMEType('image/jpeg')],
+            png: [new MIMEType('image/png')]
+          },
+          removed: {},
+          changed: {}
+        }
+      })
+      expect(mediaType.versions).toStrictEqual({ mirror: 'mirror_v1' })
+      expect(fetch).toHaveBeenCalledWith('https://mirror.example/apache/mime.json', expect.any(Object))
+    })
+
+    test('Given that the parser of a source returns invalid extensions', async () => {
+      const mediaType = new MediaTypes(-1, {
+        sources: [{
+          name: 'apache',
+          url: 'https://mirror.example/apache/mime.types',
+          parser: () => [{ mediaType: 'image/jpeg', extensions: [null, 1, 'jpg'] }]
+        }]
+      })
+
+      await expect(mediaType.update().then(diff => diff.apache.added)).resolves.toStrictEqual({
+        jpg: [new MIMEType('image/jpeg')]
+      })
+    })
+
+    test('Given that one wants to update the list of media types from a source split in several files', async () => {
+      const url = ['https://mirror.example/audio.types', 'https://mirror.example/image.types']
+      const mediaType = new MediaTypes(-1, {
+        sources: [{ name: 'mirror', url }]
+      })
+
+      url.push('https://mirror.example/video.types')
+
+      expect(mediaType.sources[0].url).toStrictEqual(['https://mirror.example/audio.types', 'https://mirror.example/image.types'])
+      expect(Object.isFrozen(mediaType.sources[0].url)).toBeTruthy()
+
+      fetch.mockImplementation((resource, options) => Promise.resolve(new Response(options.method === 'HEAD' ? '' : `${resource.includes('audio') ? 'audio/mpeg' : 'image/jpeg'}  ${resource.includes('audio') ? 'mp3' : 'jpg'}`, {
+        status: 200,
+        headers: {
+          etag: resource.includes('audio') ? 'audio_v1' : 'image_v1'
+        }
+      })))
+
+      await expect(mediaType.update().then(diff => diff.mirror.added)).resolves.toStrictEqual({
+        mp3: [new MIMEType('audio/mpeg')],
+        jpg: [new MIMEType('image/jpeg')]
+      })
+      expect(mediaType.versions).toStrictEqual({ mirror: 'audio_v1,image_v1' })
+
+      await expect(mediaType.update()).resolves.toStrictEqual({})
+      expect(fetch).toHaveBeenCalledTimes(4)
+      expect(fetch).toHaveBeenLastCalledWith('https://mirror.example/image.types', expect.objectContaining({
+        headers: expect.objectContaining({ 'If-None-Match': 'image_v1' })
+      }))
+
+      fetch.mockImplementation((resource, options) => Promise.resolve(new Response(options.method === 'HEAD' ? '' : 'video/mp4  mp4', {
+        status: 200,
+        headers: resource.includes('audio') ? { etag: 'audio_v2' } : {}
+      })))
+
+      await expect(mediaType.update()).resolves.toStrictEqual({})
+      await expect(mediaType.update(true)).resolves.toStrictEqual({})
+      expect(mediaType.versions).toStrictEqual({ mirror: 'audio_v1,image_v1' })
+    })
+
+    test('Given that the parser of a source returns metadata of the media types', async () => {
+      const mediaType = new MediaTypes(-1, {
+        sources: [{
+          name: 'registry',
+          url: 'https://mirror.example/registry.csv',
+          parser: () => [
+            { mediaType: 'application/x-test', extensions: [], status: 'deprecated', template: 1, reference: null },
+            { mediaType: 'application/x-other', extensions: ['other'], reference: '[Doe]' },
+            { mediaType: 'invalid', extensions: [], status: 'registered' }
+          ]
+        }]
+      })
+
+      fetch.mockImplementation(() => Promise.resolve(new Response('', {
+        status: 200,
+        headers: {
+          etag: 'registry_v1'
+        }
+      })))
+
+      await expect(mediaType.update().then(diff => diff.registry.added)).resolves.toStrictEqual({
+        other: [new MIMEType('application/x-other')]
+      })
+
+      expect(mediaType.metadata('application/x-test')).toStrictEqual({ status: 'deprecated' })
+      expect(mediaType.metadata('application/x-other')).toBeUndefined()
+    })
+  })
+
+  describe('deleteSource', () => {
+    test('Given that one wants to delete a source by passing an invalid argument', () => {
+      const mediaType = new MediaTypes(-1);
+
+      [-1, 0, 1, false, null, NaN, Infinity, {}, []].forEach(name => {
+        expect(() => mediaType.deleteSource(name)).toThrow(new TypeError('Invalid name'))
+      })
+    })
+
+    test('Given that one wants to delete a source of the module', async () => {
+      const mediaType = new MediaTypes(-1)
+
+      expect(mediaType.deleteSource('debian')).toBeTruthy()
+      expect(mediaType.deleteSource('debian')).toBeFalsy()
+      expect(mediaType.deleteSource('mirror')).toBeFalsy()
+
+      expect(mediaType.sources.map(source => source.name)).toStrictEqual(['apache', 'nginx', 'iana'])
+      expect(mediaType.versions).toStrictEqual({
+        apache: 'apache_v0',
+        nginx: 'nginx_v0',
+        iana: ''
+      })
+
+      expect(mediaType.deleteSource('iana')).toBeTruthy()
+
+      await expect(mediaType.update()).resolves.not.toHaveProperty('jfif')
+      expect(fetch).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  describe('export', () => {
+    test('Given that one wants to export the list by passing an invalid format', () => {
+      const mediaType = new MediaTypes(-1);
+
+      [-1, 0, 1, false, null, NaN, Infinity, {}, []].forEach(format => {
+        expect(() => mediaType.export(format)).toThrow(new TypeError('Invalid format'))
+      });
+
+      ['', 'apache', 'JSON', 'toString'].forEach(format => {
+        expect(() => mediaType.export(format)).toThrow(new SyntaxError('Invalid format'))
+      })
+    })
+
+    test('Given that one wants to export the list to the server configuration formats', () => {
+      fs.readFileSync.mockReturnValue(JSON.stringify({
+        mediaTypes: {
+          txt: ['text/plain;charset=utf-8'],
+          js: ['application/javascript', 'text/javascript'],
+          json: ['application/json'],
+          map: ['application/json'],
+          mp4: ['video/x-mp4', 'video/mp4']
+        }
+      }))
+
+      const mediaType = new MediaTypes(-1)
+
+      expect(mediaType.export('mime.types')).toBe([
+        'application/json  json map',
+        'text/javascript   js',
+        'text/plain        txt',
+        'video/mp4         mp4',
+        ''
+      ].join('\n'))
+      expect(mediaType.export('nginx')).toBe([
+        'types {',
+        '    application/json  json map;',
+        '    text/javascript   js;',
+        '    text/plain        txt;',
+        '    video/mp4         mp4;',
+        '}',
+        ''
+      ].join('\n'))
+      expect(mediaType.export('addtype')).toBe([
+        'AddType application/json .json .map',
+        'AddType text/javascript .js',
+        'AddType text/plain .txt',
+        'AddType video/mp4 .mp4',
+        ''
+      ].join('\n'))
+      expect(mediaType.export('map')).toBe([
+        'js    text/javascript',
+        'json  application/json',
+        'map   application/json',
+        'mp4   video/mp4',
+        'txt   text/plain',
+        ''
+      ].join('\n'))
+      expect(mediaType.export()).toBe(`${JSON.stringify({
+        js: ['text/javascript', 'application/javascript'],
+        json: ['application/json'],
+        map: ['application/json'],
+        mp4: ['video/mp4', 'video/x-mp4'],
+        txt: ['text/plain;charset=utf-8']
+      }, null, 2)}\n`)
+
+      expect(new MediaTypes(-1).export('nginx')).toBe(mediaType.export('nginx'))
+
+      fs.readFileSync.mockReturnValue('')
+
+      const empty = new MediaTypes(-1)
+
+      expect(empty.export('mime.types')).toBe('')
+      expect(empty.export('nginx')).toBe('types {\n}\n')
+      expect(empty.export('map')).toBe('')
+      expect(empty.export('json')).toBe('{}\n')
+    })
+  })
+
+  describe('import', () => {
+    test('Given that one wants to import a list by passing invalid arguments', async () => {
+      const mediaType = new MediaTypes(-1)
+
+      for (const source of [-1, 0, 1, false, null, NaN, Infinity, {}, []]) {
+        await expect(mediaType.import(source)).rejects.toThrow(new TypeError('Invalid source'))
+      }
+
+      for (const format of [-1, 0, 1, false, null, NaN, Infinity, {}, []]) {
+        await expect(mediaType.import('text/x-test  test', { format })).rejects.toThrow(new TypeError('Invalid format'))
+      }
+
+      for (const format of ['', 'apache', 'JSON', 'toString']) {
+        await expect(mediaType.import('text/x-test  test', { format })).rejects.toThrow(new SyntaxError('Invalid format'))
+      }
+
+      await expect(mediaType.import('{', { format: 'json' })).rejects.toThrow(SyntaxError)
+    })
+
+    test('Given that one wants to import a list in the mime.types and NGINX formats', async () => {
+      const mediaType = new MediaTypes(-1)
+
+      await expect(mediaType.import(`
+        # company types
+        text/plain          txt log
+        application/x-test  tst TEST %@?
+        invalid             inv
+      `)).resolves.toStrictEqual({
+        log: [new MIMEType('text/plain')],
+        tst: [new MIMEType('application/x-test')],
+        test: [new MIMEType('application/x-test')]
+      })
+
+      expect(mediaType.getPreferred('fileName.tst')).toStrictEqual(new MIMEType('application/x-test'))
+      expect(JSON.parse(fs.writeFileSync.mock.lastCall[1]).sources.tst).toStrictEqual({ 'application/x-test': ['local'] })
+
+      await expect(mediaType.import('types {\n  application/x-test  tst;\n  text/x-other  oth;\n}', { format: 'nginx' })).resolves.toStrictEqual({
+        oth: [new MIMEType('text/x-other')]
+      })
+
+      await expect(mediaType.import('text/x-other  oth')).resolves.toStrictEqual({})
+      expect(fs.writeFileSync).toHaveBeenCalledTimes(2)
+    })
+
+    test('Given that one wants to import a list in the AddType, map and JSON formats', async () => {
+      const mediaType = new MediaTypes(-1)
+
+      await expect(mediaType.import('# comment\r\nAddType application/x-a .a a2\r\n  addtype  text/x-b  .b\r\nAddType text/x-c\r\n', { format: 'addtype' })).resolves.toStrictEqual({
+        a: [new MIMEType('application/x-a')],
+        a2: [new MIMEType('application/x-a')],
+        b: [new MIMEType('text/x-b')]
+      })
+
+      await expect(mediaType.import('# comment\r\n.c  text/x-c\r\nd   text/x-d  \r\ninvalid\n', { format: 'map' })).resolves.toStrictEqual({
+        c: [new MIMEType('text/x-c')],
+        d: [new MIMEType('text/x-d')]
+      })
+
+      await expect(mediaType.import('{"e":["text/x-e","text/x-e2"],"f":"text/x-f","g":[1]}', { format: 'json' })).resolves.toStrictEqual({
+        e: [new MIMEType('text/x-e'), new MIMEType('text/x-e2')],
+        f: [new MIMEType('text/x-f')]
+      })
+
+      await expect(mediaType.import(mediaType.export('nginx'), { format: 'nginx' })).resolves.toStrictEqual({})
+      await expect(mediaType.import('null', { format: 'json' })).resolves.toStrictEqual({})
+    })
+
+    test('Given that one wants to import a list from a file, a buffer or a stream', async () => {
+      const mediaType = new MediaTypes(-1)
+
+      const existsSync = jest.spyOn(fs, 'existsSync').mockReturnValueOnce(true)
+      const readFile = jest.spyOn(fs.promises, 'readFile').mockResolvedValueOnce('text/x-file  file')
+
+      await expect(mediaType.import('/etc/company/mime.types')).resolves.toStrictEqual({
+        file: [new MIMEType('text/x-file')]
+      })
+      expect(existsSync).toHaveBeenLastCalledWith('/etc/company/mime.types')
+      expect(readFile).toHaveBeenLastCalledWith('/etc/company/mime.types', 'utf8')
+
+      await expect(mediaType.import('text/x-text  text')).resolves.toStrictEqual({
+        text: [new MIMEType('text/x-text')]
+      })
+      expect(readFile).toHaveBeenCalledTimes(1)
+
+      existsSync.mockRestore()
+      readFile.mockRestore()
+
+      for (const path of ['/etc/company/mime.typos', 'mime.typos']) {
+        await expect(mediaType.import(path)).rejects.toMatchObject({ code: 'ENOENT' })
+      }
+
+      await expect(mediaType.import('/etc/company/types.json', { format: 'json' })).rejects.toMatchObject({ code: 'ENOENT' })
+      await expect(mediaType.import('{"json":"application/json"}', { format: 'json' })).resolves.toStrictEqual({
+        json: [new MIMEType('application/json')]
+      })
+
+      await expect(mediaType.import(Buffer.from('text/x-buffer  buf'))).resolves.toStrictEqual({
+        buf: [new MIMEType('text/x-buffer')]
+      })
+      await expect(mediaType.import(new TextEncoder().encode('text/x-array  arr').buffer)).resolves.toStrictEqual({
+        arr: [new MIMEType('text/x-array')]
+      })
+
+      const stream = new Readable({ read () {} })
+
+      Promise.resolve().then(() => ['text/x-stream  st', 'r\ntext/x-chunk  chk', null].forEach(chunk => stream.push(chunk)))
+
+      await expect(mediaType.import(stream)).resolves.toStrictEqual({
+        str: [new MIMEType('text/x-stream')],
+        chk: [new MIMEType('text/x-chunk')]
+      })
+    })
+  })
+
+  describe('set', () => {
+    test('Given that one wants to set a new media type in the list by passing invalid arguments', () => {
+      const mediaType = new MediaTypes(-1);
+
+      [-1, 0, 1, false, null, NaN, Infinity, {}, []].forEach(path => {
+        expect(() => mediaType.set(path, 'application/x-test')).toThrow(new TypeError('Invalid extension'))
+      });
+
+      ['fileName.', '.txt', ''].forEach(path => {
+        expect(() => mediaType.set(path, 'application/x-test')).toThrow(new SyntaxError('Invalid extension'))
+      });
+
+      [-1, 0, 1, false, null, NaN, Infinity, {}, []].forEach(mediaTypes => {
+        expect(() => mediaType.set('test', mediaTypes)).toThrow(new TypeError('Invalid mediaType'))
+      });
+
+      ['application', 'application/', '/x-test', ''].forEach(mediaTypes => {
+        expect(() => mediaType.set('test', mediaTypes)).toThrow(new SyntaxError('Invalid mediaType'))
+      })
+
+      expect(() => mediaType.set(undefined, undefined)).toThrowError(new AggregateError([
+        'Invalid extension',
+        'Invalid mediaType'
+      ], 'Invalid arguments'))
+    })
+
+    test('Given that one wants to set a new media type in the module list', () => {
+      const mediaType = new MediaTypes(-1)
+
+      const extension = 'test'
+      const contentType = ['application/x-test', 'application/octet-stream']
+
+      expect(mediaType.set(extension, `${contentType[0]};key=value`)).toBeTruthy()
+      expect(mediaType.set(extension, contentType[0])).toBeFalsy()
+      expect(mediaType.get(`fileName.${extension}`)).toContainEqual(new MIMEType(`${contentType[0]};key=value`))
+
+      expect(mediaType.set(extension, contentType[1])).toBeTruthy()
+      expect(mediaType.get(`fileName.${extension}`)).toContainEqual(new MIMEType(contentType[1]))
+    })
+
+    test('Given that one wants to set an already existing media type into the module list', () => {
+      const mediaType = new MediaTypes(-1)
+
+      expect(mediaType.set('txt', 'text/plain')).toBeFalsy()
+      expect(mediaType.set('txt', 'text/plain;key=value')).toBeFalsy()
+    })
+  })
+
+  describe('delete', () => {
+    test('Given that one wants to delete a media type by passing an invalid arguments', () => {
+      const mediaType = new MediaTypes(-1);
+
+      [-1, 0, 1, false, null, NaN, Infinity, {}, []].forEach(path => {
+        expect(() => mediaType.delete(path, 'application/x-test')).toThrow(new TypeError('Invalid extension'))
+      });
+
+      ['fileName.', '.txt', ''].forEach(path => {
+        expect(() => mediaType.delete(path, 'application/x-test')).toThrow(new SyntaxError('Invalid extension'))
+      });
+
+      [-1, 0, 1, false, null, NaN, Infinity, {}, []].forEach(mediaTypes => {
+        expect(() => mediaType.delete('test', mediaTypes)).toThrow(new TypeError('Invalid mediaType'))
+      });
+
+      ['application', 'application/', '/x-test', ''].forEach(mediaTypes => {
+        expect(() => mediaType.delete('test', mediaTypes)).toThrow(new SyntaxError('Invalid mediaType'))
+      })
+
+      expect(() => mediaType.delete(undefined, undefined)).toThrowError(new AggregateError([
+        'Invalid extension',
+        'Invalid mediaType'
+      ], 'Invalid arguments'))
+    })
+
+    test('Given that one wants to delete an existing media type in the module list', () => {
+      const mediaType = new MediaTypes(-1)
+
+      const extension = 'txt'
+      const contentType = 'text/plain'
+
+      expect(mediaType.delete(extension, contentType)).toBeTruthy()
+      expect(extension in mediaType.list).toBeFalsy()
+      expect(mediaType.get(`fileName.${extension}`)).not.toContainEqual(new MIMEType(contentType))
+    })
+
+    test('Given that one wants to delete a media type that does not exist in the module list', () => {
+      const mediaType = new MediaTypes(-1)
+
+      expect(mediaType.delete('txt', 'application/octet-stream')).toBeFalsy()
+      expect(mediaType.delete('test', 'text/plain')).toBeFalsy()
+    })
+
+    test('Given that one wants to delete a media type before any source lists it', async () => {
+      const mediaType = new MediaTypes(-1, { sources: [{ name: 'mirror', url: 'https://mirror.example/mime.types' }] })
+
+      fetch.mockImplementation((resource, options) => Promise.resolve(new Response(options.method === 'HEAD' ? '' : 'video/mp2t  ts\napplication/typescript  ts', {
+        status: 200,
+        headers: { etag: 'mirror_v1' }
+      })))
+
+      expect(mediaType.delete('ts', 'video/mp2t')).toBeFalsy()
+      expect(mediaType.overrides.deleted).toEqual({ ts: ['video/mp2t'] })
+
+      await saved()
+
+      expect(fs.writeFileSync).toHaveBeenCalledTimes(1)
+
+      expect(mediaType.delete('ts', 'video/mp2t')).toBeFalsy()
+
+      await saved()
+
+      expect(fs.writeFileSync).toHaveBeenCalledTimes(1) // already recorded
+
+      await mediaType.update()
+
+      expect(mediaType.get('fileName.ts').map(String)).toStrictEqual(['application/typescript'])
+    })
+
+    test('Given that you want to exclude one of the existing media types in the list of modules', () => {
+      const mediaType = new MediaTypes(-1)
+
+      const extension = 'txt'
+
+      expect(mediaType.set(extension, 'application/octet-stream')).toBeTruthy()
+      expect(mediaType.delete(extension, 'text/plain')).toBeTruthy()
+      expect(mediaType.get(`fileName.${extension}`)).toContainEqual(new MIMEType('application/octet-stream'))
+    })
+  })
+
+  describe('pin', () => {
+    test('Given that one wants to pin a media type by passing invalid arguments', () => {
+      const mediaType = new MediaTypes(-1);
+
+      [-1, 0, 1, false, null, NaN, Infinity, {}, []].forEach(arg => {
+        expect(() => mediaType.pin(arg, 'text/plain')).toThrow(new TypeError('Invalid extension'))
+        expect(() => mediaType.pin('txt', arg)).toThrow(new TypeError('Invalid mediaType'))
+        expect(() => mediaType.pin(arg, arg)).toThrow(new AggregateError([
+          new TypeError('Invalid extension'),
+          new TypeError('Invalid mediaType')
+        ], 'Invalid arguments'))
+        expect(() => mediaType.unpin(arg)).toThrow(new TypeError('Invalid extension'))
+      })
+
+      expect(() => mediaType.pin('.txt', 'text/plain')).toThrow(new SyntaxError('Invalid extension'))
+      expect(() => mediaType.pin('txt', 'text')).toThrow(new SyntaxError('Invalid mediaType'))
+      expect(() => mediaType.unpin('.txt')).toThrow(new SyntaxError('Invalid extension'))
+    })
+
+    test('Given that one wants to pin the preferred media type of an extension', () => {
+      const mediaType = new MediaTypes(-1)
+
+      expect(mediaType.set('txt', 'application/x-test')).toBeTruthy()
+      expect(String(mediaType.getPreferred('fileName.txt'))).toBe('text/plain')
+
+      expect(mediaType.pin('TXT', 'application/x-test')).toBeTruthy()
+      expect(mediaType.pin('txt', 'application/x-test')).toBeFalsy()
+      expect(String(mediaType.getPreferred('fileName.txt'))).toBe('application/x-test')
+
+      expect(mediaType.pin('ts', 'text/vnd.typescript;charset=utf-8')).toBeTruthy() // also set
+      expect(mediaType.get('fileName.ts').map(String)).toStrictEqual(['text/vnd.typescript;charset=utf-8'])
+
+      expect(mediaType.overrides).toEqual({
+        added: {
+          txt: ['application/x-test'],
+          ts: ['text/vnd.typescript;charset=utf-8']
+        },
+        deleted: {},
+        pinned: {
+          txt: 'application/x-test',
+          ts: 'text/vnd.typescript'
+        }
+      })
+
+      expect(mediaType.unpin('txt')).toBeTruthy()
+      expect(mediaType.unpin('txt')).toBeFalsy()
+      expect(String(mediaType.getPreferred('fileName.txt'))).toBe('text/plain')
+
+      expect(mediaType.delete('ts', 'text/vnd.typescript')).toBeTruthy()
+      expect(mediaType.overrides).toEqual({
+        added: {
+          txt: ['application/x-test']
+        },
+        deleted: {
+          ts: ['text/vnd.typescript']
+        },
+        pinned: {}
+      })
+
+      expect(mediaType.set('ts', 'video/mp2t')).toBeTruthy()
+      expect(mediaType.delete('ts', 'video/mp2t')).toBeTruthy()
+      expect(mediaType.set('ts', 'text/vnd.typescript')).toBeTruthy()
+      expect(mediaType.overrides.deleted).toEqual({ ts: ['video/mp2t'] })
+    })
+  })
+
+  describe('update', () => {
+    test('Given that one wants to try to update the list of media types at some point', async () => {
+      expect.assertions(3)
+
+      const mediaType = new MediaTypes(-1)
+
+      const extension = 'jpg'
+      const contentType = 'image/jpeg'
+
+      expect(mediaType.get(`fileName.${extension}`)).toHaveLength(0)
+
+      await expect(mediaType.update().then(res => {
+        return Object.keys(res.apache.added)
+      })).resolves.toContain(extension)
+      expect(mediaType.get(`fileName.${extension}`)).toContainEqual(new MIMEType(contentType))
+    })
+
+    test('Given that one wants to try to force update the list of media types at some point', async () => {
+      expect.assertions(4)
+
+      const mediaType = new MediaTypes(-1)
+
+      const extension = 'jpg'
+      const contentType = 'image/jpeg'
+
+      await mediaType.update()
+
+      expect(mediaType.delete(extension, contentType)).toBeTruthy()
+
+      await expect(mediaType.update()).resolves.toStrictEqual({})
+
+      await expect(mediaType.update(true).then(res => {
+        return Object.keys(res)
+      })).resolves.toStrictEqual(['apache', 'debian', 'nginx', 'iana'])
+
+      expect(mediaType.get(`fileName.${extension}`).map(String)).not.toContain(contentType) // deleted locally, so no source adds it back
+    })
+
+    test('Given that a source no longer lists some media types', async () => {
+      const mediaType = new MediaTypes(-1, {
+        storage: {
+          load: () => ({ mediaTypes: { txt: ['text/plain'] }, sources: {}, versions: {} }),
+          save () {}
+        },
+        sources: [
+          { name: 'first', url: 'https://first.example/mime.types' },
+          { name: 'second', url: 'https://second.example/mime.types' }
+        ]
+      })
+
+      const lists = {
+        first: ['image/jpeg  jpg\naudio/mpeg  mp3', 'first_v1'],
+        second: ['image/pjpeg  jpg\ntext/x-log  log', 'second_v1']
+      }
+
+      fetch.mockImplementation((resource, options) => {
+        const [body, etag] = lists[new URL(resource).hostname.split('.')[0]]
+
+        return Promise.resolve(new Response(options.method === 'HEAD' ? '' : body, {
+          status: 200,
+          headers: { etag }
+        }))
+      })
+
+      await expect(mediaType.update().then(diff => JSON.parse(JSON.stringify(diff)))).resolves.toStrictEqual({
+        first: {
+          version: { old: '', new: 'first_v1' },
+          added: { jpg: ['image/jpeg'], mp3: ['audio/mpeg'] },
+          removed: {},
+          changed: {}
+        },
+        second: {
+          version: { old: '', new: 'second_v1' },
+          added: { jpg: ['image/pjpeg'], log: ['text/x-log'] },
+          removed: {},
+          changed: {}
+        }
+      })
+
+      expect(mediaType.set('mp3', 'audio/mpeg')).toBeFalsy() // also listed locally from now on
+
+      lists.first = ['image/x-jpeg  jpg\ntext/plain  txt', 'first_v2']
+
+      await expect(mediaType.update().then(diff => JSON.parse(JSON.stringify(diff)))).resolves.toStrictEqual({
+        first: {
+          version: { old: 'first_v1', new: 'first_v2' },
+          added: { jpg: ['image/x-jpeg'] },
+          removed: {},
+          changed: {}
+        }
+      })
+
+      expect(mediaType.get('file.jpg').map(String)).toStrictEqual(['image/jpeg', 'image/pjpeg', 'image/x-jpeg']) // the update only appends
+
+      lists.first = ['text/x-log  log', 'first_v3']
+      lists.second = ['image/pjpeg  jpg', 'second_v2']
+
+      await expect(mediaType.update(false, { reconcile: true }).then(diff => JSON.parse(JSON.stringify(diff)))).resolves.toStrictEqual({
+        first: {
+          version: { old: 'first_v2', new: 'first_v3' },
+          added: {},
+          removed: { jpg: ['image/jpeg', 'image/x-jpeg'], txt: ['text/plain'] },
+          changed: {
+            jpg: { old: 'image/jpeg', new: 'image/pjpeg' }
+          }
+        },
+        second: {
+          version: { old: 'second_v1', new: 'second_v2' },
+          added: {},
+          removed: {},
+          changed: {}
+        }
+      })
+
+      expect(mediaType.get('file.jpg').map(String)).toStrictEqual(['image/pjpeg'])
+      expect(mediaType.get('file.mp3').map(String)).toStrictEqual(['audio/mpeg'])
+      expect(mediaType.get('file.log').map(String)).toStrictEqual(['text/x-log'])
+      expect(mediaType.get('file.txt')).toStrictEqual([]) // stored without sources, but then listed by the first one only
+    })
+
+    test('Given that the database attributes to a source media types it does not have', async () => {
+      const mediaType = new MediaTypes(-1, {
+        storage: {
+          load: () => ({
+            mediaTypes: { png: ['image/png'] },
+            sources: { jpg: { 'image/jpeg': ['mirror'] } },
+            versions: {}
+          }),
+          save () {}
+        },
+        sources: [{ name: 'mirror', url: 'https://mirror.example/mime.types' }]
+      })
+
+      fetch.mockImplementation((resource, options) => Promise.resolve(new Response(options.method === 'HEAD' ? '' : 'image/png  png', {
+        status: 200,
+        headers: { etag: 'mirror_v1' }
+      })))
+
+      await expect(mediaType.update(false, { reconcile: true }).then(diff => diff.mirror)).resolves.toStrictEqual({
+        version: { old: '', new: 'mirror_v1' },
+        added: {},
+        removed: {},
+        changed: {}
+      })
+    })
+
+    test('Given that the local changes survive the updates', async () => {
+      const lists = {
+        apache: 'video/mp2t  ts\napplication/javascript  js',
+        debian: 'text/vnd.trolltech.linguist  ts',
+        nginx: 'video/mp2t  ts'
+      }
+
+      fetch.mockImplementation((resource, options) => {
+        const name = new URL(resource).hostname.split('.')[0]
+
+        return Promise.resolve(new Response(options.method === 'HEAD' ? '' : lists[name], {
+          status: 200,
+          headers: { etag: `${name}_v1` }
+        }))
+      })
+
+      const mediaType = new MediaTypes(-1, {
+        sources: Object.keys(lists).map(name => ({ name, url: `https://${name}.example/mime.types` }))
+      })
+
+      await mediaType.update()
+
+      expect(mediaType.delete('ts', 'video/mp2t')).toBeTruthy()
+      expect(mediaType.pin('ts', 'text/typescript')).toBeTruthy()
+      expect(mediaType.set('js', 'text/javascript')).toBeTruthy()
+      expect(mediaType.set('js', 'application/javascript')).toBeFalsy() // listed by a source, but kept locally from now on
+
+      lists.apache = 'video/mp2t  ts'
+      lists.debian = 'text/vnd.trolltech.linguist  ts\nvideo/mp2t  ts'
+
+      await expect(mediaType.update(true, { reconcile: true }).then(diff => JSON.parse(JSON.stringify(diff.apache)))).resolves.toStrictEqual({
+        version: { old: 'apache_v1', new: 'apache_v1' },
+        added: {},
+        removed: {},
+        changed: {
+          js: { old: 'application/javascript', new: 'text/javascript' }
+        }
+      })
+
+      expect(mediaType.get('fileName.ts').map(String)).toStrictEqual(['text/typescript', 'text/vnd.trolltech.linguist'])
+      expect(String(mediaType.getPreferred('fileName.ts'))).toBe('text/typescript')
+      expect(mediaType.get('fileName.js').map(String)).toStrictEqual(['application/javascript', 'text/javascript'])
+
+      expect(mediaType.set('ts', 'video/mp2t')).toBeTruthy() // lifts the deletion
+      expect(mediaType.overrides.deleted).toEqual({})
+
+      await expect(mediaType.import('text/vnd.trolltech.linguist  ts')).resolves.toStrictEqual({})
+
+      expect(mediaType.overrides.added.ts).toStrictEqual(['text/typescript', 'video/mp2t', 'text/vnd.trolltech.linguist'])
+    })
+
+    test('Given that one wants to cancel an update', async () => {
+      const mediaType = new MediaTypes(-1)
+      const error = jest.fn()
+
+      mediaType.on('error', error);
+
+      [null, {}, 'signal', new AbortController()].forEach(signal => {
+        expect(() => mediaType.update(false, { signal })).toThrow(new TypeError('Invalid signal'))
+      })
+
+      const reason = new Error('Cancelled')
+
+      await expect(mediaType.update(false, { signal: AbortSignal.abort(reason) })).rejects.toBe(reason)
+      expect(fetch).not.toHaveBeenCalled()
+
+      fetch.mockImplementation(pending)
+
+      const controller = new AbortController()
+      const update = mediaType.update(true, { signal: controller.signal })
+
+      controller.abort(reason)
+
+      await expect(update).rejects.toBe(reason)
+      expect(mediaType.versions).toMatchObject({ apache: 'apache_v0' })
+      expect(error).not.toHaveBeenCalled()
+    })
+
+    test('Given that one wants to reconcile the database by passing an invalid argument', () => {
+      const mediaType = new MediaTypes(-1);
+
+      [-1, 0, 1, null, NaN, Infinity, {}, [], 'true'].forEach(reconcile => {
+        expect(() => mediaType.update(false, { reconcile })).toThrow(new TypeError('Invalid reconcile'))
+      })
+    })
+
+    test('Given that one wants to reconcile the database with what the sources list now', async () => {
+      const mediaType = new MediaTypes(-1, {
+        storage: {
+          load: () => ({
+            mediaTypes: {
+              jpg: ['image/jpeg', 'image/x-wrong'],
+              mp3: ['audio/mpeg'],
+              txt: ['text/plain'],
+              md: ['text/markdown']
+            },
+            sources: {
+              mp3: { 'audio/mpeg': ['deleted'] },
+              md: { 'text/markdown': ['local'] }
+            },
+            versions: { first: 'first_v1', second: 'second_v1' }
+          }),
+          save () {}
+        },
+        sources: [
+          { name: 'first', url: 'https://first.example/mime.types' },
+          { name: 'second', url: 'https://second.example/mime.types' }
+        ]
+      })
+
+      const lists = {
+        first: ['image/jpeg  jpg', 'first_v1'],
+        second: ['text/plain  txt', 'second_v1']
+      }
+
+      fetch.mockImplementation((resource, options) => {
+        const [body, etag] = lists[new URL(resource).hostname.split('.')[0]]
+
+        if (!etag) {
+          return Promise.reject(new Error('Network Exception'))
+        }
+
+        return Promise.resolve(new Response(options.method === 'HEAD' ? '' : body, {
+          status: 200,
+          headers: { etag }
+        }))
+      })
+
+      await expect(mediaType.update()).resolves.toStrictEqual({})
+
+      lists.second = ['', undefined]
+
+      const update = jest.fn()
+
+      mediaType.on('update', update)
+
+      await expect(mediaType.update(false, { reconcile: true })).rejects.toMatchObject({
+        message: 'Invalid sources',
+        errors: [new Error('Network Exception')],
+        cause: ['second']
+      })
+      expect(JSON.parse(JSON.stringify(update.mock.lastCall[0]))).toStrictEqual({ // the first one is applied anyway
+        first: {
+          version: { old: 'first_v1', new: 'first_v1' },
+          added: {},
+          removed: {},
+          changed: {}
+        }
+      })
+
+      expect(mediaType.get('file.jpg').map(String)).toStrictEqual(['image/jpeg', 'image/x-wrong']) // what the second one lists is unknown
+
+      lists.second = ['text/plain  txt', 'second_v1']
+
+      await expect(mediaType.update(false, { reconcile: true }).then(diff => JSON.parse(JSON.stringify(diff)))).resolves.toStrictEqual({
+        first: {
+          version: { old: 'first_v1', new: 'first_v1' },
+          added: {},
+          removed: {},
+          changed: {}
+        },
+        second: {
+          version: { old: 'second_v1', new: 'second_v1' },
+          added: {},
+          removed: {},
+          changed: {}
+        },
+        unattributed: { // neither of them was known to list them
+          removed: { jpg: ['image/x-wrong'], mp3: ['audio/mpeg'] }
+        }
+      })
+
+      expect(mediaType.list).toStrictEqual({
+        jpg: [new MIMEType('image/jpeg')],
+        md: [new MIMEType('text/markdown')],
+        txt: [new MIMEType('text/plain')]
+      })
+      expect(mediaType.explain('file.jpg')[0].sources).toStrictEqual(['first'])
+      expect(mediaType.explain('file.txt')[0].sources).toStrictEqual(['second'])
+      expect(mediaType.explain('file.md')[0].sources).toStrictEqual(['local'])
+    })
+
+    test('Given that the lists fail their checks', async () => {
+      const lists = {
+        'https://first.example/audio.types': 'audio/mpeg  mp3',
+        'https://first.example/image.types': 'image/jpeg  jpg\nimage/png  png',
+        'https://second.example/mime.types': 'text/plain  txt\ntext/markdown  md'
+      }
+      const checksum = url => createHash('sha256').update(lists[url]).digest('hex')
+      const sources = [
+        { name: 'first', url: ['https://first.example/audio.types', 'https://first.example/image.types'], minEntries: 3 },
+        { name: 'second', url: 'https://second.example/mime.types' }
+      ]
+
+      sources[0].sha256 = sources[0].url.map(url => checksum(url).toUpperCase())
+      sources[1].sha256 = checksum(sources[1].url)
+
+      let version = 1
+
+      fetch.mockImplementation(resource => Promise.resolve(new Response(lists[resource], {
+        status: 200,
+        headers: { etag: `v${version}` }
+      })))
+
+      const mediaType = new MediaTypes(-1, { storage: null, sources, maxChange: 0.5, topLevelTypes: ['AUDIO', 'image', 'text'] })
+
+      expect(mediaType.sources[0]).toStrictEqual({ ...sources[0], parser: expect.any(Function) })
+      expect(Object.isFrozen(mediaType.sources[0].sha256)).toBeTruthy()
+
+      await expect(mediaType.update().then(diff => Object.keys(diff))).resolves.toStrictEqual(['first', 'second'])
+
+      const list = JSON.stringify(mediaType.list)
+      const reject = async (message, cause) => {
+        const versions = { ...mediaType.versions }
+
+        version++
+
+        const error = await mediaType.update().catch(err => err)
+
+        expect(error).toStrictEqual(new Error(message))
+        expect(error.cause).toBe(cause)
+        expect(JSON.stringify(mediaType.list)).toBe(list) // untouched
+        expect(mediaType.versions).toStrictEqual(versions)
+      }
+
+      lists['https://second.example/mime.types'] = '<!DOCTYPE html>\nhtml/body  error' // an error page that happens to parse
+
+      await reject('Invalid checksum', 'second')
+
+      mediaType.deleteSource('second')
+      mediaType.addSource({ name: 'second', url: 'https://second.example/mime.types' })
+
+      await reject('Invalid type', 'second')
+
+      lists['https://second.example/mime.types'] = 'text/plain  txt text log conf'
+
+      await reject('Invalid changes', 'second') // md removed and text, log and conf added, out of the two media types it had
+
+      expect(mediaType.delete('md', 'text/markdown')).toBeTruthy()
+
+      lists['https://second.example/mime.types'] = 'text/plain  txt\ntext/markdown  md'
+
+      version++
+
+      await expect(mediaType.update().then(diff => diff.second.added)).resolves.toStrictEqual({}) // the one deleted locally is not a change
+
+      mediaType.deleteSource('first')
+      mediaType.addSource({ name: 'first', url: sources[0].url, minEntries: 4 })
+
+      await expect(mediaType.update().catch(err => err)).resolves.toStrictEqual(new Error('Invalid entries'))
+
+      const failure = new Promise(resolve => mediaType.once('error', resolve))
+
+      mediaType.updateInterval = 1000
+
+      await jest.advanceTimersByTimeAsync(1000)
+
+      await expect(failure).resolves.toStrictEqual(new Error('Invalid entries'))
+    })
+
+    test('Given that a reconcile would remove most of a database without provenance', async () => {
+      fs.readFileSync.mockReturnValueOnce(JSON.stringify({
+        mediaTypes: {
+          jpg: ['image/jpeg'],
+          md: ['text/markdown'],
+          png: ['image/png'],
+          txt: ['text/plain']
+        },
+        versions: {}
+      }))
+      fetch.mockImplementation(() => Promise.resolve(new Response('text/plain  txt', {
+        status: 200,
+        headers: { etag: 'apache_v1' }
+      })))
+
+      const mediaType = new MediaTypes(-1, { storage: null, maxChange: 0.1, sources: [{ name: 'apache', url: 'https://apache.example/mime.types' }] })
+      const list = JSON.stringify(mediaType.list)
+
+      await expect(mediaType.update(false, { reconcile: true }).catch(err => err)).resolves.toStrictEqual(new Error('Invalid changes'))
+
+      expect(JSON.stringify(mediaType.list)).toBe(list) // untouched
+      expect(mediaType.explain('file.txt')[0].sources).toStrictEqual([]) // not presumed either
+    })
+  })
+})
+
+describe('close', () => {
+  test('Given that one wants to stop the updates of an instance', async () => {
+    fetch.mockImplementation(pending)
+
+    const mediaType = new MediaTypes(1000)
+    const error = jest.fn()
+
+    mediaType.on('error', error)
+
+    expect(setInterval.mock.results[0].value.hasRef()).toBeFalsy() // does not keep the process alive
+
+    const update = mediaType.update()
+
+    jest.advanceTimersByTime(1000)
+
+    const calls = fetch.mock.calls.length
+
+    await expect(mediaType.close()).resolves.toBeUndefined()
+    await expect(update).rejects.toMatchObject({ name: 'AbortError' })
+
+    expect(mediaType.updateInterval).toBe(-1)
+    expect(error).not.toHaveBeenCalled()
+
+    jest.advanceTimersByTime(1000)
+
+    expect(fetch).toHaveBeenCalledTimes(calls)
+
+    await expect(mediaType[Symbol.for('nodejs.asyncDispose')]()).resolves.toBeUndefined() // Symbol.asyncDispose of Node, which is not global in the sandbox of jest
+  })
+})
+
+describe('Storage', () => {
+  const DB = join(__dirname, '../src/DB.json')
+
+  function deferred () {
+    let resolve, reject
+
+    const promise = new Promise((...args) => {
+      [resolve, reject] = args
+    })
+
+    return { promise, resolve, reject }
+  }
+
+  test('Given that one wants to instantiate the module with an invalid storage argument', () => {
+    [-1, 0, 1, false, NaN, Infinity, {}, [], { load () {} }, { save () {} }, { load () {}, save () {}, lead: true }].forEach(storage => {
+      expect(() => new MediaTypes(-1, { storage })).toThrow(new TypeError('Invalid storage'))
+    });
+
+    ['true', 1, null].forEach(option => {
+      expect(() => new MediaTypes(-1, { watch: option })).toThrow(new TypeError('Invalid watch'))
+      expect(() => new MediaTypes(-1, { leader: option })).toThrow(new TypeError('Invalid leader'))
+    })
+  })
+
+  test('Given that the database is written atomically in the DB.json file of the module', async () => {
+    jest.setSystemTime(new Date('2024-01-01T00:00:00.000Z'))
+
+    const mediaType = new MediaTypes(-1)
+
+    expect(fs.readFileSync).toHaveBeenCalledWith(DB)
+
+    expect(mediaType.set('test', 'application/x-test')).toBeTruthy()
+
+    await saved()
+
+    const temp = fs.writeFileSync.mock.lastCall[0]
+
+    expect(temp).toMatch(new RegExp(`^${DB}\\.\\d+\\.tmp$`))
+    expect(JSON.parse(fs.writeFileSync.mock.lastCall[1])).toStrictEqual({
+      mediaTypes: {
+        txt: ['text/plain'],
+        test: ['application/x-test']
+      },
+      sources: {
+        test: {
+          'application/x-test': ['local']
+        }
+      },
+      addedAt: {
+        test: {
+          'application/x-test': '2024-01-01T00:00:00.000Z'
+        }
+      },
+      registry: {},
+      overrides: {
+        added: { test: ['application/x-test'] },
+        deleted: {},
+        pinned: {}
+      },
+      globs: {
+        added: {},
+        deleted: {}
+      },
+      versions: {
+        apache: 'apache_v0',
+        debian: 'debian_v0',
+        nginx: 'nginx_v0',
+        iana: ''
+      }
+    })
+    expect(fs.renameSync).toHaveBeenLastCalledWith(temp, DB)
+  })
+
+  test('Given that one wants to keep the database in a custom file', async () => {
+    const path = '/var/cache/mediatypes/DB.json'
+
+    const mediaType = new MediaTypes(-1, { storage: path })
+
+    await expect(mediaType.ready).resolves.toBeUndefined()
+
+    expect(fs.readFileSync).toHaveBeenCalledWith(path)
+    expect(mediaType.list).toMatchObject({ txt: [new MIMEType('text/plain')] })
+
+    await mediaType.update()
+
+    expect(fs.mkdirSync).toHaveBeenLastCalledWith('/var/cache/mediatypes', { recursive: true })
+    expect(fs.writeFileSync).toHaveBeenLastCalledWith(expect.stringMatching(/^\/var\/cache\/mediatypes\/DB\.json\.\d+\.tmp$/), expect.any(String))
+    expect(fs.renameSync).toHaveBeenLastCalledWith(fs.writeFileSync.mock.lastCall[0], path)
+  })
+
+  test('Given that the custom database file does not exist yet', () => {
+    fs.readFileSync.mockImplementationOnce(() => {
+      throw Object.assign(new Error('ENOENT: no such file or directory'), { code: 'ENOENT' })
+    })
+
+    const mediaType = new MediaTypes(-1, { storage: '/var/cache/mediatypes/DB.json' })
+
+    expect(fs.readFileSync).toHaveBeenLastCalledWith(DB)
+    expect(mediaType.list).toMatchObject({ txt: [new MIMEType('text/plain')] })
+    expect(mediaType.versions).toMatchObject({ apache: 'apache_v0' })
+  })
+
+  test('Given that the database file can not be read', () => {
+    [DB, '/var/cache/mediatypes/DB.json'].forEach(storage => {
+      fs.readFileSync.mockImplementationOnce(() => {
+        throw Object.assign(new Error('ENOENT: no such file or directory'), { code: storage === DB ? 'ENOENT' : 'EACCES' })
+      })
+
+      const mediaType = new MediaTypes(-1, { storage })
+
+      expect(mediaType.list).toStrictEqual({})
+      expect(mediaType.versions).toStrictEqual({
+        apache: '',
+        debian: '',
+        nginx: '',
+        iana: ''
+      })
+    })
+  })
+
+  test('Given that the database file could not be written', async () => {
+    fs.renameSync.mockImplementationOnce(() => {
+      throw new Error('EROFS: read-only file system')
+    })
+
+    const mediaType = new MediaTypes(-1)
+    const error = jest.fn()
+
+    mediaType.on('error', error)
+
+    expect(mediaType.set('test', 'application/x-test')).toBeTruthy()
+
+    await saved()
+
+    expect(error).toHaveBeenCalledWith(new Error('EROFS: read-only file system'))
+    expect(fs.rmSync).toHaveBeenLastCalledWith(fs.writeFileSync.mock.lastCall[0], { force: true })
+  })
+
+  test('Given that several processes write the database file', async () => {
+    const kill = jest.spyOn(process, 'kill')
+    const locked = () => {
+      throw Object.assign(new Error('EEXIST: file already exists'), { code: 'EEXIST' })
+    }
+    const stale = `${DB}.lock.${process.pid}.stale`
+
+    try {
+      const mediaType = new MediaTypes(-1)
+      const error = jest.fn()
+
+      mediaType.on('error', error)
+
+      expect(mediaType.set('first', 'application/x-first')).toBeTruthy()
+
+      await saved()
+
+      expect(fs.openSync).toHaveBeenLastCalledWith(`${DB}.lock`, 'wx')
+      expect(fs.writeSync).toHaveBeenLastCalledWith(3, String(process.pid))
+      expect(fs.unlinkSync).toHaveBeenLastCalledWith(`${DB}.lock`)
+      expect(fs.unlinkSync.mock.invocationCallOrder[0]).toBeGreaterThan(fs.renameSync.mock.invocationCallOrder[0])
+
+      fs.openSync.mockClear()
+      fs.writeFileSync.mockClear()
+      fs.openSync.mockImplementationOnce(locked)
+      fs.readFileSync.mockImplementationOnce(() => '') // just created by another process, which has not written its id yet
+
+      expect(mediaType.set('second', 'application/x-second')).toBeTruthy()
+      expect(mediaType.set('second', 'application/x-other')).toBeTruthy() // written after the first change, which waits for the lock
+
+      await saved()
+
+      expect(fs.openSync).toHaveBeenCalledTimes(1)
+      expect(fs.writeFileSync).not.toHaveBeenCalled()
+
+      await jest.advanceTimersByTimeAsync(10)
+
+      expect(fs.openSync).toHaveBeenCalledTimes(3)
+      expect(fs.writeFileSync).toHaveBeenCalledTimes(2)
+      expect(JSON.parse(fs.writeFileSync.mock.calls[0][1]).mediaTypes.second).toStrictEqual(['application/x-second'])
+      expect(JSON.parse(fs.writeFileSync.mock.calls[1][1]).mediaTypes.second).toStrictEqual(['application/x-other', 'application/x-second'])
+
+      fs.openSync.mockClear()
+      fs.openSync.mockImplementationOnce(locked)
+      kill.mockImplementationOnce(() => { throw Object.assign(new Error('EPERM: operation not permitted'), { code: 'EPERM' }) })
+      fs.readFileSync.mockImplementationOnce(() => '1') // held by a process of another user
+
+      expect(mediaType.set('third', 'application/x-third')).toBeTruthy()
+
+      await jest.advanceTimersByTimeAsync(10)
+
+      expect(fs.openSync).toHaveBeenCalledTimes(2)
+
+      fs.openSync.mockClear()
+      fs.openSync.mockImplementationOnce(locked)
+      kill.mockImplementation(pid => {
+        if (pid === 2147483647) {
+          throw Object.assign(new Error('ESRCH: no such process'), { code: 'ESRCH' })
+        }
+
+        return true
+      })
+      fs.readFileSync.mockImplementationOnce(() => '2147483647').mockImplementationOnce(() => '2147483647') // held by a process that is no longer running
+
+      expect(mediaType.set('fourth', 'application/x-fourth')).toBeTruthy()
+
+      await saved()
+
+      expect(fs.renameSync).toHaveBeenCalledWith(`${DB}.lock`, stale) // moved aside, so that a single process removes it
+      expect(fs.rmSync).toHaveBeenCalledWith(stale, { force: true })
+      expect(fs.openSync).toHaveBeenCalledTimes(2)
+
+      fs.openSync.mockClear()
+      fs.rmSync.mockClear()
+      fs.openSync.mockImplementationOnce(locked).mockImplementationOnce(locked)
+      fs.readFileSync
+        .mockImplementationOnce(() => '2147483647')
+        .mockImplementationOnce(() => '1') // taken meanwhile by another process, which found it released
+        .mockImplementationOnce(() => '1')
+
+      expect(mediaType.set('fifth', 'application/x-fifth')).toBeTruthy()
+
+      await saved()
+
+      expect(fs.renameSync).toHaveBeenLastCalledWith(stale, `${DB}.lock`)
+      expect(fs.rmSync).not.toHaveBeenCalledWith(stale, expect.anything())
+
+      await jest.advanceTimersByTimeAsync(10)
+
+      expect(fs.openSync).toHaveBeenCalledTimes(3)
+
+      fs.openSync.mockClear()
+      fs.openSync.mockImplementationOnce(locked)
+      fs.readFileSync.mockImplementationOnce(() => '2147483647')
+      fs.renameSync.mockImplementationOnce(() => { throw Object.assign(new Error('ENOENT: no such file or directory'), { code: 'ENOENT' }) }) // taken over by another process
+
+      expect(mediaType.set('sixth', 'application/x-sixth')).toBeTruthy()
+
+      await saved()
+
+      expect(fs.openSync).toHaveBeenCalledTimes(2)
+      expect(error).not.toHaveBeenCalled()
+
+      fs.openSync.mockImplementationOnce(locked)
+      fs.readFileSync.mockImplementationOnce(() => '2147483647')
+      fs.renameSync.mockImplementationOnce(() => { throw Object.assign(new Error('EACCES: permission denied'), { code: 'EACCES' }) })
+
+      expect(mediaType.set('seventh', 'application/x-seventh')).toBeTruthy()
+
+      await saved()
+
+      expect(error).toHaveBeenLastCalledWith(new Error('EACCES: permission denied'))
+
+      fs.openSync.mockClear()
+      fs.writeFileSync.mockClear()
+      fs.openSync.mockImplementation(locked)
+      fs.readFileSync.mockImplementation(() => String(process.pid))
+
+      expect(mediaType.set('eighth', 'application/x-eighth')).toBeTruthy()
+
+      await jest.advanceTimersByTimeAsync(1990)
+
+      expect(error).toHaveBeenCalledTimes(1)
+
+      await jest.advanceTimersByTimeAsync(10)
+
+      expect(error).toHaveBeenLastCalledWith(new Error('Locked database'))
+      expect(fs.openSync).toHaveBeenCalledTimes(201)
+      expect(fs.writeFileSync).not.toHaveBeenCalled()
+
+      fs.openSync.mockImplementation(() => {
+        throw Object.assign(new Error('EACCES: permission denied'), { code: 'EACCES' })
+      })
+
+      expect(mediaType.set('ninth', 'application/x-ninth')).toBeTruthy()
+
+      await saved()
+
+      expect(error).toHaveBeenCalledTimes(3)
+      expect(error).toHaveBeenLastCalledWith(new Error('EACCES: permission denied'))
+    } finally {
+      kill.mockRestore()
+    }
+  })
+
+  test('Given that a single one of the processes sharing the database file runs the periodic update', async () => {
+    let holder = String(process.ppid)
+
+    const read = fs.readFileSync.getMockImplementation()
+
+    fs.readFileSync.mockImplementation(path => {
+      if (path !== `${DB}.leader`) {
+        return read(path)
+      }
+
+      if (!holder) {
+        throw Object.assign(new Error('ENOENT: no such file or directory'), { code: 'ENOENT' })
+      }
+
+      return holder
+    })
+
+    const mediaType = new MediaTypes(1000, { leader: true })
+
+    expect(fs.watch).toHaveBeenCalledWith(join(__dirname, '../src'), expect.any(Function)) // the others reload what the leader saves
+
+    await jest.advanceTimersByTimeAsync(1000)
+
+    expect(fetch).not.toHaveBeenCalled() // led by the parent process
+
+    await mediaType.close()
+
+    expect(fs.rmSync).not.toHaveBeenCalledWith(`${DB}.leader`, expect.anything())
+
+    holder = undefined
+
+    const leader = new MediaTypes(1000, { leader: true })
+
+    await jest.advanceTimersByTimeAsync(1000)
+
+    expect(fs.writeFileSync).toHaveBeenCalledWith(`${DB}.leader`, String(process.pid))
+    expect(fetch).toHaveBeenCalled()
+
+    holder = '2147483647' // led by a process that is no longer running
+    fs.writeFileSync.mockClear()
+
+    await jest.advanceTimersByTimeAsync(1000)
+
+    expect(fs.writeFileSync).toHaveBeenCalledWith(`${DB}.leader`, String(process.pid))
+
+    holder = String(process.pid)
+    fetch.mockClear()
+    fs.writeFileSync.mockClear()
+
+    await jest.advanceTimersByTimeAsync(1000)
+
+    expect(fetch).toHaveBeenCalled()
+    expect(fs.writeFileSync).not.toHaveBeenCalledWith(`${DB}.leader`, expect.anything())
+
+    await leader.close()
+
+    expect(fs.rmSync).toHaveBeenLastCalledWith(`${DB}.leader`, { force: true })
+  })
+
+  test('Given that the database file is reloaded when another process saves it', async () => {
+    let changed
+
+    const watcher = Object.assign(new EventEmitter(), { close: jest.fn(), unref: jest.fn() })
+
+    fs.watch.mockImplementation((path, listener) => {
+      changed = listener
+
+      return watcher
+    })
+
+    const mediaType = new MediaTypes(-1, { watch: true })
+    const update = jest.fn()
+
+    mediaType.on('update', update)
+
+    expect(fs.watch).toHaveBeenCalledWith(join(__dirname, '../src'), expect.any(Function))
+    expect(watcher.unref).toHaveBeenCalled()
+
+    const saved = JSON.stringify({
+      mediaTypes: { jpg: ['image/jpeg'], txt: ['text/plain'] },
+      sources: { jpg: { 'image/jpeg': ['apache'] } },
+      versions: { apache: 'apache_v1', debian: 'debian_v0', nginx: 'nginx_v0' }
+    })
+
+    fs.readFileSync.mockClear()
+
+    changed('rename', 'DB.json.1234.tmp')
+
+    expect(fs.readFileSync).not.toHaveBeenCalled()
+
+    changed('change', 'DB.json') // unchanged
+
+    fs.readFileSync.mockImplementationOnce(() => {
+      throw Object.assign(new Error('ENOENT: no such file or directory'), { code: 'ENOENT' })
+    })
+    changed('rename', 'DB.json')
+
+    fs.readFileSync.mockImplementationOnce(() => '{"mediaTypes":')
+    changed('change', 'DB.json')
+
+    const error = jest.fn()
+
+    mediaType.on('error', error)
+
+    fs.readFileSync.mockImplementationOnce(() => '{"mediaTypes":{"x":"text/plain"}}')
+    changed('change', 'DB.json')
+
+    expect(error).toHaveBeenCalledWith(expect.any(TypeError))
+    expect(String(mediaType.getPreferred('file.txt'))).toBe('text/plain') // the database is kept
+    expect(update).not.toHaveBeenCalled()
+
+    fs.readFileSync.mockImplementation(() => saved)
+    changed('rename', null)
+
+    expect(update).toHaveBeenCalledTimes(1)
+    expect(update).toHaveBeenCalledWith({
+      apache: {
+        version: { old: 'apache_v0', new: 'apache_v1' },
+        added: { jpg: [new MIMEType('image/jpeg')] },
+        removed: {},
+        changed: {}
+      }
+    })
+    expect(mediaType.getPreferred('file.jpg')).toStrictEqual(new MIMEType('image/jpeg'))
+
+    changed('change', 'DB.json')
+
+    expect(mediaType.set('test', 'application/x-test')).toBeTruthy()
+
+    fs.readFileSync.mockImplementation(() => fs.writeFileSync.mock.lastCall[1])
+    changed('change', 'DB.json') // its own write
+
+    expect(update).toHaveBeenCalledTimes(1)
+
+    watcher.emit('error', new Error('EPERM: operation not permitted'))
+
+    expect(watcher.close).toHaveBeenCalledTimes(1)
+
+    await mediaType.close()
+
+    expect(watcher.close).toHaveBeenCalledTimes(2)
+  })
+
+  test('Given that two processes save the database file one after the other', async () => {
+    const files = {
+      [DB]: JSON.stringify({
+        mediaTypes: { txt: ['text/plain'] },
+        versions: {}
+      })
+    }
+    const changed = []
+
+    fs.readFileSync.mockImplementation(path => {
+      if (!Object.hasOwn(files, path)) {
+        throw Object.assign(new Error('ENOENT: no such file or directory'), { code: 'ENOENT' })
+      }
+
+      return files[path]
+    })
+    fs.writeFileSync.mockImplementation((path, text) => { files[path] = text })
+    fs.renameSync.mockImplementation((from, to) => {
+      files[to] = files[from]
+      delete files[from]
+    })
+    fs.watch.mockImplementation((path, listener) => {
+      changed.push(listener)
+
+      return Object.assign(new EventEmitter(), { close () {}, unref () {} })
+    })
+
+    const first = new MediaTypes(-1, { watch: true })
+    const second = new MediaTypes(-1, { watch: true })
+
+    expect(first.set('foo', 'application/x-foo')).toBeTruthy()
+    expect(second.set('bar', 'application/x-bar')).toBeTruthy() // before it is told of the first write
+
+    await saved()
+
+    changed.forEach(listener => listener('rename', 'DB.json'))
+
+    expect(JSON.parse(files[DB])).toMatchObject({
+      mediaTypes: {
+        bar: ['application/x-bar'],
+        foo: ['application/x-foo'],
+        txt: ['text/plain']
+      },
+      overrides: {
+        added: { bar: ['application/x-bar'], foo: ['application/x-foo'] }
+      }
+    });
+
+    [first, second].forEach(mediaType => {
+      expect(Object.keys(mediaType.list).sort()).toStrictEqual(['bar', 'foo', 'txt'])
+    })
+
+    expect(second.delete('foo', 'application/x-foo')).toBeTruthy()
+
+    await saved()
+
+    changed.forEach(listener => listener('change', 'DB.json'))
+
+    expect(first.set('baz', 'application/x-baz')).toBeTruthy()
+
+    await saved()
+
+    expect(Object.keys(JSON.parse(files[DB]).mediaTypes).sort()).toStrictEqual(['bar', 'baz', 'txt'])
+
+    const text = files[DB]
+
+    files[DB] = '{"mediaTypes":' // while another process writes it in place
+
+    const third = new MediaTypes(-1)
+
+    files[DB] = text
+
+    expect(third.set('qux', 'application/x-qux')).toBeTruthy()
+
+    await saved()
+
+    expect(Object.keys(JSON.parse(files[DB]).mediaTypes).sort()).toStrictEqual(['bar', 'baz', 'qux', 'txt'])
+  })
+
+  test('Given that one wants to keep the database in memory only', async () => {
+    const mediaType = new MediaTypes(-1, { storage: null })
+
+    expect(fs.readFileSync).toHaveBeenLastCalledWith(DB)
+    expect(mediaType.list).toMatchObject({ txt: [new MIMEType('text/plain')] })
+
+    expect(mediaType.set('test', 'application/x-test')).toBeTruthy()
+    expect(mediaType.delete('test', 'application/x-test')).toBeTruthy()
+    await expect(mediaType.update().then(diff => Object.keys(diff.apache.added))).resolves.toContain('jpg')
+
+    expect(fs.writeFileSync).not.toHaveBeenCalled()
+  })
+
+  test('Given that one wants to persist the database with an asynchronous adapter', async () => {
+    const load = deferred()
+    const storage = {
+      load: jest.fn(() => load.promise),
+      save: jest.fn(() => Promise.resolve())
+    }
+
+    const mediaType = new MediaTypes(-1, { storage })
+
+    expect(mediaType.list).toStrictEqual({})
+    expect(mediaType.versions).toStrictEqual({
+      apache: '',
+      debian: '',
+      nginx: '',
+      iana: ''
+    })
+
+    load.resolve({
+      mediaTypes: {
+        json: ['application/json']
+      },
+      versions: {
+        apache: 'apache_v1',
+        unknown: 'unknown_v1'
+      }
+    })
+
+    await expect(mediaType.ready).resolves.toBeUndefined()
+
+    expect(mediaType.list).toStrictEqual({ json: [new MIMEType('application/json')] })
+    expect(mediaType.extension('application/json')).toBe('json')
+    expect(mediaType.versions).toStrictEqual({
+      apache: 'apache_v1',
+      debian: '',
+      nginx: '',
+      iana: ''
+    })
+
+    expect(mediaType.set('test', 'application/x-test')).toBeTruthy()
+    expect(storage.save).toHaveBeenLastCalledWith({
+      mediaTypes: {
+        json: ['application/json'],
+        test: ['application/x-test']
+      },
+      sources: {
+        test: {
+          'application/x-test': ['local']
+        }
+      },
+      addedAt: {
+        test: {
+          'application/x-test': expect.any(String)
+        }
+      },
+      registry: {},
+      overrides: {
+        added: { test: ['application/x-test'] },
+        deleted: {},
+        pinned: {}
+      },
+      globs: {
+        added: {},
+        deleted: {}
+      },
+      versions: {
+        apache: 'apache_v1',
+        debian: '',
+        nginx: '',
+        iana: ''
+      }
+    })
+
+    await mediaType.update()
+
+    expect(storage.save).toHaveBeenCalledTimes(2)
+    expect(fs.readFileSync).not.toHaveBeenCalled()
+    expect(fs.writeFileSync).not.toHaveBeenCalled()
+  })
+
+  test('Given that the database is changed before the asynchronous adapter loads it', async () => {
+    const load = deferred()
+    const storage = {
+      load: () => load.promise,
+      save: jest.fn(() => Promise.resolve())
+    }
+
+    const mediaType = new MediaTypes(-1, { storage })
+
+    expect(mediaType.set('foo', 'application/x-foo')).toBeTruthy()
+    expect(mediaType.delete('txt', 'text/plain')).toBeFalsy() // not loaded yet, but deleted once it is
+    expect(mediaType.pin('md', 'text/x-markdown')).toBeTruthy()
+    expect(mediaType.unpin('json')).toBeFalsy()
+    expect(mediaType.setGlob('*.foo.conf', 'application/x-foo')).toBeTruthy()
+    expect(mediaType.deleteGlob('Dockerfile', 'text/x-dockerfile')).toBeTruthy()
+
+    const imported = mediaType.import('application/x-bar  bar')
+
+    expect(storage.save).not.toHaveBeenCalled()
+
+    load.resolve({
+      mediaTypes: {
+        json: ['application/json', 'text/json'],
+        md: ['text/markdown'],
+        txt: ['text/plain']
+      },
+      overrides: {
+        pinned: { json: 'text/json' }
+      },
+      versions: {}
+    })
+
+    await expect(mediaType.ready).resolves.toBeUndefined()
+    await expect(imported.then(list => JSON.parse(JSON.stringify(list)))).resolves.toStrictEqual({ bar: ['application/x-bar'] })
+
+    expect(JSON.parse(JSON.stringify(mediaType.list))).toStrictEqual({
+      bar: ['application/x-bar'],
+      foo: ['application/x-foo'],
+      json: ['application/json', 'text/json'],
+      md: ['text/markdown', 'text/x-markdown']
+    })
+    expect(String(mediaType.getPreferred('file.json'))).toBe('application/json')
+    expect(String(mediaType.getPreferred('file.md'))).toBe('text/x-markdown')
+    expect(mediaType.get('app.foo.conf').map(String)).toStrictEqual(['application/x-foo'])
+    expect(mediaType.globs).not.toHaveProperty('Dockerfile')
+    expect(storage.save).toHaveBeenCalledTimes(2)
+    expect(storage.save).toHaveBeenNthCalledWith(1, expect.objectContaining({
+      overrides: {
+        added: { foo: ['application/x-foo'], md: ['text/x-markdown'] },
+        deleted: { txt: ['text/plain'] },
+        pinned: { md: 'text/x-markdown' }
+      }
+    }))
+  })
+
+  test('Given that the asynchronous adapter fails to load or save the database', async () => {
+    const error = new Error('Storage Exception')
+    const storage = {
+      load: () => Promise.reject(error),
+      save: () => Promise.reject(error)
+    }
+
+    const mediaType = new MediaTypes(-1, { storage })
+
+    await expect(mediaType.ready).rejects.toThrow(error)
+
+    expect(mediaType.list).toStrictEqual({})
+
+    const listener = new Promise(resolve => mediaType.on('error', resolve))
+
+    expect(mediaType.set('test', 'application/x-test')).toBeTruthy()
+
+    await expect(listener).resolves.toBe(error)
+    await expect(mediaType.update()).rejects.toThrow(error)
+  })
+
+  test('Given that the database was changed apart from its local changes', () => {
+    const mediaType = new MediaTypes(-1, {
+      storage: {
+        load: () => ({
+          mediaTypes: { ts: ['text/typescript', 'video/mp2t'] },
+          overrides: {
+            added: { md: ['text/markdown'] },
+            deleted: { ts: ['video/mp2t'] },
+            pinned: { ts: 'text/typescript' }
+          }
+        }),
+        save () {}
+      }
+    })
+
+    expect(mediaType.list).toStrictEqual({
+      md: [new MIMEType('text/markdown')],
+      ts: [new MIMEType('text/typescript')]
+    })
+    expect(mediaType.explain('fileName.md')[0].sources).toStrictEqual(['local'])
+  })
+
+  test('Given that the adapter loads an invalid database', () => {
+    [undefined, null, 'invalid', { mediaTypes: { txt: ['invalid'] } }].forEach(data => {
+      const mediaType = new MediaTypes(-1, {
+        storage: {
+          load: () => data,
+          save () {}
+        }
+      })
+
+      expect(mediaType.list).toStrictEqual({})
+      expect(mediaType.versions).toStrictEqual({
+        apache: '',
+        debian: '',
+        nginx: '',
+        iana: ''
+      })
+    })
+  })
+})
+
+describe('Fetch', () => {
+  test('Given that one wants to try to update the list of media types at some point and there was an error processing the data', () => {
+    expect.assertions(1)
+
+    fetch.mockImplementation(() => Promise.resolve(new Response('invalid data', {
+      status: 200,
+      headers: {
+        etag: 'v3'
+      }
+    })))
+
+    const mediaType = new MediaTypes(-1)
+
+    return expect(mediaType.update()).resolves.toStrictEqual({})
+  })
+
+  test('Given that one wants to try to update the list of media types at some point and there was an error processing the media types or the file extension', () => {
+    expect.assertions(1)
+
+    fetch.mockImplementation(() => Promise.resolve(new Response(`
+        audio/mpeg          %@?
+        video/%@?          mp4
+    `, {
+      status: 200,
+      headers: {
+        etag: 'v2'
+      }
+    })))
+
+    const mediaType = new MediaTypes(-1)
+
+    return expect(mediaType.update()).resolves.toStrictEqual({})
+  })
+
+  test('Given that one wants to try to update the list of media types at some point and the list has media types without extensions', () => {
+    expect.assertions(1)
+
+    fetch.mockImplementation(() => Promise.resolve(new Response(`
+        # comment
+        audio/mpeg
+        video/mp4;
+    `, {
+      status: 200,
+      headers: {
+        etag: 'v4'
+      }
+    })))
+
+    const mediaType = new MediaTypes(-1)
+
+    return expect(mediaType.update()).resolves.toStrictEqual({})
+  })
+
+  test('Given that the update method was called and the request returns an invalid data type', () => {
+    expect.assertions(1)
+
+    fetch.mockImplementation(() => Promise.resolve(new Response(null, {
+      status: 200,
+      headers: {
+        etag: 'v3'
+      }
+    })))
+
+    const mediaType = new MediaTypes(-1)
+
+    return expect(mediaType.update()).resolves.toStrictEqual({})
+  })
+
+  test('Given that the update method was called and the request does not have an etag header', () => {
+    expect.assertions(1)
+
+    fetch.mockImplementation(() => Promise.resolve(new Response(`
+      video/mp4          mp4 mp4v mpg4
+    `, {
+      status: 200
+    })))
+
+    const mediaType = new MediaTypes(-1)
+
+    return expect(mediaType.update()).resolves.toStrictEqual({})
+  })
+
+  test('Given that the update method was called and the request returns an error', () => {
+    expect.assertions(1)
+
+    fetch.mockImplementation(() => Promise.resolve(new Response('', {
+      status: 500,
+      headers: {
+        etag: 'v3'
+      }
+    })))
+
+    const mediaType = new MediaTypes(-1)
+
+    return expect(mediaType.update()).rejects.toMatchObject({
+      message: 'Invalid sources',
+      errors: Array(4).fill(new Error('Invalid response')),
+      cause: ['apache', 'debian', 'nginx', 'iana']
+    })
+  })
+
+  test('Given that the update method was called and the fetch function throws an exception', () => {
+    expect.assertions(1)
+
+    fetch.mockImplementation(() => Promise.resolve(new Error('Auto-Update Exception')))
+
+    const mediaType = new MediaTypes(-1)
+
+    return expect(mediaType.update()).rejects.toMatchObject({
+      message: 'Invalid sources',
+      cause: ['apache', 'debian', 'nginx', 'iana']
+    })
+  })
+
+  test('Given that the update method was called and the fetch function is rejected', () => {
+    expect.assertions(1)
+
+    fetch.mockImplementation(() => Promise.reject(new Error('Update Exception')))
+
+    const mediaType = new MediaTypes(-1)
+
+    return expect(mediaType.update()).rejects.toMatchObject({
+      message: 'Invalid sources',
+      errors: Array(4).fill(new Error('Update Exception')),
+      cause: ['apache', 'debian', 'nginx', 'iana']
+    })
+  })
+
+  test('Given that the update method was called and fails, its error is emitted to the listeners', async () => {
+    fetch.mockImplementation(() => Promise.reject(new Error('Update Exception')))
+
+    const mediaType = new MediaTypes(-1)
+
+    await expect(mediaType.update()).rejects.toMatchObject({ message: 'Invalid sources' }) // without listeners, nothing is thrown
+
+    const error = jest.fn()
+
+    mediaType.on('error', error)
+
+    const err = await mediaType.update().catch(err => err)
+
+    expect(err).toMatchObject({ message: 'Invalid sources', cause: ['apache', 'debian', 'nginx', 'iana'] })
+    expect(error).toHaveBeenCalledTimes(1)
+    expect(error).toHaveBeenCalledWith(err)
+  })
+
+  test('Given that the server tells whether the lists changed since the last update', async () => {
+    const etags = { audio: 'audio_v1', image: 'image_v1' }
+
+    fetch.mockImplementation((resource, { headers }) => {
+      const name = resource.includes('audio') ? 'audio' : 'image'
+
+      return Promise.resolve(new Response(headers['If-None-Match'] === etags[name] ? null : `${name}/x-test  ${name}`, {
+        status: headers['If-None-Match'] === etags[name] ? 304 : 200,
+        headers: { etag: etags[name] }
+      }))
+    })
+
+    const mediaType = new MediaTypes(-1, {
+      sources: [{ name: 'mirror', url: ['https://mirror.example/audio.types', 'https://mirror.example/image.types'] }]
+    })
+
+    await expect(mediaType.update().then(diff => Object.keys(diff.mirror.added))).resolves.toStrictEqual(['audio', 'image'])
+    expect(fetch).toHaveBeenCalledWith('https://mirror.example/audio.types', expect.objectContaining({
+      headers: { 'Accept-Encoding': 'identity' }
+    }))
+
+    fetch.mockClear()
+
+    await expect(mediaType.update()).resolves.toStrictEqual({})
+    expect(fetch).toHaveBeenCalledTimes(2)
+    expect(fetch).toHaveBeenCalledWith('https://mirror.example/audio.types', expect.objectContaining({
+      headers: { 'Accept-Encoding': 'identity', 'If-None-Match': 'audio_v1' }
+    }))
+
+    fetch.mockClear()
+    etags.image = 'image_v2'
+
+    await expect(mediaType.update().then(diff => diff.mirror.version)).resolves.toStrictEqual({
+      old: 'audio_v1,image_v1',
+      new: 'audio_v1,image_v2'
+    })
+    expect(fetch).toHaveBeenCalledTimes(3) // the audio list is requested again, as the source is loaded as a whole
+
+    fetch.mockClear()
+
+    await expect(mediaType.update(true).then(diff => diff.mirror.added)).resolves.toStrictEqual({})
+    expect(fetch).toHaveBeenCalledTimes(2)
+    expect(fetch).toHaveBeenLastCalledWith('https://mirror.example/image.types', expect.objectContaining({
+      headers: { 'Accept-Encoding': 'identity' }
+    }))
+  })
+
+  test('Given that a list takes longer than the timeout', async () => {
+    fetch.mockImplementation(pending)
+
+    const mediaType = new MediaTypes(-1, { timeout: 1000 })
+    const update = mediaType.update()
+
+    jest.advanceTimersByTime(1000)
+
+    await expect(update).rejects.toMatchObject({ message: 'Invalid sources' })
+    expect(fetch.mock.calls[0][1].signal.reason).toMatchObject({ name: 'TimeoutError' })
+  })
+})
+
+describe('Listeners', () => {
+  test('Given that a periodic update fails, it is retried with an exponential backoff', async () => {
+    const random = jest.spyOn(Math, 'random').mockReturnValue(1)
+
+    try {
+      fetch.mockImplementation(() => Promise.reject(new Error('Network Exception')))
+
+      const mediaType = new MediaTypes(300000)
+      const error = jest.fn()
+
+      mediaType.on('error', error)
+
+      await jest.advanceTimersByTimeAsync(300000)
+      expect(fetch).toHaveBeenCalledTimes(13) // each list of the four sources
+      expect(error).toHaveBeenCalledWith(expect.objectContaining({ message: 'Invalid sources', cause: ['apache', 'debian', 'nginx', 'iana'] }))
+
+      await jest.advanceTimersByTimeAsync(60000)
+      expect(fetch).toHaveBeenCalledTimes(26)
+
+      await jest.advanceTimersByTimeAsync(119999)
+      expect(fetch).toHaveBeenCalledTimes(26)
+
+      await jest.advanceTimersByTimeAsync(1)
+      expect(fetch).toHaveBeenCalledTimes(39)
+
+      await jest.advanceTimersByTimeAsync(120000) // the periodic update comes first, then the backoff exceeds the interval
+      expect(fetch).toHaveBeenCalledTimes(52)
+
+      await jest.advanceTimersByTimeAsync(120000)
+      expect(fetch).toHaveBeenCalledTimes(52)
+
+      fetch.mockImplementation(() => Promise.resolve(new Response(null, { status: 304 })))
+
+      await jest.advanceTimersByTimeAsync(180000)
+      expect(fetch).toHaveBeenCalledTimes(65)
+
+      fetch.mockImplementation(() => Promise.reject(new Error('Network Exception')))
+
+      await jest.advanceTimersByTimeAsync(300000)
+      expect(fetch).toHaveBeenCalledTimes(78)
+
+      await jest.advanceTimersByTimeAsync(60000) // from the first delay again, as the last update succeeded
+      expect(fetch).toHaveBeenCalledTimes(91)
+
+      await mediaType.close()
+    } finally {
+      random.mockRestore()
+    }
   })
-})
 
-describe('Listeners', () => {
   test('Given that automatic periodic updating is enabled, the time for verification has come and there are media types to update', () => {
     expect.assertions(1)
 
@@ -0,0 +1,317 @@
+'use strict'
+
+const fs = require('node:fs')
+const os = require('node:os')
+const { join } = require('node:path')
+
+const { run } = require('../src/cli.js')
+
+let dir
+
+function output () {
+  const chunks = []
+
+  return {
+    write: chunk => chunks.push(chunk),
+    toString: () => chunks.join('')
+  }
+}
+
+async function mediatypes (...argv) {
+  const stdout = output()
+  const stderr = output()
+
+  const code = await run(argv.concat('--db', join(dir, 'DB.json')), { stdout, stderr })
+
+  return { code, stdout: stdout.toString(), stderr: stderr.toString() }
+}
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(join(os.tmpdir(), 'mediatypes-'))
+})
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true })
+})
+
+describe('CLI', () => {
+  test('Given that the command or its arguments are invalid', async () => {
+    let result = await mediatypes()
+
+    expect(result.code).toBe(2)
+    expect(result.stderr).toMatch(/^Usage: mediatypes <command>/)
+
+    result = await mediatypes('--help')
+
+    expect(result.code).toBe(0)
+    expect(result.stdout).toMatch(/^Usage: mediatypes <command>/)
+
+    const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true)
+
+    try {
+      await expect(run(['-h'])).resolves.toBe(0)
+      expect(write).toHaveBeenCalledWith(expect.stringMatching(/^Usage: mediatypes <command>/))
+    } finally {
+      write.mockRestore()
+    }
+
+    result = await mediatypes('unknown')
+
+    expect(result.code).toBe(2)
+    expect(result.stderr).toMatch(/^mediatypes: unknown command unknown\n/)
+
+    result = await mediatypes('toString')
+
+    expect(result.code).toBe(2)
+
+    result = await mediatypes('versions', '--unknown')
+
+    expect(result.code).toBe(2)
+    expect(result.stderr).toMatch(/^mediatypes: Unknown option '--unknown'/)
+
+    for (const argv of [['lookup'], ['extensions'], ['explain'], ['versions', 'x'], ['set', 'x'], ['delete', 'x', 'y', 'z'], ['pin', 'x'], ['unpin'], ['export', 'x']]) {
+      result = await mediatypes(...argv)
+
+      expect(result.code).toBe(2)
+      expect(result.stderr).toMatch(new RegExp(`^mediatypes: wrong number of arguments for ${argv[0]}\n`))
+    }
+
+    result = await mediatypes('export', '--format', 'yaml')
+
+    expect(result).toStrictEqual({ code: 1, stdout: '', stderr: 'mediatypes: Invalid format\n' })
+  })
+
+  test('Given that one wants to look up the media type of files', async () => {
+    let result = await mediatypes('lookup', 'index.html', 'app.js.gz', 'Dockerfile')
+
+    expect(result).toStrictEqual({
+      code: 0,
+      stdout: 'index.html\ttext/html\napp.js.gz\ttext/javascript\tgzip\nDockerfile\ttext/x-dockerfile\n',
+      stderr: ''
+    })
+
+    result = await mediatypes('lookup', 'file.unknown', 'index.html', 'file')
+
+    expect(result).toStrictEqual({
+      code: 1,
+      stdout: 'file.unknown\t\nindex.html\ttext/html\n',
+      stderr: 'mediatypes: file: Invalid extension\n'
+    })
+  })
+
+  test('Given that one wants to list the extensions of a media type', async () => {
+    let result = await mediatypes('extensions', 'image/jpeg')
+
+    expect(result.code).toBe(0)
+    expect(result.stdout.split('\n')).toEqual(expect.arrayContaining(['jpeg', 'jpg']))
+
+    result = await mediatypes('extensions', 'application/x-unknown')
+
+    expect(result).toStrictEqual({ code: 1, stdout: '', stderr: '' })
+
+    result = await mediatypes('extensions', 'unknown')
+
+    expect(result).toStrictEqual({ code: 1, stdout: '', stderr: 'mediatypes: Invalid mediaType\n' })
+  })
+
+  test('Given that one wants to change the database', async () => {
+    expect(fs.existsSync(join(dir, 'DB.json'))).toBeFalsy()
+
+    let result = await mediatypes('set', 'unknown', 'application/x-unknown')
+
+    expect(result).toStrictEqual({ code: 0, stdout: '', stderr: '' })
+    expect(fs.existsSync(join(dir, 'DB.json'))).toBeTruthy()
+
+    result = await mediatypes('set', 'unknown', 'application/x-unknown')
+
+    expect(result).toStrictEqual({ code: 0, stdout: '', stderr: 'mediatypes: unknown is already mapped to application/x-unknown\n' })
+
+    result = await mediatypes('lookup', 'file.unknown')
+
+    expect(result.stdout).toBe('file.unknown\tapplication/x-unknown\n')
+
+    result = await mediatypes('explain', 'file.unknown')
+
+    expect(result).toStrictEqual({
+      code: 0,
+      stdout: expect.stringMatching(/^application\/x-unknown\tlocal\t\d{4}-\d{2}-\d{2}T[\d:.]+Z\n$/),
+      stderr: ''
+    })
+
+    result = await mediatypes('explain', 'file.none')
+
+    expect(result).toStrictEqual({ code: 1, stdout: '', stderr: '' })
+
+    result = await mediatypes('explain', 'Dockerfile')
+
+    expect(result.stdout).toBe('text/x-dockerfile\t\t\n')
+
+    result = await mediatypes('export', '--format', 'apache')
+
+    expect(result.stdout).toMatch(/^application\/x-unknown\s+unknown$/m)
+
+    result = await mediatypes('export', '--format', 'nginx')
+
+    expect(result.stdout).toMatch(/^ {4}application\/x-unknown\s+unknown;$/m)
+
+    result = await mediatypes('export')
+
+    expect(JSON.parse(result.stdout)).toHaveProperty('unknown', ['application/x-unknown'])
+
+    result = await mediatypes('pin', 'unknown', 'application/x-other')
+
+    expect(result).toStrictEqual({ code: 0, stdout: '', stderr: '' })
+
+    result = await mediatypes('pin', 'unknown', 'application/x-other')
+
+    expect(result).toStrictEqual({ code: 0, stdout: '', stderr: 'mediatypes: unknown is already pinned to application/x-other\n' })
+
+    result = await mediatypes('lookup', 'file.unknown')
+
+    expect(result.stdout).toBe('file.unknown\tapplication/x-other\n')
+
+    result = await mediatypes('unpin', 'unknown')
+
+    expect(result).toStrictEqual({ code: 0, stdout: '', stderr: '' })
+
+    result = await mediatypes('unpin', 'unknown')
+
+    expect(result).toStrictEqual({ code: 0, stdout: '', stderr: 'mediatypes: unknown is not pinned\n' })
+
+    result = await mediatypes('delete', 'unknown', 'application/x-unknown')
+
+    expect(result).toStrictEqual({ code: 0, stdout: '', stderr: '' })
+
+    result = await mediatypes('delete', 'unknown', 'application/x-unknown')
+
+    expect(result).toStrictEqual({ code: 0, stdout: '', stderr: 'mediatypes: unknown is not mapped to application/x-unknown\n' })
+  })
+
+  test('Given that one wants to update the database and see its versions', async () => {
+    const fetch = jest.spyOn(global, 'fetch').mockImplementation(async (url, { method }) => ({
+      status: 200,
+      headers: new Headers({ etag: 'v2' }),
+      text: async () => url.endsWith('.csv') ? 'Name,Template,Reference\r\n' : 'application/x-updated\tupdated\n'
+    }))
+
+    try {
+      let result = await mediatypes('update', '--force')
+
+      expect(result.code).toBe(0)
+      expect(JSON.parse(result.stdout)).toHaveProperty('apache.added.updated', ['application/x-updated'])
+
+      result = await mediatypes('update')
+
+      expect(result).toStrictEqual({ code: 0, stdout: '{}\n', stderr: '' })
+
+      result = await mediatypes('update', '--reconcile')
+
+      expect(result.code).toBe(0)
+      expect(JSON.parse(result.stdout)).toHaveProperty('apache.version', { old: 'v2', new: 'v2' })
+
+      result = await mediatypes('versions')
+
+      expect(result.stdout).toMatch(/^apache\tv2,?/m)
+    } finally {
+      fetch.mockRestore()
+    }
+  })
+
+  test('Given that the database is updated from a local mirror', async () => {
+    const mirror = join(dir, 'mirror')
+
+    fs.mkdirSync(mirror)
+    fs.writeFileSync(join(mirror, 'apache'), 'application/x-mirrored\tmirrored\n')
+    fs.writeFileSync(join(mirror, 'debian'), 'application/x-unversioned\tunversioned\n')
+    fs.writeFileSync(join(mirror, 'nginx'), '')
+    fs.writeFileSync(join(mirror, 'iana'), 'Name,Template,Reference\r\n')
+    fs.writeFileSync(join(mirror, 'versions.json'), JSON.stringify({ apache: 'm1', iana: 'i1,i2,i3,i4,i5,i6,i7,i8,i9,i10' }))
+
+    const fetch = jest.spyOn(global, 'fetch')
+
+    try {
+      let result = await mediatypes('update', '--mirror', mirror)
+
+      expect(result.code).toBe(0)
+      expect(fetch).not.toHaveBeenCalled()
+
+      const diff = JSON.parse(result.stdout)
+
+      expect(diff).toHaveProperty('apache.added.mirrored', ['application/x-mirrored'])
+      expect(diff).toHaveProperty('apache.version.new', 'm1')
+      expect(diff).not.toHaveProperty('debian') // without a version, it is not updated unless forced
+
+      result = await mediatypes('update', '--mirror', mirror)
+
+      expect(result).toStrictEqual({ code: 0, stdout: '{}\n', stderr: '' })
+
+      result = await mediatypes('lookup', 'file.mirrored')
+
+      expect(result.stdout).toBe('file.mirrored\tapplication/x-mirrored\n')
+
+      result = await mediatypes('versions')
+
+      expect(result.stdout).toMatch(/^apache\tm1$/m)
+    } finally {
+      fetch.mockRestore()
+    }
+
+    const MediaTypes = require('../src/MediaTypes.js')
+
+    expect(() => new MediaTypes(-1, { storage: null, mirror: 1 })).toThrow(new TypeError('Invalid mirror'))
+
+    const { mirrorFetch } = require('../src/mirror.js')
+    const fetchMirror = mirrorFetch(mirror, () => [{ name: 'apache', url: ['https://example.com/1', 'https://example.com/2'] }])
+
+    await expect(fetchMirror('https://example.com/unknown')).resolves.toHaveProperty('status', 404)
+
+    const res = await fetchMirror('https://example.com/2')
+
+    expect(res.status).toBe(200)
+    expect(res.headers.get('etag')).toBe('m1')
+    await expect(res.text()).resolves.toBe('')
+  })
+
+  test('Given that the sources cannot be loaded', async () => {
+    const mirror = join(dir, 'partial')
+
+    let result = await mediatypes('update', '--mirror', join(dir, 'nonexistent'))
+
+    expect(result.code).toBe(1)
+    expect(result.stdout).toBe('{}\n')
+    expect(result.stderr).toMatch(/^mediatypes: apache: ENOENT/m)
+    expect(result.stderr.split('\n')).toHaveLength(5) // one line per source
+
+    fs.mkdirSync(mirror)
+    fs.writeFileSync(join(mirror, 'apache'), 'application/x-partial\tpartial\n')
+    fs.writeFileSync(join(mirror, 'versions.json'), JSON.stringify({ apache: 'p1' }))
+
+    result = await mediatypes('update', '--mirror', mirror)
+
+    expect(result.code).toBe(1)
+    expect(JSON.parse(result.stdout)).toHaveProperty('apache.added.partial', ['application/x-partial'])
+    expect(result.stderr).not.toMatch(/apache/)
+    expect(result.stderr).toMatch(/^mediatypes: nginx: ENOENT/m)
+
+    fs.writeFileSync(join(mirror, 'apache'), 'x-unknown/partial\tpartial\n')
+    fs.writeFileSync(join(mirror, 'versions.json'), JSON.stringify({ apache: 'p2' }))
+
+    result = await mediatypes('update', '--mirror', mirror)
+
+    expect(result).toStrictEqual({ code: 1, stdout: '', stderr: 'mediatypes: Invalid type\n' }) // then nothing is applied
+  })
+
+  test('Given that the database cannot be written', async () => {
+    const file = join(dir, 'file')
+
+    fs.writeFileSync(file, '')
+
+    const stdout = output()
+    const stderr = output()
+
+    const code = await run(['set', 'unknown', 'application/x-unknown', '--db', join(file, 'DB.json')], { stdout, stderr })
+
+    expect(code).toBe(1)
+    expect(stderr.toString()).toMatch(/^mediatypes: EEXIST/)
+  })
+})
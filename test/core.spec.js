@@ -0,0 +1,235 @@
+'use strict'
+
+const fs = require('node:fs')
+const { join } = require('node:path')
+const util = require('node:util')
+
+const Core = require('../src/core.js')
+const { MIMEType } = require('../src/mimetype.js')
+
+function strings (list) {
+  return JSON.parse(JSON.stringify(list))
+}
+
+function list (body) {
+  return async (url, { method }) => ({
+    status: 200,
+    headers: new Headers({ etag: 'v1' }),
+    text: async () => method === 'HEAD' || url.endsWith('.csv') ? '' : body
+  })
+}
+
+describe('Core', () => {
+  test('Given that the core is loaded in a runtime without the Node built-in modules', () => {
+    ['core.js', 'mimetype.js', 'signatures.js', 'formats.js'].forEach(file => {
+      expect(fs.readFileSync(join(__dirname, '../src', file), 'utf8')).not.toMatch(/require\((['"])(node:|fs|path|events|util|stream)/)
+    })
+  })
+
+  test('Given that the database shipped with the module is embedded', async () => {
+    for (const storage of [undefined, null]) {
+      const core = new Core(-1, { storage })
+
+      await expect(core.ready).resolves.toBeUndefined()
+
+      expect(core.getPreferred('index.html')).toBeInstanceOf(MIMEType)
+      expect(core.getPreferred('index.html')).not.toBeInstanceOf(util.MIMEType)
+      expect(core.contentType('path/to/index.html')).toBe('text/html;charset=utf-8')
+      expect(core.get('Dockerfile').map(String)).toStrictEqual(['text/x-dockerfile'])
+      expect(core.extensions('image/png')).toContain('png')
+      expect(core.set('core', 'application/x-core')).toBeTruthy() // kept in memory only
+    }
+
+    const core = new Core()
+
+    expect(core.updateInterval).toBe(86400000)
+
+    core.updateInterval = -1
+
+    expect(Core.MIMEType).toBe(MIMEType)
+    expect(() => new Core(-1, { storage: 'DB.json' })).toThrow(new TypeError('Invalid storage'))
+  })
+
+  test('Given that the database is injected by an adapter', async () => {
+    const save = jest.fn()
+    const core = new Core(-1, {
+      storage: {
+        load: async () => ({ mediaTypes: { txt: ['text/plain'] }, versions: {} }),
+        save
+      }
+    })
+
+    await core.ready
+
+    expect(strings(core.list)).toStrictEqual({ txt: ['text/plain'] })
+    expect(core.set('md', 'text/markdown')).toBeTruthy()
+    expect(save).toHaveBeenCalledWith(expect.objectContaining({
+      mediaTypes: {
+        md: ['text/markdown'],
+        txt: ['text/plain']
+      }
+    }))
+  })
+
+  test('Given that the events are listened through the EventTarget interface', async () => {
+    const fetch = jest.spyOn(global, 'fetch').mockImplementation(list('application/x-core\tcore\n'))
+
+    try {
+      const core = new Core(-1, { storage: { load: () => ({}), save () {} } })
+
+      expect(core).toBeInstanceOf(EventTarget)
+      expect(core).not.toHaveProperty('on')
+
+      const update = new Promise(resolve => core.addEventListener('update', resolve, { once: true }))
+
+      const diff = await core.update(true)
+
+      expect(strings(diff.apache.added)).toStrictEqual({ core: ['application/x-core'] })
+
+      const { type, detail } = await update
+
+      expect(type).toBe('update')
+      expect(detail).toBe(diff)
+    } finally {
+      fetch.mockRestore()
+    }
+
+    const error = new Error('Storage Exception')
+    const core = new Core(-1, { storage: { load: () => ({}), save: () => Promise.reject(error) } })
+
+    const failure = new Promise(resolve => core.addEventListener('error', resolve, { once: true }))
+
+    expect(core.set('test', 'application/x-test')).toBeTruthy()
+
+    await expect(failure).resolves.toMatchObject({ type: 'error', detail: error })
+  })
+
+  test('Given that the lists are requested through an injected fetch', async () => {
+    expect(() => new Core(-1, { fetch: 'fetch' })).toThrow(new TypeError('Invalid fetch'))
+
+    const global = jest.spyOn(globalThis, 'fetch')
+    const fetch = jest.fn(list('application/x-injected\tinjected\n'))
+
+    try {
+      const core = new Core(-1, { storage: { load: () => ({}), save () {} }, fetch })
+      const diff = await core.update(true)
+
+      expect(strings(diff.apache.added)).toStrictEqual({ injected: ['application/x-injected'] })
+      expect(fetch).toHaveBeenCalledWith(core.sources[0].url, expect.objectContaining({ signal: expect.any(AbortSignal) }))
+      expect(global).not.toHaveBeenCalled()
+    } finally {
+      global.mockRestore()
+    }
+  })
+
+  test('Given that the database is shared with other instances through the storage', async () => {
+    let listener
+
+    const lead = jest.fn()
+    const storage = {
+      load: () => ({
+        mediaTypes: { gif: ['image/gif'], jpg: ['image/jpeg'], md: ['text/x-markdown'], png: ['image/png'], txt: ['text/plain'] },
+        sources: { jpg: { 'image/jpeg': ['apache'] }, md: { 'text/x-markdown': ['apache'] }, png: { 'image/png': ['apache'] }, txt: { 'text/plain': ['local'] } },
+        versions: { apache: 'v1', debian: 'v1' }
+      }),
+      save () {},
+      watch: jest.fn(callback => { listener = callback }),
+      lead,
+      close: jest.fn()
+    }
+
+    expect(() => new Core(-1, { storage: { ...storage, watch: 'watch' } })).toThrow(new TypeError('Invalid storage'))
+
+    const core = new Core(-1, { storage })
+    const update = new Promise(resolve => core.addEventListener('update', resolve, { once: true }))
+
+    expect(storage.watch).toHaveBeenCalledTimes(1)
+
+    listener({ // saved by another instance
+      mediaTypes: { gif: ['image/gif'], jpg: ['image/jpeg'], md: ['text/markdown'], txt: ['text/x-plain'] },
+      sources: { jpg: { 'image/jpeg': ['debian'] }, md: { 'text/markdown': ['apache'] }, txt: { 'text/x-plain': ['local'] } },
+      versions: { apache: 'v2', debian: 'v1' }
+    })
+
+    const { detail } = await update
+
+    expect(strings(detail)).toStrictEqual({
+      apache: {
+        version: { old: 'v1', new: 'v2' },
+        added: { md: ['text/markdown'] },
+        removed: { md: ['text/x-markdown'], png: ['image/png'] },
+        changed: { md: { old: 'text/x-markdown', new: 'text/markdown' } }
+      },
+      local: { // changed by the other instance, apart from the sources
+        added: { txt: ['text/x-plain'] },
+        removed: { txt: ['text/plain'] },
+        changed: { txt: { old: 'text/plain', new: 'text/x-plain' } }
+      }
+    })
+    expect(core.getPreferred('file.txt').essence).toBe('text/x-plain')
+
+    const fetch = jest.spyOn(global, 'fetch').mockImplementation(list('application/x-core\tcore\n'))
+
+    try {
+      lead.mockResolvedValueOnce(false)
+      core.updateInterval = 10
+
+      await new Promise(resolve => setTimeout(resolve, 15))
+
+      expect(lead).toHaveBeenCalled()
+      expect(fetch).not.toHaveBeenCalled() // another instance leads
+
+      lead.mockResolvedValue(true)
+
+      await new Promise(resolve => core.addEventListener('update', resolve, { once: true }))
+
+      expect(core.get('file.core').map(String)).toStrictEqual(['application/x-core'])
+
+      const error = new Error('Lock Exception')
+
+      lead.mockRejectedValueOnce(error)
+
+      await expect(new Promise(resolve => core.addEventListener('error', resolve, { once: true }))).resolves.toMatchObject({ detail: error })
+
+      let resolve
+
+      lead.mockReset()
+      lead.mockReturnValue(new Promise((...args) => { [resolve] = args }))
+      fetch.mockClear()
+
+      await new Promise(resolve => setTimeout(resolve, 15))
+      await core.close()
+
+      resolve(true)
+
+      await new Promise(resolve => setTimeout(resolve, 15))
+
+      expect(fetch).not.toHaveBeenCalled() // closed meanwhile
+      expect(storage.close).toHaveBeenCalledTimes(1)
+    } finally {
+      fetch.mockRestore()
+    }
+  })
+
+  test('Given that a list is imported from a stream of any runtime', async () => {
+    const core = new Core(-1, { storage: { load: () => ({}), save () {} } })
+    const bytes = new TextEncoder().encode('# ção\ntext/x-third\tthird\n')
+
+    async function * stream () {
+      yield 'text/x-first\tfirst\n'
+      yield bytes.subarray(0, 3) // splits the ç
+      yield bytes.subarray(3)
+    }
+
+    expect(strings(await core.import(stream()))).toStrictEqual({
+      first: ['text/x-first'],
+      third: ['text/x-third']
+    })
+
+    expect(strings(await core.import('text/x-second\tsecond'))).toStrictEqual({
+      second: ['text/x-second']
+    })
+
+    expect(core).not.toHaveProperty('detectStream')
+  })
+})
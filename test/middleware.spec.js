@@ -0,0 +1,337 @@
+'use strict'
+
+const http = require('node:http')
+
+const MediaTypes = require('../src/MediaTypes.js')
+const { middleware, plugin } = require('../src/middleware.js')
+
+const mediaTypes = new MediaTypes(-1, { storage: null })
+
+function serve (handler, body) {
+  return new Promise(resolve => {
+    const server = http.createServer((req, res) => handler(req, res, () => res.end(body)))
+
+    server.listen(0, '127.0.0.1', () => resolve(server))
+  })
+}
+
+async function request (handler, path, { body = 'content', headers } = {}) {
+  const server = await serve(handler, body)
+
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}${path}`, { headers })
+
+    await res.body?.cancel() // the body is not really compressed
+
+    return res
+  } finally {
+    server.close()
+  }
+}
+
+describe('middleware', () => {
+  test('Given that one wants to create the middleware by passing invalid arguments', () => {
+    [undefined, null, {}, MediaTypes].forEach(instance => {
+      expect(() => middleware(instance)).toThrow(new TypeError('Invalid mediaTypes'))
+    });
+
+    ['sniff', 'negotiate', 'nosniff', 'encoding'].forEach(name => {
+      [-1, 0, 1, null, NaN, {}, [], ''].forEach(value => {
+        expect(() => middleware(mediaTypes, { [name]: value })).toThrow(new TypeError(`Invalid ${name}`))
+      })
+    });
+
+    [-1, 0, 1, true, null, NaN, {}, []].forEach(charset => {
+      expect(() => middleware(mediaTypes, { charset })).toThrow(new TypeError('Invalid charset'))
+    });
+
+    ['', 'utf 8', 'utf-8;'].forEach(charset => {
+      expect(() => middleware(mediaTypes, { charset })).toThrow(new SyntaxError('Invalid charset'))
+    })
+
+    expect(() => middleware(null, { sniff: 1 })).toThrowError(new AggregateError([
+      'Invalid mediaTypes',
+      'Invalid sniff'
+    ], 'Invalid arguments'))
+  })
+
+  test('Given that a static file is served through Node http', async () => {
+    const handler = middleware(mediaTypes)
+
+    let res = await request(handler, '/assets/style.css?v=1')
+
+    expect(res.status).toBe(200)
+    expect(res.headers.get('content-type')).toBe('text/css;charset=utf-8')
+    expect(res.headers.get('x-content-type-options')).toBe('nosniff')
+
+    res = await request(handler, '/releases/app-1.0.tar.gz', { headers: { 'Accept-Encoding': 'gzip' } })
+
+    expect(res.headers.get('content-type')).toBe('application/gzip')
+    expect(res.headers.get('content-encoding')).toBeNull() // downloaded as is
+    expect(res.headers.get('vary')).toBe('Accept')
+
+    res = await request(handler, '/Dockerfile')
+
+    expect(res.headers.get('content-type')).toBe('text/x-dockerfile;charset=utf-8')
+
+    const negotiate = jest.spyOn(mediaTypes, 'negotiate')
+
+    res = await request(handler, '/image.png', { headers: { Accept: 'text/html, image/*;q=0.5' } })
+
+    expect(res.status).toBe(200)
+    expect(res.headers.get('content-type')).toBe('image/png')
+    expect(negotiate).toHaveBeenCalledTimes(1) // the header is parsed once
+
+    negotiate.mockRestore()
+
+    for (const path of ['/', '/download', '/file.unknown', '/%E0%A4%A']) {
+      res = await request(handler, path)
+
+      expect(res.status).toBe(200)
+      expect(res.headers.get('content-type')).toBeNull()
+      expect(res.headers.get('x-content-type-options')).toBe('nosniff')
+      expect(res.headers.get('vary')).toBeNull()
+    }
+  })
+
+  test('Given that the compression extensions are served as the content encoding', async () => {
+    const handler = middleware(mediaTypes, { encoding: true })
+
+    let res = await request(handler, '/assets/app%20bundle.js.gz', { headers: { 'Accept-Encoding': 'br, gzip;q=0.5' } })
+
+    expect(res.headers.get('content-type')).toBe('text/javascript;charset=utf-8')
+    expect(res.headers.get('content-encoding')).toBe('gzip')
+    expect(res.headers.get('vary')).toBe('Accept, Accept-Encoding')
+
+    for (const acceptEncoding of ['identity', 'gzip;q=0, *', 'br', '']) {
+      res = await request(handler, '/assets/app.js.gz', { headers: { 'Accept-Encoding': acceptEncoding } })
+
+      expect(res.headers.get('content-type')).toBe('application/gzip')
+      expect(res.headers.get('content-encoding')).toBeNull()
+      expect(res.headers.get('vary')).toBe('Accept, Accept-Encoding')
+    }
+
+    for (const acceptEncoding of ['x-gzip', 'br;q=0, *;q=0.1']) {
+      res = await request(handler, '/assets/app.js.gz', { headers: { 'Accept-Encoding': acceptEncoding } })
+
+      expect(res.headers.get('content-encoding')).toBe('gzip')
+    }
+
+    const headers = {}
+
+    handler({ url: '/assets/style.css.br', headers: {} }, { setHeader: (name, value) => { headers[name] = value } })
+
+    expect(headers).toStrictEqual({ // any coding is acceptable without the header
+      'Content-Type': 'text/css;charset=utf-8',
+      'Content-Encoding': 'br',
+      'X-Content-Type-Options': 'nosniff',
+      Vary: 'Accept, Accept-Encoding'
+    })
+  })
+
+  test('Given that the Accept header is empty or malformed', () => {
+    const handler = middleware(mediaTypes)
+
+    for (const accept of ['', ' ', 'image', ';q=1', 'text/html;q=x']) {
+      const headers = {}
+      const res = {
+        setHeader: (name, value) => { headers[name] = value },
+        end: jest.fn()
+      }
+
+      handler({ url: '/image.png', headers: { accept } }, res)
+
+      expect(res.end).not.toHaveBeenCalled()
+      expect(headers['Content-Type']).toBe('image/png')
+    }
+  })
+
+  test('Given that the Accept header does not match the media type of the file', async () => {
+    let res = await request(middleware(mediaTypes), '/image.png', { headers: { Accept: 'text/html, image/*;q=0' } })
+
+    expect(res.status).toBe(406)
+    expect(res.headers.get('content-type')).toBeNull()
+    expect(res.headers.get('x-content-type-options')).toBe('nosniff')
+    expect(res.headers.get('vary')).toBe('Accept')
+
+    res = await request(middleware(mediaTypes, { negotiate: false, nosniff: false, charset: false }), '/index.html', { headers: { Accept: 'application/json' } })
+
+    expect(res.status).toBe(200)
+    expect(res.headers.get('content-type')).toBe('text/html')
+    expect(res.headers.get('x-content-type-options')).toBeNull()
+    expect(res.headers.get('vary')).toBeNull()
+  })
+
+  test('Given that the media type of the body is sniffed when the path has none', async () => {
+    const handler = middleware(mediaTypes, { sniff: true })
+    const png = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00])
+
+    let res = await request(handler, '/download', { body: png })
+
+    expect(res.headers.get('content-type')).toBe('image/png')
+
+    res = await request(handler, '/download', { body: '<!DOCTYPE html><html></html>' })
+
+    expect(res.headers.get('content-type')).toBe('text/html')
+
+    res = await request(handler, '/download', { body: Buffer.from([0x00, 0x01]) })
+
+    expect(res.headers.get('content-type')).toBeNull()
+
+    res = await request(handler, '/style.css', { body: png })
+
+    expect(res.headers.get('content-type')).toBe('text/css;charset=utf-8')
+
+    res = await request((req, res) => handler(req, res, () => {
+      res.setHeader('Content-Type', 'application/octet-stream')
+      res.write(png)
+      res.end()
+    }), '/download')
+
+    expect(res.headers.get('content-type')).toBe('image/png')
+
+    res = await request((req, res) => handler(req, res, () => {
+      res.setHeader('Content-Type', 'application/pdf')
+      res.end(png)
+    }), '/download')
+
+    expect(res.headers.get('content-type')).toBe('application/pdf')
+
+    res = await request((req, res) => handler(req, res, () => {
+      res.flushHeaders()
+      res.end(png)
+    }), '/download')
+
+    expect(res.headers.get('content-type')).toBeNull()
+
+    res = await request((req, res) => handler(req, res, () => res.end(() => {})), '/download')
+
+    expect(res.headers.get('content-type')).toBeNull()
+  })
+
+  test('Given that the instance is updated while the server is running', async () => {
+    const instance = new MediaTypes(-1, { storage: null })
+    const handler = middleware(instance)
+
+    expect((await request(handler, '/file.unknown')).headers.get('content-type')).toBeNull()
+
+    expect(instance.set('unknown', 'application/x-unknown')).toBeTruthy()
+
+    expect((await request(handler, '/file.unknown')).headers.get('content-type')).toBe('application/x-unknown')
+  })
+
+  test('Given that the middleware is called without a next function', () => {
+    const headers = {}
+    const res = {
+      setHeader: (name, value) => { headers[name] = value }
+    }
+
+    expect(() => middleware(mediaTypes)({ url: '/index.html', headers: {} }, res)).not.toThrow()
+    expect(headers).toStrictEqual({
+      'Content-Type': 'text/html;charset=utf-8',
+      'X-Content-Type-Options': 'nosniff',
+      Vary: 'Accept'
+    })
+  })
+})
+
+describe('plugin', () => {
+  function fastify (options) {
+    const hooks = {}
+    const instance = {
+      addHook: (name, hook) => { hooks[name] = hook }
+    }
+
+    const done = jest.fn()
+
+    plugin(instance, options, done)
+
+    expect(done).toHaveBeenCalledWith()
+
+    return {
+      hooks,
+      async inject (url, accept, payload) {
+        const headers = {}
+        const reply = {
+          statusCode: 200,
+          sent: false,
+          headers: values => Object.entries(values).forEach(([name, value]) => reply.header(name, value)),
+          header: (name, value) => { headers[name.toLowerCase()] = value },
+          getHeader: name => headers[name.toLowerCase()],
+          code: status => {
+            reply.statusCode = status
+
+            return reply
+          },
+          send: () => { reply.sent = true }
+        }
+
+        const request = { url, headers: accept ? { accept } : {} }
+
+        const next = await new Promise(resolve => {
+          hooks.onRequest(request, reply, resolve)
+
+          if (reply.sent) {
+            resolve(false)
+          }
+        })
+
+        if (next !== false && hooks.onSend) {
+          await new Promise(resolve => hooks.onSend(request, reply, payload, resolve))
+        }
+
+        return { status: reply.statusCode, headers }
+      }
+    }
+  }
+
+  test('Given that the plugin is registered on a Fastify server', async () => {
+    expect(plugin[Symbol.for('skip-override')]).toBeTruthy()
+    expect(() => plugin({}, {}, () => {})).toThrow(new TypeError('Invalid mediaTypes'))
+
+    const server = fastify({ mediaTypes })
+
+    expect(server.hooks).not.toHaveProperty('onSend')
+
+    await expect(server.inject('/style.css')).resolves.toStrictEqual({
+      status: 200,
+      headers: {
+        'content-type': 'text/css;charset=utf-8',
+        'x-content-type-options': 'nosniff',
+        vary: 'Accept'
+      }
+    })
+
+    await expect(server.inject('/image.png', 'text/html')).resolves.toStrictEqual({
+      status: 406,
+      headers: {
+        'x-content-type-options': 'nosniff',
+        vary: 'Accept'
+      }
+    })
+  })
+
+  test('Given that the plugin sniffs the payload of the replies', async () => {
+    const server = fastify({ mediaTypes, sniff: true, nosniff: false })
+
+    await expect(server.inject('/download', undefined, Buffer.from('GIF89a'))).resolves.toStrictEqual({
+      status: 200,
+      headers: {
+        'content-type': 'image/gif'
+      }
+    })
+
+    await expect(server.inject('/download', undefined, null)).resolves.toStrictEqual({
+      status: 200,
+      headers: {}
+    })
+
+    await expect(server.inject('/style.css', undefined, Buffer.from('GIF89a'))).resolves.toStrictEqual({
+      status: 200,
+      headers: {
+        'content-type': 'text/css;charset=utf-8',
+        vary: 'Accept'
+      }
+    })
+  })
+})
@@ -0,0 +1,80 @@
+'use strict'
+
+const util = require('node:util')
+
+const { MIMEType, MIMEParams } = require('../src/mimetype.js')
+
+describe('MIMEType', () => {
+  test('Given that media types are parsed as in node:util', () => {
+    [
+      'text/plain',
+      ' TEXT/Plain ; CHARSET="UTF-8" ; x="" ',
+      '\ta/b\n',
+      'text/plain;a="b\\"c";d=;e=f',
+      'a/b;c',
+      'a/b;c=',
+      'a/b;;c=d',
+      'a/b;c="d',
+      'a/b;c="d\\',
+      'a/b;c="d"xyz;e=f',
+      'a/b;C=1;c=2',
+      'a/b;c=é',
+      'a/b;c=Ā',
+      'a/b;c d=1',
+      'a/b ; c = 1',
+      'a/b;c=" x "',
+      'a/b;c=d e',
+      'a/b;c="x\\\\y"',
+      'application/vnd.a+json; q=0.5; level=1',
+      '*/*'
+    ].forEach(input => {
+      const mediaType = new MIMEType(input)
+      const expected = new util.MIMEType(input)
+
+      expect(String(mediaType)).toBe(String(expected))
+      expect(JSON.stringify(mediaType)).toBe(JSON.stringify(expected))
+      expect(mediaType.essence).toBe(expected.essence)
+      expect([...mediaType.params]).toStrictEqual([...expected.params])
+    });
+
+    ['', 'text', 'text/', '/plain', 'text /plain', 'text/ plain', 'te(x)t/plain', {}].forEach(input => {
+      expect(() => new util.MIMEType(input)).toThrow()
+      expect(() => new MIMEType(input)).toThrow(new SyntaxError('Invalid mediaType'))
+    })
+  })
+
+  test('Given that one wants to change the type and subtype', () => {
+    const mediaType = new MIMEType('text/plain;charset=utf-8')
+
+    mediaType.type = 'Application'
+    mediaType.subtype = 'JSON'
+
+    expect(mediaType.type).toBe('application')
+    expect(mediaType.subtype).toBe('json')
+    expect(mediaType.toString()).toBe('application/json;charset=utf-8')
+
+    expect(() => { mediaType.type = 'in valid' }).toThrow(new SyntaxError('Invalid type'))
+    expect(() => { mediaType.subtype = '' }).toThrow(new SyntaxError('Invalid subtype'))
+  })
+
+  test('Given that one wants to change the parameters', () => {
+    const { params } = new MIMEType('text/plain;charset=utf-8;format=flowed')
+
+    expect(params).toBeInstanceOf(MIMEParams)
+    expect(params.has('charset')).toBeTruthy()
+    expect(params.get('charset')).toBe('utf-8')
+    expect(params.get('unknown')).toBeNull()
+    expect([...params.keys()]).toStrictEqual(['charset', 'format'])
+    expect([...params.values()]).toStrictEqual(['utf-8', 'flowed'])
+    expect([...params.entries()]).toStrictEqual([['charset', 'utf-8'], ['format', 'flowed']])
+
+    params.delete('format')
+    params.set('charset', 'ISO 8859-1')
+
+    expect(params.toString()).toBe(';charset="ISO 8859-1"')
+    expect(params.toJSON()).toBe(';charset="ISO 8859-1"')
+
+    expect(() => params.set('in valid', 'value')).toThrow(new SyntaxError('Invalid name'))
+    expect(() => params.set('name', '\u0000')).toThrow(new SyntaxError('Invalid value'))
+  })
+})